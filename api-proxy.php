@@ -31,9 +31,11 @@ $method = isset($payload['method']) ? strtoupper($payload['method']) : 'GET';
 $headers = isset($payload['headers']) && is_array($payload['headers']) ? $payload['headers'] : [];
 $data = isset($payload['data']) ? $payload['data'] : null;
 $params = isset($payload['params']) && is_array($payload['params']) ? $payload['params'] : [];
+$stream = !empty($payload['stream']);
 
 // Base URL - keep in sync with js/api.js API_CONFIG.baseURL
-$baseURL = 'https://cmecp50gmck7l66evnyeuwawz.agent.a.smyth.ai';
+// GROWTH90_UPSTREAM_URL points it at a local stub (see dev/stream-stub-server.js)
+$baseURL = getenv('GROWTH90_UPSTREAM_URL') ?: 'https://cmecp50gmck7l66evnyeuwawz.agent.a.smyth.ai';
 
 // Build final URL
 $url = rtrim($baseURL, '/') . $endpoint;
@@ -67,6 +69,11 @@ curl_setopt($ch, CURLOPT_TIMEOUT, 600);
 // Follow redirects if any
 curl_setopt($ch, CURLOPT_FOLLOWLOCATION, true);
 
+if ($stream) {
+    stream_upstream($ch);
+    exit;
+}
+
 $responseBody = curl_exec($ch);
 $errno = curl_errno($ch);
 $error = curl_error($ch);
@@ -95,3 +102,79 @@ echo json_encode([
 ]);
 exit;
 
+// Write one Server-Sent Event and push it to the client immediately
+function send_sse($event, $payload) {
+    echo 'event: ' . $event . "\n";
+    echo 'data: ' . json_encode($payload) . "\n\n";
+    @ob_flush();
+    flush();
+}
+
+// Streaming mode: forward upstream output as "chunk" events while it arrives,
+// then send the usual envelope as a final "done" event. If the upstream itself
+// answers with SSE, only its data lines are forwarded.
+function stream_upstream($ch) {
+    header('Content-Type: text/event-stream');
+    header('Cache-Control: no-cache');
+    header('X-Accel-Buffering: no'); // Disable nginx buffering
+    @ini_set('zlib.output_compression', '0');
+    while (ob_get_level() > 0) {
+        ob_end_flush();
+    }
+
+    $body = '';
+    $upstreamIsSse = false;
+    $pendingLine = '';
+
+    curl_setopt($ch, CURLOPT_RETURNTRANSFER, false);
+    curl_setopt($ch, CURLOPT_HEADERFUNCTION, function ($ch, $header) use (&$upstreamIsSse) {
+        if (stripos($header, 'content-type:') === 0 && stripos($header, 'text/event-stream') !== false) {
+            $upstreamIsSse = true;
+        }
+        return strlen($header);
+    });
+    curl_setopt($ch, CURLOPT_WRITEFUNCTION, function ($ch, $piece) use (&$body, &$upstreamIsSse, &$pendingLine) {
+        if (!$upstreamIsSse) {
+            $body .= $piece;
+            send_sse('chunk', ['text' => $piece]);
+            return strlen($piece);
+        }
+
+        $lines = explode("\n", $pendingLine . $piece);
+        $pendingLine = array_pop($lines);
+        foreach ($lines as $line) {
+            $line = rtrim($line, "\r");
+            if (strpos($line, 'data:') === 0) {
+                $text = ltrim(substr($line, 5), ' ');
+                $body .= $text;
+                send_sse('chunk', ['text' => $text]);
+            }
+        }
+        return strlen($piece);
+    });
+
+    curl_exec($ch);
+    $errno = curl_errno($ch);
+    $error = curl_error($ch);
+    $status = (int) curl_getinfo($ch, CURLINFO_HTTP_CODE);
+    curl_close($ch);
+
+    if ($errno) {
+        send_sse('error', [
+            'success' => false,
+            'status' => 502,
+            'message' => 'Proxy error: ' . $error,
+        ]);
+        return;
+    }
+
+    $parsed = json_decode($body, true);
+    $isJson = json_last_error() === JSON_ERROR_NONE;
+
+    send_sse('done', [
+        'success' => ($status >= 200 && $status < 300),
+        'status' => $status,
+        'data' => $isJson ? $parsed : $body,
+    ]);
+}
+
@@ -0,0 +1,187 @@
+/**
+ * Growth90 streaming stub server (development only)
+ *
+ * Serves the app and answers API calls with chunked responses so real streaming
+ * can be exercised without the upstream agent:
+ *
+ *   node dev/stream-stub-server.js [--port=8787] [--scenario=ok|error|drop] [--fixture=file.json]
+ *
+ * Two ways to use it:
+ *   - Open http://localhost:8787 — POSTs to /api-proxy.php are answered here with the
+ *     proxy's SSE protocol ("chunk" events, then "done" or "error"), which exercises
+ *     handleStreamingResponse/parseServerSentEvent in js/api.js.
+ *   - Point the real PHP proxy at it (GROWTH90_UPSTREAM_URL=http://localhost:8787) —
+ *     /api/* requests are answered as a slowly written JSON body, or as upstream SSE
+ *     with ?sse=1 / --upstream-sse, which exercises stream_upstream in api-proxy.php.
+ *
+ * Scenarios: ok streams the whole body and ends with "done"; error stops halfway with an
+ * "error" event; drop closes the connection halfway without "done".
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Stub configuration
+const STUB_CONFIG = {
+    port: 8787,
+    scenario: 'ok',
+    fixture: null,
+    upstreamSse: false,
+    chunkSize: 40,      // Characters per chunk
+    chunkDelay: 80,     // ms between chunks
+    root: path.resolve(__dirname, '..'),
+    mimeTypes: {
+        '.html': 'text/html; charset=utf-8',
+        '.js': 'text/javascript; charset=utf-8',
+        '.css': 'text/css; charset=utf-8',
+        '.json': 'application/json; charset=utf-8',
+        '.png': 'image/png',
+        '.ico': 'image/x-icon',
+        '.svg': 'image/svg+xml'
+    }
+};
+
+process.argv.slice(2).forEach(arg => {
+    const [name, value = 'true'] = arg.replace(/^--/, '').split('=');
+    if (name === 'port') STUB_CONFIG.port = Number(value);
+    if (name === 'scenario') STUB_CONFIG.scenario = value;
+    if (name === 'fixture') STUB_CONFIG.fixture = path.resolve(value);
+    if (name === 'upstream-sse') STUB_CONFIG.upstreamSse = value !== 'false';
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function splitChunks(text) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += STUB_CONFIG.chunkSize) {
+        chunks.push(text.slice(i, i + STUB_CONFIG.chunkSize));
+    }
+    return chunks;
+}
+
+// The JSON the "upstream" answers with: a fixture file, or an echo of the request
+function buildBody(endpoint, data) {
+    if (STUB_CONFIG.fixture) {
+        return fs.readFileSync(STUB_CONFIG.fixture, 'utf8');
+    }
+    return JSON.stringify({
+        endpoint,
+        message: 'Streaming stub response. Each sentence arrives in its own chunks so partial rendering is visible.',
+        summary: 'The quick brown fox jumps over the lazy dog while the learning path is still being generated.',
+        received: data ?? null,
+        generatedAt: new Date().toISOString()
+    }, null, 2);
+}
+
+function sendEvent(res, event, payload) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+// Stream chunks of text; resolves false when the scenario cut the stream short
+async function streamChunks(res, text, write) {
+    const chunks = splitChunks(text);
+    const cutAt = STUB_CONFIG.scenario === 'ok' ? chunks.length : Math.ceil(chunks.length / 2);
+
+    for (let i = 0; i < cutAt; i++) {
+        write(chunks[i]);
+        await wait(STUB_CONFIG.chunkDelay);
+    }
+    return cutAt === chunks.length;
+}
+
+// Stand-in for api-proxy.php: the proxy envelope, streamed as SSE when asked for
+async function handleProxy(req, res, payload) {
+    const body = buildBody(payload.endpoint, payload.data);
+
+    if (!payload.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, status: 200, data: JSON.parse(body) }));
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.write(': stub stream open\n\n');
+
+    const complete = await streamChunks(res, body, chunk => sendEvent(res, 'chunk', { text: chunk }));
+    if (complete) {
+        sendEvent(res, 'done', { success: true, status: 200, data: JSON.parse(body) });
+    } else if (STUB_CONFIG.scenario === 'error') {
+        sendEvent(res, 'error', { success: false, status: 502, message: 'Stub upstream failed mid-stream' });
+    }
+    res.end();
+}
+
+// Stand-in for the upstream agent, for testing the PHP proxy's streaming path
+async function handleUpstream(req, res, url, data) {
+    const body = buildBody(url.pathname, data);
+    const asSse = STUB_CONFIG.upstreamSse || url.searchParams.get('sse') === '1';
+
+    res.writeHead(200, { 'Content-Type': asSse ? 'text/event-stream' : 'application/json' });
+    const complete = await streamChunks(res, body, chunk => {
+        res.write(asSse ? `data: ${chunk.replace(/\n/g, ' ')}\n\n` : chunk);
+    });
+    if (!complete) {
+        // Drop the connection so the proxy sees a transfer error
+        res.destroy();
+        return;
+    }
+    res.end();
+}
+
+function serveStatic(req, res, url) {
+    const relative = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    const filePath = path.resolve(STUB_CONFIG.root, `.${relative}`);
+    if (!filePath.startsWith(STUB_CONFIG.root) || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': STUB_CONFIG.mimeTypes[path.extname(filePath)] || 'application/octet-stream' });
+    fs.createReadStream(filePath).pipe(res);
+}
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let raw = '';
+        req.on('data', piece => { raw += piece; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : null);
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    try {
+        if (url.pathname.endsWith('/api-proxy.php') && req.method === 'POST') {
+            const payload = await readBody(req);
+            if (!payload) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, message: 'Invalid JSON payload' }));
+                return;
+            }
+            await handleProxy(req, res, payload);
+        } else if (url.pathname.startsWith('/api/')) {
+            await handleUpstream(req, res, url, req.method === 'GET' ? null : await readBody(req));
+        } else {
+            serveStatic(req, res, url);
+        }
+    } catch (error) {
+        console.error('❌ Stub request failed:', error);
+        if (!res.headersSent) res.writeHead(500);
+        res.end();
+    }
+});
+
+server.listen(STUB_CONFIG.port, () => {
+    console.log(`Growth90 stream stub on http://localhost:${STUB_CONFIG.port} (scenario: ${STUB_CONFIG.scenario})`);
+});
@@ -0,0 +1,454 @@
+/**
+ * Growth90 Account Backup
+ * One versioned archive of the active profile's data, with dry-run restore
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Backup configuration
+    const BACKUP_CONFIG = {
+        format: 'growth90-backup',
+        formatVersion: 1,
+        localKeys: ['growth90_active_learning_path'],   // Stored per profile; archived under the plain name
+        cacheStores: ['contentCache'],      // Only included when the cache opt-in is ticked
+        excludedStores: ['syncOutbox', 'userProfiles'], // Queued requests stay on their device; the profile travels as identity
+        sharedStores: ['questionBanks', 'contentCache'], // Used by every profile; never emptied by a replace
+        seenStore: 'questionBanks',         // Banks keep a seen-list per owner id
+        preferencesKey: 'userPreferences',  // Active profile's copy is carried in the archive's own preferences section
+        deviceSettings: ['encryption'],     // Tied to this device's passphrase; never exported or restored
+        deviceSettingPrefixes: ['pinAttempts_'], // PIN lockouts stay on the device that counted them
+        fileName: 'growth90-backup',
+        storeLabels: {
+            userProfiles: 'Profiles',
+            learningPaths: 'Learning paths',
+            learningProgress: 'Lesson progress',
+            assessments: 'Assessment responses',
+            contentCache: 'Cached content',
+            settings: 'Settings',
+            analytics: 'Activity events',
+            assessmentResults: 'Assessment results',
+            feedbackHistory: 'Feedback',
+            lessonChats: 'Lesson chats',
+            reviewCards: 'Review cards',
+            questionBanks: 'Question banks'
+        }
+    };
+
+    // Ordered archive upgrades. Version 0 covers the older Storage.exportData()
+    // and Preferences.exportPreferences() files.
+    const ARCHIVE_UPGRADES = [
+        {
+            from: 0,
+            description: 'Separate storage and preferences exports',
+            upgrade: (legacy) => {
+                const data = legacy.data || {};
+                const settings = Array.isArray(data.settings) ? data.settings : [];
+                const storedPreferences = settings.find(record => record && record.key === BACKUP_CONFIG.preferencesKey);
+                const profiles = Array.isArray(data.userProfiles) ? data.userProfiles : [];
+                const { pinLock, ...identity } = profiles.length === 1 ? profiles[0] || {} : {};
+
+                return {
+                    format: BACKUP_CONFIG.format,
+                    formatVersion: 1,
+                    createdAt: legacy.timestamp || legacy.exportDate || new Date().toISOString(),
+                    dbVersion: Number.isInteger(legacy.version) ? legacy.version : null,
+                    includesCache: Array.isArray(data.contentCache),
+                    identity: Object.keys(identity).length ? identity : null,
+                    localState: {},
+                    preferences: legacy.preferences || storedPreferences?.value || null,
+                    preferencesUpdatedAt: storedPreferences?.lastUpdated || legacy.exportDate || null,
+                    stores: {
+                        ...data,
+                        ...(Array.isArray(data.settings) ? { settings: settings.filter(record => record !== storedPreferences) } : {})
+                    }
+                };
+            }
+        }
+    ];
+
+    // Backup & Restore
+    Growth90.User.Backup = (() => {
+
+        function readLocalJSON(key) {
+            try {
+                const raw = localStorage.getItem(key);
+                return raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        function getStoreConfig() {
+            return Growth90.Data.Storage.getConfig().stores;
+        }
+
+        function getStoreLabel(storeName) {
+            return BACKUP_CONFIG.storeLabels[storeName] || storeName;
+        }
+
+        function getScopedKey(name) {
+            return Growth90.User.Profile.getScopedKey(name);
+        }
+
+        // Whether a record belongs to one of the owner ids; shared stores belong to everyone
+        function isOwnRecord(storeName, record, ownerIds) {
+            const profile = Growth90.User.Profile;
+            if (storeName === 'settings') return profile.ownsRecord('settings', record, ownerIds) && isPortableSetting(record);
+            return !profile.getOwnedStores().includes(storeName) || profile.ownsRecord(storeName, record, ownerIds);
+        }
+
+        // The active profile's records: other profiles' data never leaves the device or gets replaced.
+        // Settings skip the preferences (which travel separately) and device-only keys.
+        async function getLocalRecords(storeName) {
+            const profile = Growth90.User.Profile;
+            if (profile.getOwnedStores().includes(storeName)) {
+                return profile.getOwnRecords(storeName);
+            }
+
+            const records = await Growth90.Data.Storage.getAllItems(storeName) || [];
+            if (storeName === 'settings') return records.filter(record => isOwnRecord('settings', record, profile.getOwnerIds()));
+            if (storeName === BACKUP_CONFIG.seenStore) return records.map(bank => withSeen(bank, profile.getOwnerIds()));
+            return records;
+        }
+
+        function isPortableSetting(record) {
+            return record.key !== BACKUP_CONFIG.preferencesKey
+                && record.key !== getScopedKey(BACKUP_CONFIG.preferencesKey)
+                && !BACKUP_CONFIG.deviceSettings.includes(record.key)
+                && !BACKUP_CONFIG.deviceSettingPrefixes.some(prefix => String(record.key).startsWith(prefix));
+        }
+
+        // A question bank with only the given owners' seen-lists
+        function withSeen(bank, ownerIds) {
+            if (!bank.seen || typeof bank.seen !== 'object') return bank;
+            return { ...bank, seen: Object.fromEntries(Object.entries(bank.seen).filter(([ownerId]) => ownerIds.includes(ownerId))) };
+        }
+
+        // PIN hashes stay on the device that set them
+        function getPortableIdentity(profile) {
+            if (!profile) return null;
+            const { pinLock, ...identity } = profile;
+            return identity;
+        }
+
+        // The archive is plain JSON, so encrypted stores are only exported from an unlocked tab;
+        // the caller warns that the file itself is not encrypted
+        async function createArchive({ includeCache = false } = {}) {
+            if (Growth90.Data.Storage.getEncryptionStatus().locked) {
+                throw new Error('Unlock your data with your passphrase before making a backup');
+            }
+            const { dbVersion } = Growth90.Data.Storage.getConfig();
+            const stores = {};
+
+            for (const storeName of Object.keys(getStoreConfig())) {
+                if (BACKUP_CONFIG.excludedStores.includes(storeName)) continue;
+                if (!includeCache && BACKUP_CONFIG.cacheStores.includes(storeName)) continue;
+                stores[storeName] = await getLocalRecords(storeName);
+            }
+
+            const localState = {};
+            BACKUP_CONFIG.localKeys.forEach(key => {
+                const value = readLocalJSON(getScopedKey(key));
+                if (value !== null) localState[key] = value;
+            });
+
+            const storedPreferences = await Growth90.Data.Storage.getItem('settings', getScopedKey(BACKUP_CONFIG.preferencesKey)).catch(() => null);
+
+            return {
+                format: BACKUP_CONFIG.format,
+                formatVersion: BACKUP_CONFIG.formatVersion,
+                createdAt: new Date().toISOString(),
+                dbVersion,
+                includesCache: includeCache,
+                identity: getPortableIdentity(Growth90.User.Profile.get()),
+                localState,
+                preferences: Growth90.User.Preferences?.getAllPreferences?.() || storedPreferences?.value || null,
+                preferencesUpdatedAt: storedPreferences?.lastUpdated || null,
+                stores
+            };
+        }
+
+        // Build the archive and hand it to the browser as a JSON download
+        async function downloadArchive(options = {}) {
+            const archive = await createArchive(options);
+            const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${BACKUP_CONFIG.fileName}-${archive.createdAt.split('T')[0]}.json`;
+            link.style.display = 'none';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            // Revoking right away can cancel the download before the browser reads the blob
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+
+            Growth90.Core.EventBus.emit('backup:created', { size: blob.size, includesCache: archive.includesCache });
+            return { size: blob.size, records: countRecords(archive) };
+        }
+
+        function countRecords(archive) {
+            return Object.values(archive.stores || {}).reduce((sum, records) => sum + (Array.isArray(records) ? records.length : 0), 0);
+        }
+
+        function getArchiveVersion(raw) {
+            if (raw.format === BACKUP_CONFIG.format) return Number(raw.formatVersion);
+            if ((raw.data && typeof raw.data === 'object') || (raw.preferences && raw.exportDate)) return 0;
+            return null;
+        }
+
+        function upgradeArchive(raw) {
+            let version = getArchiveVersion(raw);
+            if (version === null || !Number.isInteger(version)) {
+                throw new Error('This file is not a Growth90 backup');
+            }
+            if (version > BACKUP_CONFIG.formatVersion) {
+                throw new Error('This backup was made by a newer version of Growth90. Update the app and try again.');
+            }
+
+            let archive = raw;
+            ARCHIVE_UPGRADES.forEach(step => {
+                if (step.from === version) {
+                    archive = step.upgrade(archive);
+                    version = step.from + 1;
+                }
+            });
+            return archive;
+        }
+
+        // Check the archive against the current schema; invalid records are dropped with a warning
+        function validateArchive(archive) {
+            const errors = [];
+            const warnings = [];
+            const storeConfig = getStoreConfig();
+            const { dbVersion } = Growth90.Data.Storage.getConfig();
+            const stores = {};
+
+            if (!archive.stores || typeof archive.stores !== 'object' || Array.isArray(archive.stores)) {
+                errors.push('The backup has no data section.');
+            }
+            if (Number.isInteger(archive.dbVersion) && archive.dbVersion > dbVersion) {
+                errors.push('This backup was made with a newer database version. Update the app and try again.');
+            } else if (Number.isInteger(archive.dbVersion) && archive.dbVersion < dbVersion) {
+                warnings.push(`Made with an older database version (v${archive.dbVersion}); records are restored as they were saved.`);
+            }
+            if (archive.identity !== null && archive.identity !== undefined && typeof archive.identity !== 'object') {
+                errors.push('The profile in this backup is not readable.');
+            }
+            if (archive.preferences !== null && archive.preferences !== undefined && typeof archive.preferences !== 'object') {
+                errors.push('The preferences in this backup are not readable.');
+            }
+
+            Object.entries(archive.stores || {}).forEach(([storeName, records]) => {
+                const config = storeConfig[storeName];
+                if (BACKUP_CONFIG.excludedStores.includes(storeName)) return;
+                if (!config) {
+                    warnings.push(`Skipping unknown data "${storeName}".`);
+                    return;
+                }
+                if (!Array.isArray(records)) {
+                    errors.push(`${getStoreLabel(storeName)} is not a list of records.`);
+                    return;
+                }
+
+                const valid = records.filter(record => record && typeof record === 'object' && !Array.isArray(record)
+                    && (config.autoIncrement || (record[config.keyPath] !== undefined && record[config.keyPath] !== null)));
+                if (valid.length < records.length) {
+                    warnings.push(`${records.length - valid.length} ${getStoreLabel(storeName).toLowerCase()} record(s) are incomplete and will be skipped.`);
+                }
+                stores[storeName] = storeName === 'settings'
+                    ? valid.filter(isPortableSetting)
+                    : valid;
+            });
+
+            const identity = archive.identity && typeof archive.identity === 'object' ? getPortableIdentity(archive.identity) : null;
+            return { errors, warnings, archive: { ...archive, identity, stores } };
+        }
+
+        // Parse, upgrade and validate a backup file
+        async function readArchiveFile(file) {
+            let raw;
+            try {
+                raw = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error('This file is not valid JSON');
+            }
+            if (!raw || typeof raw !== 'object') {
+                throw new Error('This file is not a Growth90 backup');
+            }
+
+            const { errors, warnings, archive } = validateArchive(upgradeArchive(raw));
+            if (errors.length) {
+                throw new Error(errors.join(' '));
+            }
+            return { archive, warnings };
+        }
+
+        function getTimestamp(record) {
+            return record.updatedAt || record.lastUpdated || record.createdAt || '';
+        }
+
+        function sameRecord(a, b) {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+
+        // Dry run: what a restore would add, update, keep and remove. Nothing is written.
+        // Merge keeps whichever copy was updated last; replace makes each store in the archive match it exactly.
+        // Only the active profile's records are touched; anything the archive holds for another profile is skipped.
+        async function planRestore(archive, mode = 'merge') {
+            const storeConfig = getStoreConfig();
+            const identity = planIdentity(archive.identity, mode);
+            const plan = {
+                mode,
+                stores: {},
+                totals: { add: 0, update: 0, unchanged: 0, remove: 0 },
+                skipped: 0,
+                identity,
+                preferences: await planPreferences(archive, mode),
+                localState: Object.keys(archive.localState || {}).filter(key => BACKUP_CONFIG.localKeys.includes(key)),
+                operations: []
+            };
+
+            // Records may be keyed by the profile as it is now or as the restore leaves it
+            const ownerIds = [...new Set([
+                ...Growth90.User.Profile.getOwnerIds(),
+                ...Growth90.User.Profile.getOwnerIds(getRestoredIdentity(archive.identity, identity))
+            ])];
+
+            for (const [storeName, archived] of Object.entries(archive.stores || {})) {
+                const { keyPath } = storeConfig[storeName];
+                const local = await getLocalRecords(storeName);
+                const localByKey = new Map(local.map(record => [record[keyPath], record]));
+                const incomingKeys = new Set();
+                const counts = { add: 0, update: 0, unchanged: 0, remove: 0 };
+                const records = archived
+                    .filter(record => isOwnRecord(storeName, record, ownerIds))
+                    .map(record => storeName === BACKUP_CONFIG.seenStore ? withSeen(record, ownerIds) : record);
+                plan.skipped += archived.length - records.length;
+
+                for (const record of records) {
+                    const key = record[keyPath];
+                    incomingKeys.add(key);
+                    const existing = key === undefined ? null : localByKey.get(key);
+
+                    let action = 'add';
+                    if (existing) {
+                        if (sameRecord(existing, record)) {
+                            action = 'unchanged';
+                        } else if (mode === 'replace' || getTimestamp(record) > getTimestamp(existing)) {
+                            action = 'update';
+                        } else {
+                            action = 'unchanged';
+                        }
+                    }
+
+                    counts[action]++;
+                    if (action !== 'unchanged') {
+                        const data = storeName === BACKUP_CONFIG.seenStore ? await keepOthersSeen(record, ownerIds) : record;
+                        plan.operations.push({ type: 'put', store: storeName, data });
+                    }
+                }
+
+                if (mode === 'replace' && !BACKUP_CONFIG.sharedStores.includes(storeName)) {
+                    local.forEach(record => {
+                        if (!incomingKeys.has(record[keyPath])) {
+                            counts.remove++;
+                            plan.operations.push({ type: 'delete', store: storeName, key: record[keyPath] });
+                        }
+                    });
+                }
+
+                plan.stores[storeName] = counts;
+                Object.keys(counts).forEach(action => { plan.totals[action] += counts[action]; });
+            }
+
+            return plan;
+        }
+
+        // A restored bank still carries every other profile's seen-list from this device
+        async function keepOthersSeen(bank, ownerIds) {
+            const stored = await Growth90.Data.Storage.getItem(BACKUP_CONFIG.seenStore, bank[getStoreConfig()[BACKUP_CONFIG.seenStore].keyPath]).catch(() => null);
+            const others = Object.entries(stored?.seen || {}).filter(([ownerId]) => !ownerIds.includes(ownerId));
+            if (!others.length) return bank;
+            return { ...bank, seen: { ...Object.fromEntries(others), ...(bank.seen || {}) } };
+        }
+
+        // The profile as the planned identity change leaves it
+        function getRestoredIdentity(incoming, identity) {
+            const local = Growth90.User.Profile.get();
+            if (identity.action === 'keep') return local;
+            if (identity.action === 'merge') {
+                return { ...local, ...Object.fromEntries(identity.fields.map(field => [field, incoming[field]])) };
+            }
+            return incoming;
+        }
+
+        // Which fields of the active profile a restore would set
+        function planIdentity(incoming, mode) {
+            const local = Growth90.User.Profile.get();
+            if (!incoming) return { action: 'keep', fields: [] };
+            if (!local) return { action: 'set', fields: Object.keys(incoming) };
+
+            if (mode === 'replace') {
+                const fields = [...new Set([...Object.keys(local), ...Object.keys(incoming)])]
+                    .filter(field => JSON.stringify(local[field]) !== JSON.stringify(incoming[field]));
+                return { action: fields.length ? 'replace' : 'keep', fields };
+            }
+
+            const fields = Object.keys(incoming).filter(field => local[field] === undefined || local[field] === null || local[field] === '');
+            return { action: fields.length ? 'merge' : 'keep', fields };
+        }
+
+        // Merge only takes the archive's preferences when they are newer than this device's
+        async function planPreferences(archive, mode) {
+            if (!archive.preferences) return false;
+            if (mode === 'replace') return true;
+
+            const stored = await Growth90.Data.Storage.getItem('settings', getScopedKey(BACKUP_CONFIG.preferencesKey)).catch(() => null);
+            return !stored || String(archive.preferencesUpdatedAt || '') > String(stored.lastUpdated || '');
+        }
+
+        async function restoreArchive(archive, mode = 'merge') {
+            const plan = await planRestore(archive, mode);
+
+            if (plan.operations.length) {
+                await Growth90.Data.Storage.batchOperation(plan.operations);
+            }
+
+            if (plan.identity.action !== 'keep') {
+                await Growth90.User.Profile.save(getRestoredIdentity(archive.identity, plan.identity));
+            }
+
+            plan.localState.forEach(key => {
+                if (mode === 'replace' || readLocalJSON(getScopedKey(key)) === null) {
+                    localStorage.setItem(getScopedKey(key), JSON.stringify(archive.localState[key]));
+                }
+            });
+
+            if (plan.preferences && Growth90.User.Preferences?.updatePreferences) {
+                await Growth90.User.Preferences.updatePreferences(archive.preferences);
+            }
+
+            Growth90.Core.EventBus.emit('backup:restored', { mode, totals: plan.totals, identity: plan.identity.action });
+            return plan;
+        }
+
+        // Public API
+        return {
+            createArchive,
+            downloadArchive,
+            readArchiveFile,
+            upgradeArchive,
+            validateArchive,
+            planRestore,
+            restoreArchive,
+            getStoreLabel,
+            getFormatVersion: () => BACKUP_CONFIG.formatVersion
+        };
+    })();
+
+})(window.Growth90 = window.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
@@ -0,0 +1,348 @@
+/**
+ * Growth90 Activity Tracker
+ * Active lesson time, per-day activity and streaks derived from learningProgress
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Activity tracking configuration
+    const ACTIVITY_CONFIG = {
+        storeName: 'learningProgress',
+        draftStatus: 'in-progress',
+        tickInterval: 1000,
+        idleTimeout: 90 * 1000,        // No input for this long pauses the clock
+        flushInterval: 30 * 1000,      // Persist accumulated time this often
+        activityEvents: ['pointerdown', 'pointermove', 'keydown', 'scroll', 'wheel', 'touchstart'],
+        freezeSettingsPrefix: 'streakFreezes_',
+        freezesPerMonth: 2,            // Rolling 30-day allowance; 0 disables freezes
+        freezeWindowDays: 30
+    };
+
+    // Activity Tracker
+    Growth90.Learning.ActivityTracker = (() => {
+        let session = null;
+
+        // ---- Active time ----
+
+        function getProgressId(context) {
+            return Growth90.Learning.ProgressStore.getLessonRecordId(context.userId, context.pathId, context.day, context.lessonId);
+        }
+
+        // Track a lesson until stop() or until `element` leaves the document
+        function start(context, { element = null } = {}) {
+            if (session) {
+                stop();
+            }
+
+            const now = Date.now();
+            session = {
+                context,
+                progressId: getProgressId(context),
+                element,
+                pendingMs: 0,
+                lastTick: now,
+                lastActivityAt: now,
+                lastFlushAt: now,
+                timer: null
+            };
+
+            const markActive = () => {
+                if (session) session.lastActivityAt = Date.now();
+            };
+            session.markActive = markActive;
+            session.handlePageHide = () => flush();
+            session.handleVisibility = () => {
+                tick();
+                if (document.visibilityState === 'hidden') {
+                    flush();
+                } else {
+                    markActive();
+                }
+            };
+
+            ACTIVITY_CONFIG.activityEvents.forEach(type => {
+                document.addEventListener(type, markActive, { passive: true, capture: true });
+            });
+            document.addEventListener('visibilitychange', session.handleVisibility);
+            window.addEventListener('pagehide', session.handlePageHide);
+            session.timer = setInterval(tick, ACTIVITY_CONFIG.tickInterval);
+        }
+
+        // Count time only while the page is visible and the learner has interacted recently
+        function tick() {
+            if (!session) return;
+
+            if (session.element && !session.element.isConnected) {
+                stop();
+                return;
+            }
+
+            const now = Date.now();
+            const elapsed = Math.min(now - session.lastTick, ACTIVITY_CONFIG.tickInterval * 2);
+            const visible = document.visibilityState !== 'hidden';
+            const recentlyActive = now - session.lastActivityAt < ACTIVITY_CONFIG.idleTimeout;
+
+            if (visible && recentlyActive && elapsed > 0) {
+                session.pendingMs += elapsed;
+            }
+            session.lastTick = now;
+
+            if (now - session.lastFlushAt >= ACTIVITY_CONFIG.flushInterval) {
+                flush();
+            }
+        }
+
+        // Add the pending seconds to the lesson's progress record
+        async function flush(target = session) {
+            if (!target) return null;
+            target.lastFlushAt = Date.now();
+
+            const seconds = Math.floor(target.pendingMs / 1000);
+            if (seconds <= 0) return null;
+            target.pendingMs -= seconds * 1000;
+
+            const { context, progressId } = target;
+            try {
+                return await Growth90.Data.Storage.updateItem(ACTIVITY_CONFIG.storeName, progressId, record => {
+                    const base = record || {
+                        id: progressId,
+                        type: 'lesson',
+                        userId: context.userId,
+                        pathId: context.pathId,
+                        day: context.day,
+                        lessonId: context.lessonId,
+                        status: ACTIVITY_CONFIG.draftStatus
+                    };
+                    const activeSeconds = (base.activeSeconds || 0) + seconds;
+                    return {
+                        ...base,
+                        activeSeconds,
+                        timeSpent: Math.round(activeSeconds / 60),
+                        lastActiveAt: new Date().toISOString()
+                    };
+                });
+            } catch (error) {
+                target.pendingMs += seconds * 1000;
+                console.error('❌ Failed to record active time:', error);
+                return null;
+            }
+        }
+
+        // Stop tracking and persist what is left; resolves once the time is stored
+        async function stop() {
+            if (!session) return null;
+
+            tick();
+            const ended = session;
+            session = null;
+
+            clearInterval(ended.timer);
+            ACTIVITY_CONFIG.activityEvents.forEach(type => {
+                document.removeEventListener(type, ended.markActive, { capture: true });
+            });
+            document.removeEventListener('visibilitychange', ended.handleVisibility);
+            window.removeEventListener('pagehide', ended.handlePageHide);
+
+            // Round the final partial second up so short visits still register
+            if (ended.pendingMs > 0) {
+                ended.pendingMs = Math.ceil(ended.pendingMs / 1000) * 1000;
+            }
+            return flush(ended);
+        }
+
+        // ---- Per-day aggregates ----
+
+        function getTimeZone(userIdentity = {}) {
+            return userIdentity.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        }
+
+        // YYYY-MM-DD for an instant in the given time zone
+        function toDateKey(date, timeZone) {
+            const parts = new Intl.DateTimeFormat('en-CA', {
+                timeZone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit'
+            }).formatToParts(new Date(date));
+            const get = (type) => parts.find(part => part.type === type).value;
+            return `${get('year')}-${get('month')}-${get('day')}`;
+        }
+
+        function shiftDateKey(dateKey, days) {
+            const date = new Date(`${dateKey}T00:00:00Z`);
+            date.setUTCDate(date.getUTCDate() + days);
+            return date.toISOString().slice(0, 10);
+        }
+
+        function recordSeconds(record) {
+            if (record.activeSeconds) return record.activeSeconds;
+            return (Number(record.timeSpent) || 0) * 60;
+        }
+
+        async function getProgressRecords(userId) {
+            try {
+                return await Growth90.Data.Storage.queryItems(ACTIVITY_CONFIG.storeName, {
+                    index: 'userId',
+                    keyRange: IDBKeyRange.only(userId)
+                });
+            } catch (error) {
+                console.error('❌ Failed to load progress records:', error);
+                return [];
+            }
+        }
+
+        // Completed lessons and active minutes per local calendar day, oldest first
+        function aggregateByDay(records, timeZone) {
+            const days = new Map();
+            const dayFor = (key) => {
+                if (!days.has(key)) days.set(key, { date: key, lessonsCompleted: 0, minutes: 0 });
+                return days.get(key);
+            };
+
+            records.forEach(record => {
+                if (record.status === 'completed' && record.completedAt) {
+                    const day = dayFor(toDateKey(record.completedAt, timeZone));
+                    day.lessonsCompleted += 1;
+                    day.minutes += recordSeconds(record) / 60;
+                } else if (record.lastActiveAt && record.activeSeconds) {
+                    // Time spent on lessons not yet completed still counts toward the day it happened
+                    dayFor(toDateKey(record.lastActiveAt, timeZone)).minutes += record.activeSeconds / 60;
+                }
+            });
+
+            return [...days.values()]
+                .map(day => ({ ...day, minutes: Math.round(day.minutes) }))
+                .sort((a, b) => a.date.localeCompare(b.date));
+        }
+
+        async function getDailyActivity(userId, options = {}) {
+            const timeZone = options.timeZone || getTimeZone();
+            const records = await getProgressRecords(userId);
+            return aggregateByDay(records, timeZone);
+        }
+
+        // ---- Streaks ----
+
+        // A streak day has at least one completed lesson. Frozen days keep a streak
+        // alive without adding to it; today only breaks the streak once it is over.
+        function computeStreaks(activeDates, frozenDates, today) {
+            const active = new Set(activeDates);
+            const frozen = new Set(frozenDates);
+
+            let current = 0;
+            let cursor = active.has(today) || frozen.has(today) ? today : shiftDateKey(today, -1);
+            while (active.has(cursor) || frozen.has(cursor)) {
+                if (active.has(cursor)) current++;
+                cursor = shiftDateKey(cursor, -1);
+            }
+
+            let longest = 0;
+            let run = 0;
+            const sorted = [...active].sort();
+            if (sorted.length) {
+                for (let key = sorted[0]; key <= today; key = shiftDateKey(key, 1)) {
+                    if (active.has(key)) {
+                        run++;
+                        longest = Math.max(longest, run);
+                    } else if (!frozen.has(key) && key !== today) {
+                        run = 0;
+                    }
+                }
+            }
+
+            return { current, longest: Math.max(longest, current) };
+        }
+
+        // ---- Freeze days ----
+
+        async function getFreezes(userId) {
+            try {
+                const stored = await Growth90.Data.Storage.getItem('settings', `${ACTIVITY_CONFIG.freezeSettingsPrefix}${userId}`);
+                return Array.isArray(stored?.dates) ? stored.dates : [];
+            } catch (error) {
+                console.error('❌ Failed to load streak freezes:', error);
+                return [];
+            }
+        }
+
+        function countRecentFreezes(dates, today) {
+            const windowStart = shiftDateKey(today, -(ACTIVITY_CONFIG.freezeWindowDays - 1));
+            return dates.filter(date => date >= windowStart && date <= today).length;
+        }
+
+        // Freeze a day (today by default) so a missed day does not reset the streak
+        async function freezeDay(userId, dateKey = null, options = {}) {
+            const timeZone = options.timeZone || getTimeZone();
+            const today = toDateKey(new Date(), timeZone);
+            const target = dateKey || today;
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(target) || target > today) {
+                throw new Error('Only today or a missed past day can be frozen');
+            }
+
+            const [dates, records] = await Promise.all([getFreezes(userId), getProgressRecords(userId)]);
+            if (dates.includes(target)) return dates;
+            if (aggregateByDay(records, timeZone).some(day => day.date === target && day.lessonsCompleted > 0)) {
+                throw new Error('That day already has completed lessons');
+            }
+            if (countRecentFreezes(dates, today) >= ACTIVITY_CONFIG.freezesPerMonth) {
+                throw new Error('No streak freezes left this month');
+            }
+
+            const updated = [...dates, target].sort();
+            await Growth90.Data.Storage.setItem('settings', {
+                key: `${ACTIVITY_CONFIG.freezeSettingsPrefix}${userId}`,
+                userId,
+                dates: updated
+            });
+
+            Growth90.Core.EventBus.emit('streak:frozen', { userId, date: target });
+            return updated;
+        }
+
+        // ---- Summary for dashboards ----
+
+        async function getSummary(userId, options = {}) {
+            const timeZone = options.timeZone || getTimeZone();
+            const today = toDateKey(new Date(), timeZone);
+            const [records, freezes] = await Promise.all([getProgressRecords(userId), getFreezes(userId)]);
+
+            const days = aggregateByDay(records, timeZone);
+            const activeDates = days.filter(day => day.lessonsCompleted > 0).map(day => day.date);
+            const streaks = computeStreaks(activeDates, freezes, today);
+            const totalSeconds = records.reduce((sum, record) => sum + recordSeconds(record), 0);
+
+            return {
+                timeZone,
+                today,
+                currentStreak: streaks.current,
+                longestStreak: streaks.longest,
+                todayActive: activeDates.includes(today),
+                todayFrozen: freezes.includes(today),
+                totalMinutes: Math.round(totalSeconds / 60),
+                freezesRemaining: Math.max(0, ACTIVITY_CONFIG.freezesPerMonth - countRecentFreezes(freezes, today)),
+                freezes,
+                days
+            };
+        }
+
+        // Public API
+        return {
+            start,
+            stop,
+            flush: () => flush(),
+            isTracking: () => Boolean(session),
+            getDailyActivity,
+            getSummary,
+            computeStreaks,
+            freezeDay,
+            getFreezes,
+            toDateKey,
+            shiftDateKey
+        };
+    })();
+
+})(window.Growth90 = window.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
@@ -13,6 +13,21 @@
         timeout: 300000, // 5 minutes
         retryAttempts: 3,
         retryDelay: 1000,
+        streaming: {
+            contentTypes: ['text/event-stream'],
+            mockChunkSize: 80,   // Characters per simulated chunk in mock mode
+            mockChunkDelay: 60   // ms between simulated chunks in mock mode
+        },
+        offlineSync: {
+            startupDelay: 5000,
+            drainInterval: 5 * 60 * 1000,
+            // Types used by storeForOfflineSync before the outbox had typed operations
+            legacyTypes: {
+                progress: 'progress.update',
+                assessment: 'assessment.evaluate',
+                assessments: 'assessment.evaluate'
+            }
+        },
         endpoints: {
             // User Management
             userProfile: {
@@ -371,7 +386,8 @@
                 return {
                     endpoint,
                     method: 'GET',
-                    user_id: payload.params.user_id
+                    user_id: payload.params.user_id,
+                    time_range: payload.params.time_range
                 };
             }
 
@@ -634,7 +650,119 @@
     Growth90.Data.API = (() => {
         let requestId = 0;
 
+        // Requests currently on the wire, keyed by business key (see ApiCache.extractBusinessKey)
+        const inFlightRequests = new Map();
+
+        // storage.js/api.js load before app.js, so resolve the real bus lazily
+        function getEventBus() {
+            return window.Growth90?.Core?.EventBus || Growth90.Core.EventBus;
+        }
+
+        // Identical concurrent requests share one network call. Each caller may pass
+        // its own AbortSignal; the shared call is only aborted once every caller that
+        // joined it has cancelled.
         async function makeRequest(endpoint, options = {}) {
+            const { signal = null, dedupe = true, onChunk = null } = options;
+
+            if (signal?.aborted) {
+                throw createAbortError();
+            }
+
+            const key = dedupe ? getInFlightKey(endpoint, options) : null;
+            let entry = key ? inFlightRequests.get(key) : null;
+
+            if (!entry) {
+                entry = {
+                    controller: new AbortController(),
+                    subscribers: 0,
+                    chunkHandlers: []
+                };
+                const shared = entry;
+                entry.promise = sendRequest(endpoint, {
+                    ...options,
+                    signal: entry.controller.signal,
+                    onChunk: (detail) => shared.chunkHandlers.forEach(handler => handler(detail))
+                }).finally(() => {
+                    if (key && inFlightRequests.get(key) === shared) {
+                        inFlightRequests.delete(key);
+                    }
+                });
+                if (key) inFlightRequests.set(key, entry);
+            }
+
+            return subscribeToRequest(entry, key, signal, onChunk);
+        }
+
+        function subscribeToRequest(entry, key, signal, onChunk) {
+            entry.subscribers++;
+            if (typeof onChunk === 'function') entry.chunkHandlers.push(onChunk);
+
+            if (!signal) {
+                return entry.promise;
+            }
+
+            return new Promise((resolve, reject) => {
+                const handleAbort = () => {
+                    entry.subscribers--;
+                    entry.chunkHandlers = entry.chunkHandlers.filter(handler => handler !== onChunk);
+                    if (entry.subscribers === 0) {
+                        if (key && inFlightRequests.get(key) === entry) {
+                            inFlightRequests.delete(key);
+                        }
+                        entry.controller.abort();
+                    }
+                    reject(createAbortError());
+                };
+
+                signal.addEventListener('abort', handleAbort, { once: true });
+                entry.promise
+                    .then(resolve, reject)
+                    .finally(() => signal.removeEventListener('abort', handleAbort));
+            });
+        }
+
+        function getInFlightKey(endpoint, options) {
+            const { method = 'GET', data = null, params = null } = options;
+            const businessKey = ApiCache.extractBusinessKey(endpoint, {
+                endpoint,
+                method,
+                ...(data && { data }),
+                ...(params && { params })
+            });
+            return `${endpoint}:${createStableString(businessKey)}`;
+        }
+
+        function createAbortError() {
+            try {
+                return new DOMException('The request was cancelled', 'AbortError');
+            } catch (_) {
+                const error = new Error('The request was cancelled');
+                error.name = 'AbortError';
+                return error;
+            }
+        }
+
+        // Follow every given signal; aborts as soon as any of them does
+        function linkAbortSignals(signals) {
+            const sources = signals.filter(Boolean);
+            const controller = new AbortController();
+            const forward = (event) => controller.abort(event.target.reason);
+
+            sources.forEach(source => {
+                if (source.aborted) {
+                    controller.abort(source.reason);
+                } else {
+                    source.addEventListener('abort', forward, { once: true });
+                }
+            });
+
+            return {
+                signal: controller.signal,
+                cleanup: () => sources.forEach(source => source.removeEventListener('abort', forward))
+            };
+        }
+
+        async function sendRequest(endpoint, options = {}) {
             const currentRequestId = ++requestId;
             const {
                 method = 'GET',
@@ -644,7 +772,11 @@
                 timeout = API_CONFIG.timeout,
                 retry = true,
                 cache = true, // Enable caching by default for expensive API calls
-                skipCache = false // Option to bypass cache
+                skipCache = false, // Option to bypass cache
+                stream = false, // Opt-in: ask the proxy for an SSE response
+                streamId = endpoint, // Identifies this stream in api:stream:chunk events
+                onChunk = null,
+                signal = null // Cancels the request (set by makeRequest)
             } = options;
 
 
@@ -691,6 +823,10 @@
                 proxyPayload.params = params;
             }
 
+            if (stream) {
+                proxyPayload.stream = true;
+            }
+
             // Build timeout-capable signal with fallback when AbortSignal.timeout is unavailable
             function buildTimeoutSignal(ms) {
                 try {
@@ -706,7 +842,8 @@
             const requestOptions = {
                 method: 'POST', // Always POST to proxy
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...(stream && { 'Accept': 'text/event-stream, application/json' })
                 },
                 body: JSON.stringify(proxyPayload)
             };
@@ -715,13 +852,21 @@
             const maxAttempts = retry ? API_CONFIG.retryAttempts : 1;
 
             for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                if (signal?.aborted) {
+                    lastError = createAbortError();
+                    break;
+                }
+
+                const { signal: timeoutSignal, cancel } = buildTimeoutSignal(timeout);
+                const linkedSignal = linkAbortSignals([timeoutSignal, signal]);
+
                 try {
-                    const { signal, cancel } = buildTimeoutSignal(timeout);
-                    requestOptions.signal = signal;
+                    requestOptions.signal = linkedSignal.signal;
                     
                     const response = await fetch(API_CONFIG.proxyURL, requestOptions);
-                    if (cancel) cancel();
-                    const responseData = await handleProxyResponse(response, currentRequestId);
+                    const responseData = stream && isStreamingResponse(response)
+                        ? await handleStreamingResponse(response, { requestId: currentRequestId, endpoint, streamId, onChunk })
+                        : await handleProxyResponse(response, currentRequestId);
 
                     // Cache successful responses (all methods, not just GET)
                     // Use HTTP status code instead of response data structure for reliability
@@ -740,8 +885,9 @@
                 } catch (error) {
                     lastError = error;
 
-                    // Don't retry on certain error types
-                    if (error.name === 'AbortError' || 
+                    // Don't retry on certain error types, or once partial output was shown
+                    if (error.partial ||
+                        error.name === 'AbortError' || 
                         error.status === 401 || 
                         error.status === 403 || 
                         error.status === 422 ||
@@ -754,10 +900,16 @@
                         const delay = API_CONFIG.retryDelay * Math.pow(2, attempt - 1);
                         await new Promise(resolve => setTimeout(resolve, delay));
                     }
+                } finally {
+                    if (cancel) cancel();
+                    linkedSignal.cleanup();
                 }
             }
 
-            console.error(`❌ API Failed [${currentRequestId}]: ${method} ${endpoint}`, lastError);
+            // Cancellation is expected (e.g. navigating away), so don't report it
+            if (lastError?.name !== 'AbortError') {
+                console.error(`❌ API Failed [${currentRequestId}]: ${method} ${endpoint}`, lastError);
+            }
             throw lastError;
         }
 
@@ -786,26 +938,143 @@
             }
 
             if (contentType && contentType.includes('application/json')) {
-                const result = await response.json();
-                
-                // Handle proxy response format
-                if (result.success === false) {
-                    const error = new Error(result.error || 'API request failed');
-                    error.details = result;
-                    error.requestId = requestId;
-                    throw error;
-                }
-                
-                // Parse any stringified JSON values recursively in the response
-                const parsedResult = parseStringifiedJsonRecursively(result);
-                
-                // Return the parsed proxy response (which includes success property for caching)
-                return parsedResult;
+                return unwrapProxyResult(await response.json(), requestId);
             }
             
             return await response.text();
         }
 
+        function unwrapProxyResult(result, requestId) {
+            // Handle proxy response format
+            if (result.success === false) {
+                const error = new Error(result.error || result.message || 'API request failed');
+                error.status = result.status;
+                error.details = result;
+                error.requestId = requestId;
+                throw error;
+            }
+            
+            // Parse any stringified JSON values recursively in the response
+            const parsedResult = parseStringifiedJsonRecursively(result);
+            
+            // Return the parsed proxy response (which includes success property for caching)
+            return parsedResult;
+        }
+
+        function isStreamingResponse(response) {
+            const contentType = response.headers.get('content-type') || '';
+            return response.ok && !!response.body &&
+                API_CONFIG.streaming.contentTypes.some(type => contentType.includes(type));
+        }
+
+        // Consume the proxy's SSE stream: "chunk" events carry partial upstream text,
+        // the final "done" event carries the same envelope as a non-streaming response
+        async function handleStreamingResponse(response, context) {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            const state = { text: '', index: 0, result: null };
+            let buffer = '';
+
+            try {
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+
+                    buffer += decoder.decode(value, { stream: true });
+                    let boundary;
+                    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+                        const rawEvent = buffer.slice(0, boundary);
+                        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+                        handleStreamEvent(parseServerSentEvent(rawEvent), state, context);
+                    }
+                }
+
+                buffer += decoder.decode();
+                if (buffer.trim()) {
+                    handleStreamEvent(parseServerSentEvent(buffer), state, context);
+                }
+            } catch (error) {
+                error.partial = error.partial || state.index > 0;
+                error.requestId = context.requestId;
+                throw error;
+            }
+
+            if (state.result) {
+                return unwrapProxyResult(state.result, context.requestId);
+            }
+
+            // Stream closed without a "done" event; accept it only if the text is complete JSON
+            try {
+                return unwrapProxyResult({ success: true, data: JSON.parse(state.text) }, context.requestId);
+            } catch (_) {
+                const error = new Error('Stream ended before the response was complete');
+                error.partial = state.index > 0;
+                error.requestId = context.requestId;
+                throw error;
+            }
+        }
+
+        function parseServerSentEvent(rawEvent) {
+            let event = 'message';
+            const dataLines = [];
+
+            rawEvent.split(/\r?\n/).forEach(line => {
+                if (!line || line.startsWith(':')) return; // Comment / keep-alive
+                const separator = line.indexOf(':');
+                const field = separator === -1 ? line : line.slice(0, separator);
+                const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+                if (field === 'event') event = value;
+                if (field === 'data') dataLines.push(value);
+            });
+
+            return { event, data: dataLines.join('\n') };
+        }
+
+        function handleStreamEvent({ event, data }, state, context) {
+            let payload = data;
+            try {
+                payload = JSON.parse(data);
+            } catch (_) {
+                // Plain-text chunk
+            }
+
+            if (event === 'done') {
+                state.result = payload;
+                return;
+            }
+
+            if (event === 'error') {
+                const error = new Error(payload?.message || payload?.error || 'Streaming request failed');
+                error.status = payload?.status;
+                error.details = payload;
+                throw error;
+            }
+
+            const chunk = typeof payload === 'string' ? payload : (payload?.text ?? '');
+            if (!chunk) return;
+
+            state.text += chunk;
+            emitStreamChunk({
+                requestId: context.requestId,
+                endpoint: context.endpoint,
+                streamId: context.streamId,
+                index: state.index++,
+                chunk,
+                text: state.text
+            }, context.onChunk);
+        }
+
+        function emitStreamChunk(detail, onChunk) {
+            getEventBus().emit('api:stream:chunk', detail);
+            if (typeof onChunk === 'function') {
+                try {
+                    onChunk(detail);
+                } catch (error) {
+                    console.error('❌ Stream chunk handler failed:', error);
+                }
+            }
+        }
+
         // API endpoint methods
         const userAPI = {
             async initializeProfile(userInfo, professionalData, learningPreferences, goals) {
@@ -841,7 +1110,7 @@
         };
 
         const learningPathAPI = {
-            async generatePath(userProfile, professionalContext, learningPreferences, skillDomain) {
+            async generatePath(userProfile, professionalContext, learningPreferences, skillDomain, requestOptions = {}) {
                 // Handle special case for topic suggestions
                 if (skillDomain === 'skill_suggestions') {
                     return await this.getTopicSuggestions(userProfile, professionalContext, learningPreferences);
@@ -855,7 +1124,8 @@
                         professional_context: professionalContext,
                         learning_preferences: learningPreferences
                     },
-                    timeout: 600000
+                    timeout: 600000,
+                    ...requestOptions
                 });
             },
 
@@ -1044,7 +1314,7 @@
         };
 
         const contentAPI = {
-            async getDailyLesson(learningObjective, userContext, dayNumber) {
+            async getDailyLesson(learningObjective, userContext, dayNumber, requestOptions = {}) {
                 return await makeRequest(API_CONFIG.endpoints.content.dailyLesson, {
                     method: 'POST',
                     data: {
@@ -1052,7 +1322,8 @@
                         user_context: userContext,
                         day_number: dayNumber
                     },
-                    cache: true
+                    cache: true,
+                    ...requestOptions
                 });
             },
 
@@ -1156,10 +1427,32 @@
                 });
             },
 
-            async getAnalytics(timeRange = '30d') {
+            // Queue a local progress record for delivery; safe to call offline
+            async recordProgress(progressRecord) {
+                // Notes stay on the device: the outbox is never encrypted, since the service worker delivers it
+                const { notes, ...progressData } = progressRecord;
+                return await storeForOfflineSync('progress.update', {
+                    user_id: progressRecord.userId,
+                    progress_data: progressData,
+                    competency_scores: progressRecord.competencyScores || {},
+                    engagement_metrics: {
+                        time_spent: progressRecord.timeSpent || 0
+                    }
+                }, {
+                    idempotencyKey: `progress_${progressRecord.id}_${progressRecord.completedAt || progressRecord.updatedAt || ''}`,
+                    userId: progressRecord.userId
+                });
+            },
+
+            async getAnalytics(timeRange = '30d', userId = null, requestOptions = {}) {
                 return await makeRequest(API_CONFIG.endpoints.progress.getAnalytics, {
                     method: 'GET',
-                    cache: true
+                    params: {
+                        time_range: timeRange,
+                        ...(userId && { user_id: userId })
+                    },
+                    cache: true,
+                    ...requestOptions
                 });
             },
 
@@ -1174,7 +1467,7 @@
         // Connection monitoring
         function initializeConnectionMonitoring() {
             window.addEventListener('online', () => {
-                Growth90.Core.EventBus.emit('api:connection:restored');
+                getEventBus().emit('api:connection:restored');
                 syncOfflineData();
             });
 
@@ -1195,48 +1488,64 @@
             }
         }
 
-        // Sync data when connection is restored
+        // Drain the shared outbox (see sync-outbox.js)
         async function syncOfflineData() {
             try {
-                
-                // Get pending sync data from storage
-                const pendingProgress = await Growth90.Data.Storage.queryItems('analytics', {
-                    index: 'event',
-                    keyRange: IDBKeyRange.only('pending_sync')
-                });
-
-                for (const item of pendingProgress) {
-                    try {
-                        await progressAPI.updateMetrics(item.data);
-                        await Growth90.Data.Storage.deleteItem('analytics', item.id);
-                    } catch (error) {
-                    }
-                }
-
-                Growth90.Core.EventBus.emit('api:sync:completed');
-                
+                await migrateLegacySyncRows();
+                const summary = await Growth90.Data.SyncOutbox.drain();
+                getEventBus().emit('api:sync:completed', summary);
+                return summary;
             } catch (error) {
                 console.error('❌ Offline sync failed:', error);
-                Growth90.Core.EventBus.emit('api:sync:failed', error);
+                getEventBus().emit('api:sync:failed', error);
+                return null;
             }
         }
 
-        // Store data for offline sync
-        async function storeForOfflineSync(type, data) {
+        // Move rows queued in the analytics store by older versions into the outbox
+        async function migrateLegacySyncRows() {
+            const legacyRows = await Growth90.Data.Storage.queryItems('analytics', {
+                index: 'event',
+                keyRange: IDBKeyRange.only('pending_sync')
+            });
+
+            for (const row of legacyRows) {
+                const type = API_CONFIG.offlineSync.legacyTypes[row.type] || 'progress.update';
+                await Growth90.Data.SyncOutbox.enqueue(type, row.data, {
+                    idempotencyKey: `legacy_${row.id}`,
+                    userId: row.userId
+                });
+                await Growth90.Data.Storage.deleteItem('analytics', row.id);
+            }
+        }
+
+        // Queue a write in the outbox and ask for it to be delivered
+        async function storeForOfflineSync(type, data, options = {}) {
+            const operation = API_CONFIG.offlineSync.legacyTypes[type] || type;
             try {
-                await Growth90.Data.Storage.setItem('analytics', {
-                    id: Growth90.Core.Utils.generateId(),
-                    event: 'pending_sync',
-                    type: type,
-                    data: data,
-                    timestamp: new Date().toISOString(),
-                    userId: Growth90.Data.Models.AppState.getState().user?.id
+                const entry = await Growth90.Data.SyncOutbox.enqueue(operation, data, options);
+                Growth90.Data.SyncOutbox.requestSync(operation).catch(error => {
+                    console.error('❌ Failed to request offline sync:', error);
                 });
+                return entry;
             } catch (error) {
                 console.error('❌ Failed to store for offline sync:', error);
+                return null;
             }
         }
 
+        // Drain whatever earlier sessions left behind, then keep retrying due entries
+        function initializeOfflineSync() {
+            if (!Growth90.Data.SyncOutbox) return;
+
+            const drainIfOnline = () => {
+                if (navigator.onLine !== false) syncOfflineData();
+            };
+
+            setTimeout(drainIfOnline, API_CONFIG.offlineSync.startupDelay);
+            setInterval(drainIfOnline, API_CONFIG.offlineSync.drainInterval);
+        }
+
         // Mock API responses for development/testing
         const mockResponses = {
             [API_CONFIG.endpoints.learningPaths.generate]: {
@@ -1286,6 +1595,20 @@
 3. Communication: Master professional communication and presentation skills
 4. Project Management: Learn to plan, execute, and deliver projects effectively`
                 }
+            },
+            [API_CONFIG.endpoints.chat.contextualQuery]: {
+                success: true,
+                data: {
+                    response: `## Good question!
+
+The core idea of this lesson is to **turn the concept into a habit** you can practise at work.
+
+- Start with one small, specific situation this week
+- Apply the technique and note what happened
+- Reflect on what you would change next time
+
+> Tip: pairing the lesson with a real conversation makes it stick far better than re-reading it.`
+                }
             }
         };
 
@@ -1300,6 +1623,28 @@
             mockMode = false;
         }
 
+        // Replay a mock response as stream chunks so partial rendering can be exercised offline
+        async function simulateStream(endpoint, options) {
+            const { mockChunkSize, mockChunkDelay } = API_CONFIG.streaming;
+            const body = JSON.stringify(mockResponses[endpoint].data || mockResponses[endpoint]);
+            const mockRequestId = ++requestId;
+            let text = '';
+
+            for (let offset = 0, index = 0; offset < body.length; offset += mockChunkSize, index++) {
+                const chunk = body.slice(offset, offset + mockChunkSize);
+                text += chunk;
+                emitStreamChunk({
+                    requestId: mockRequestId,
+                    endpoint,
+                    streamId: options.streamId || endpoint,
+                    index,
+                    chunk,
+                    text
+                }, options.onChunk);
+                await new Promise(resolve => setTimeout(resolve, mockChunkDelay));
+            }
+        }
+
         // Override makeRequest for mock mode
         const originalMakeRequest = makeRequest;
         
@@ -1307,6 +1652,9 @@
         makeRequest = async function(endpoint, options = {}) {
             if (mockMode && mockResponses[endpoint]) {
                 await new Promise(resolve => setTimeout(resolve, 500)); // Simulate network delay
+                if (options.stream) {
+                    await simulateStream(endpoint, options);
+                }
                 return mockResponses[endpoint];
             }
             // Always use proxy for real API calls
@@ -1329,6 +1677,7 @@
             // Initialize cache cleanup
             initializeCacheManagement();
             
+            initializeOfflineSync();
         }
 
         // Cache management initialization
@@ -1379,6 +1728,7 @@
             enableMockMode,
             disableMockMode,
             storeForOfflineSync,
+            syncOfflineData,
             
             // Cache management
             cache: {
@@ -210,6 +210,8 @@ window.Growth90 = (() => {
     Core.Router = (() => {
         const routes = new Map();
         let currentRoute = null;
+        // Aborted whenever the route changes; pass to requests that only matter on this route
+        let routeController = new AbortController();
 
         function parseRoute(hash) {
             const [path, ...params] = hash.replace('#', '').split('/');
@@ -221,6 +223,8 @@ window.Growth90 = (() => {
             
             if (routes.has(route.path)) {
                 if (currentRoute !== route.path) {
+                    routeController.abort();
+                    routeController = new AbortController();
                     Core.EventBus.emit('route:change', { from: currentRoute, to: route.path, params: route.params });
                     currentRoute = route.path;
                     routes.get(route.path)(route.params);
@@ -247,6 +251,10 @@ window.Growth90 = (() => {
                 return currentRoute;
             },
 
+            getRouteSignal() {
+                return routeController.signal;
+            },
+
             init() {
                 window.addEventListener('hashchange', handleRouteChange);
                 window.addEventListener('load', handleRouteChange);
@@ -345,6 +353,7 @@ window.Growth90 = (() => {
         let quoteTimer = null;
         let quoteIndex = 0;
         let quoteEl = null;
+        let previewEl = null;
 
         // Curated education-focused quotes with sources
         const learningQuotes = [
@@ -414,6 +423,35 @@ window.Growth90 = (() => {
             }
         }
 
+        // Partial output from a streaming request replaces the rotating quotes
+        function showPreview(text) {
+            if (!previewEl) {
+                stopQuotes();
+                previewEl = document.createElement('div');
+                previewEl.className = 'loading-preview';
+                previewEl.setAttribute('aria-live', 'polite');
+                previewEl.style.marginTop = '1rem';
+                previewEl.style.maxWidth = '680px';
+                previewEl.style.maxHeight = '40vh';
+                previewEl.style.overflow = 'hidden';
+                previewEl.style.textAlign = 'left';
+                previewEl.style.lineHeight = '1.5';
+                previewEl.style.whiteSpace = 'pre-line';
+                previewEl.style.color = '#e5e7eb';
+                previewEl.style.fontSize = '0.95rem';
+                const host = loadingOverlay.querySelector('.loading-text')?.parentElement || loadingOverlay;
+                host.appendChild(previewEl);
+            }
+            previewEl.textContent = text;
+        }
+
+        function stopPreview() {
+            if (previewEl) {
+                previewEl.remove();
+                previewEl = null;
+            }
+        }
+
         function updateQuote() {
             if (!quoteEl || learningQuotes.length === 0) return;
             const q = learningQuotes[quoteIndex % learningQuotes.length];
@@ -435,13 +473,18 @@ window.Growth90 = (() => {
                 loadingCount++;
                 loadingText.textContent = message;
                 loadingOverlay.setAttribute('aria-hidden', 'false');
-                startQuotes();
+                if (!previewEl) startQuotes();
+            },
+
+            preview(text) {
+                if (loadingCount > 0) showPreview(text);
             },
 
             hide() {
                 loadingCount = Math.max(0, loadingCount - 1);
                 if (loadingCount === 0) {
                     stopQuotes();
+                    stopPreview();
                     loadingOverlay.setAttribute('aria-hidden', 'true');
                 }
             },
@@ -449,6 +492,7 @@ window.Growth90 = (() => {
             forceHide() {
                 loadingCount = 0;
                 stopQuotes();
+                stopPreview();
                 loadingOverlay.setAttribute('aria-hidden', 'true');
             }
         };
@@ -623,6 +667,7 @@ window.Growth90 = (() => {
     // Main application controller
     Core.App = (() => {
         let initialized = false;
+        let unlockPrompt = null;
 
         function initialize() {
             if (initialized) return;
@@ -642,24 +687,24 @@ window.Growth90 = (() => {
                 const waitForAPI = () => {
                     apiWaitAttempts++;
                     
-                    if (Growth90.Data?.API?.learningPath && Growth90.Data?.API?.content) {
-                        loadInitialData();
-                        
-                        initialized = true;
-                        Core.EventBus.emit('app:initialized');
-                        
-                    } else if (apiWaitAttempts >= maxWaitAttempts) {
-                        
-                        loadInitialData();
-                        
-                        initialized = true;
-                        Core.EventBus.emit('app:initialized');
-                        
+                    if ((Growth90.Data?.API?.learningPath && Growth90.Data?.API?.content) || apiWaitAttempts >= maxWaitAttempts) {
+                        startWithProfile();
                     } else {
                         setTimeout(waitForAPI, 100);
                     }
                 };
                 
+                // Every screen reads the profile, so load it before routing
+                const startWithProfile = async () => {
+                    await unlockStorage();
+                    await Growth90.User.Profile.initialize();
+                    await chooseProfile();
+                    loadInitialData();
+
+                    initialized = true;
+                    Core.EventBus.emit('app:initialized');
+                };
+
                 // Start checking for API availability
                 waitForAPI();
                 
@@ -693,6 +738,11 @@ window.Growth90 = (() => {
                 Core.EventBus.emit('network:offline');
             });
 
+            // Passphrase enabled or changed in another tab: this tab has to unlock again
+            Core.EventBus.on('storage:encryption:remote-change', (status) => {
+                if (status.locked) unlockStorage();
+            });
+
             // Mobile menu toggle
             const mobileMenuToggle = document.querySelector('.mobile-menu-toggle');
             if (mobileMenuToggle) {
@@ -715,6 +765,9 @@ window.Growth90 = (() => {
             Core.Router.register('learning', showTodaysLearning);
             Core.Router.register('profile', showProfile);
             Core.Router.register('path', showLearningPath);
+            Core.Router.register('assessment', showAssessment);
+            Core.Router.register('journal', showJournal);
+            Core.Router.register('analytics', showAnalytics);
         }
 
         function initializeUserInterface() {
@@ -726,89 +779,175 @@ window.Growth90 = (() => {
         }
 
         function loadInitialData() {
-            // First try local identity
-            (async () => {
-                try {
-                    // If LocalStorage helper not yet loaded, fall back to latest stored profile
-                    if (!Growth90.Data.LocalStorage || !Growth90.Data.LocalStorage.getItem) {
-                        const latest = await Growth90.Data.Storage.queryItems('userProfiles', {
-                            index: 'createdAt',
-                            direction: 'prev',
-                            limit: 1
-                        });
-                        const profile = latest && latest.length ? latest[0] : null;
-                        if (profile) {
-                            Data.Models.AppState.setState({ user: profile });
-                            Core.Router.navigate('home');
-                        } else {
-                            showWelcomeScreen();
-                        }
-                        return;
-                    }
-                    
-                    const identity = Growth90.Data.LocalStorage.getItem('user_identity');
-                    if (identity?.email) {
-                        const existing = await findUserProfileByEmail(identity.email);
-                        if (existing) {
-                            Data.Models.AppState.setState({ user: existing });
-                            Core.Router.navigate('home');
-                            return;
-                        }
-                    }
-                    // Fallback to latest stored profile if identity not found
-                    const latest = await Growth90.Data.Storage.queryItems('userProfiles', {
-                        index: 'createdAt',
-                        direction: 'prev',
-                        limit: 1
-                    });
-                    const profile = latest && latest.length ? latest[0] : null;
-                    if (profile) {
-                        Data.Models.AppState.setState({ user: profile });
-                        Core.Router.navigate('home');
-                    } else {
-                        showWelcomeScreen();
-                    }
-                } catch (e) {
-                    showWelcomeScreen();
-                }
-            })();
+            const identity = Growth90.User.Profile.get();
+            if (!identity) {
+                // First visit - collect email and name
+                showFirstVisitModal();
+                return;
+            }
+
+            // Go straight to Today's Learning once a topic has been picked
+            if (identity.selectedTopic && identity.selectedTopic.id) {
+                Core.Router.navigate('learning');
+            } else {
+                Core.Router.navigate('home');
+            }
         }
 
-        async function findUserProfileByEmail(email) {
+        // Encrypted profiles and notes can't be read until the passphrase is entered
+        async function unlockStorage() {
             try {
-                const results = await Growth90.Data.Storage.queryItems('userProfiles', {
-                    index: 'email',
-                    keyRange: IDBKeyRange.only(email)
+                await Growth90.Data.Storage.ready();
+            } catch (error) {
+                return;
+            }
+            if (!Growth90.Data.Storage.getEncryptionStatus().locked) return;
+
+            // One prompt at a time, even when another tab changes the passphrase meanwhile
+            if (!unlockPrompt) {
+                unlockPrompt = showUnlockPrompt().finally(() => {
+                    unlockPrompt = null;
                 });
-                return results[0] || null;
-            } catch (e) {
-                return null;
             }
+            await unlockPrompt;
         }
 
-        function showWelcomeScreen() {
-            // Check if user has provided email before showing welcome screen
-            const userIdentity = localStorage.getItem('growth90_user_identity');
-            if (!userIdentity) {
-                // First visit - collect email and name
-                showFirstVisitModal();
+        function showUnlockPrompt() {
+            return new Promise(resolve => {
+                UI.Components.Modal.show({
+                    title: 'Unlock Growth90',
+                    allowHTML: true,
+                    closable: false,
+                    content: `
+                        <p>Your learning data on this device is encrypted. Enter your passphrase to open it.</p>
+                        <form id="storage-unlock-form">
+                            <label class="form-label" for="storage-unlock-passphrase">Passphrase</label>
+                            <input class="form-input" id="storage-unlock-passphrase" type="password" autocomplete="current-password">
+                            <div class="profile-pin-error" id="storage-unlock-error" role="alert"></div>
+                        </form>
+                    `,
+                    actions: [
+                        {
+                            label: 'Unlock',
+                            primary: true,
+                            closeOnClick: false,
+                            handler: () => submit()
+                        }
+                    ]
+                });
+
+                const input = document.getElementById('storage-unlock-passphrase');
+                const error = document.getElementById('storage-unlock-error');
+                const submit = async () => {
+                    error.textContent = '';
+                    try {
+                        await Growth90.Data.Storage.unlock(input.value);
+                        UI.Components.Modal.hide();
+                        resolve();
+                    } catch (unlockError) {
+                        error.textContent = unlockError.message === 'Incorrect passphrase' ? 'That passphrase is not right.' : unlockError.message;
+                        input.value = '';
+                        input.focus();
+                    }
+                };
+
+                document.getElementById('storage-unlock-form').addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    submit();
+                });
+                input.focus();
+            });
+        }
+
+        // Shared devices: ask who is learning before any screen loads
+        async function chooseProfile() {
+            const profileService = Growth90.User.Profile;
+            if (profileService.isUnlocked()) return;
+
+            const profiles = await profileService.list().catch(() => []);
+            const active = profiles.find(profile => profile.isActive);
+            if (profiles.length <= 1 && !active?.hasPin) {
+                if (active) profileService.markUnlocked(active.id);
                 return;
             }
 
-            // If user has provided identity, check if they have selected a topic
-            try {
-                const identity = JSON.parse(userIdentity);
-                if (identity.selectedTopic && identity.selectedTopic.id) {
-                    // User has selected a topic, go to Today's Learning
-                    Core.Router.navigate('learning');
-                } else {
-                    // No topic selected, go to home page
-                    Core.Router.navigate('home');
+            await new Promise(resolve => showProfilePicker(profiles, resolve));
+        }
+
+        function showProfilePicker(profiles, onChosen) {
+            const sanitize = Core.Utils.sanitizeHTML;
+
+            UI.Components.Modal.show({
+                title: 'Choose your profile',
+                allowHTML: true,
+                closable: false,
+                content: `
+                    <div class="profile-picker">
+                        ${profiles.map(profile => `
+                            <button type="button" class="profile-picker-item" data-profile-id="${sanitize(profile.id)}">
+                                <span class="profile-picker-avatar">${sanitize(profile.nickname.charAt(0).toUpperCase())}</span>
+                                <span class="profile-picker-name">
+                                    ${sanitize(profile.nickname)}
+                                    <small>${sanitize(profile.email)}</small>
+                                </span>
+                                ${profile.hasPin ? '<span class="profile-picker-lock" aria-label="PIN protected">🔒</span>' : ''}
+                            </button>
+                        `).join('')}
+                    </div>
+                    <form id="profile-pin-form" class="profile-pin-form" hidden>
+                        <label class="form-label" for="profile-pin-input" id="profile-pin-label">PIN</label>
+                        <input class="form-input" id="profile-pin-input" type="password" inputmode="numeric" autocomplete="off" maxlength="8">
+                        <div class="profile-pin-error" id="profile-pin-error" role="alert"></div>
+                        <button type="submit" class="primary-btn">Unlock</button>
+                    </form>
+                `,
+                actions: [
+                    {
+                        label: 'Add profile',
+                        handler: async () => {
+                            await Growth90.User.Profile.clear();
+                            onChosen();
+                        }
+                    }
+                ]
+            });
+
+            const pinForm = document.getElementById('profile-pin-form');
+            const pinInput = document.getElementById('profile-pin-input');
+            const pinError = document.getElementById('profile-pin-error');
+            let selected = null;
+
+            const open = async (profile, pin = null) => {
+                try {
+                    await Growth90.User.Profile.switchTo(profile.id, pin);
+                    UI.Components.Modal.hide();
+                    onChosen();
+                } catch (error) {
+                    pinError.textContent = error.message === 'Incorrect PIN' ? 'That PIN is not right.' : error.message;
+                    pinInput.value = '';
+                    pinInput.focus();
                 }
-            } catch (e) {
-                // Error parsing identity, fallback to home
-                Core.Router.navigate('home');
-            }
+            };
+
+            document.querySelectorAll('.profile-picker-item').forEach(button => {
+                button.addEventListener('click', () => {
+                    selected = profiles.find(profile => profile.id === button.dataset.profileId);
+                    if (!selected) return;
+                    if (!selected.hasPin) {
+                        open(selected);
+                        return;
+                    }
+                    document.getElementById('profile-pin-label').textContent = `PIN for ${selected.nickname}`;
+                    pinError.textContent = '';
+                    pinForm.hidden = false;
+                    pinInput.focus();
+                });
+            });
+
+            pinForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (selected) open(selected, pinInput.value);
+            });
         }
 
         function showFirstVisitModal() {
@@ -846,7 +985,7 @@ window.Growth90 = (() => {
                         label: 'Continue to Growth90',
                         primary: true,
                         closeOnClick: false, // Don't auto-close, we'll control it manually
-                        handler: () => {
+                        handler: async () => {
                             const nickname = document.getElementById('fv-nickname').value.trim();
                             const email = document.getElementById('fv-email').value.trim();
                             const validationMessage = document.getElementById('validation-message');
@@ -886,18 +1025,20 @@ window.Growth90 = (() => {
                                 return; // Don't close modal
                             }
 
-                            // Store user identity in localStorage
-                            const userIdentity = {
+                            // One profile per email on a device; send returning learners to the picker
+                            const profiles = await Growth90.User.Profile.list().catch(() => []);
+                            if (profiles.some(profile => profile.email.toLowerCase() === email.toLowerCase())) {
+                                UI.Components.Modal.hide();
+                                UI.Components.Notifications.info('You already have a profile on this device. Pick it to continue.');
+                                showProfilePicker(profiles, loadInitialData);
+                                return;
+                            }
+
+                            Growth90.User.Profile.save({
                                 nickname,
                                 email,
                                 createdAt: new Date().toISOString()
-                            };
-                            localStorage.setItem('growth90_user_identity', JSON.stringify(userIdentity));
-
-                            // Also store in Growth90 LocalStorage if available
-                            if (Growth90.Data.LocalStorage) {
-                                Growth90.Data.LocalStorage.setItem('user_identity', userIdentity);
-                            }
+                            });
 
                             UI.Components.Modal.hide();
                             UI.Components.Notifications.success(`Welcome ${nickname}! Let's start your learning journey.`);
@@ -964,14 +1105,17 @@ window.Growth90 = (() => {
         // New function to get current day based on lesson completion status
         async function getCurrentDayByCompletion(userId, pathId) {
             try {
-                // Get latest learning path for this user
-                const userPaths = await Growth90.Data.Storage.queryItems('learningPaths', {
-                    index: 'userId',
-                    keyRange: IDBKeyRange.only(userId),
-                    direction: 'prev',
-                    limit: 1
-                });
-                const learningPath = userPaths && userPaths.length ? userPaths[0] : null;
+                // Curriculum of the path this progress belongs to, else the latest path for this user
+                let learningPath = await Growth90.Data.Storage.getItem('learningPaths', pathId);
+                if (!learningPath) {
+                    const userPaths = await Growth90.Data.Storage.queryItems('learningPaths', {
+                        index: 'userId',
+                        keyRange: IDBKeyRange.only(userId),
+                        direction: 'prev',
+                        limit: 1
+                    });
+                    learningPath = userPaths && userPaths.length ? userPaths[0] : null;
+                }
 
                 // Support multiple curriculum formats
                 let curriculum = null;
@@ -1002,20 +1146,26 @@ window.Growth90 = (() => {
         // Function to mark a lesson as completed
         async function markLessonCompleted(userId, pathId, day, lessonData = {}) {
             try {
-                const lessonProgress = {
-                    id: `${userId}_${pathId}_day_${day}_${lessonData.lessonId || 'default'}`,
+                const progressId = Growth90.Learning.ProgressStore.getLessonRecordId(userId, pathId, day, lessonData.lessonId || 'default');
+                // Keep notes and active time recorded while the lesson was open
+                const lessonProgress = await Growth90.Data.Storage.updateItem('learningProgress', progressId, existing => ({
+                    ...(existing || {}),
+                    id: progressId,
+                    type: 'lesson',
                     userId: userId,
                     pathId: pathId,
                     day: day,
                     lessonId: lessonData.lessonId || 'default',
                     status: 'completed',
-                    completedAt: new Date().toISOString(),
-                    timeSpent: lessonData.timeSpent || 0,
+                    // Completing again must not move the lesson to another day
+                    completedAt: existing?.status === 'completed' && existing.completedAt ? existing.completedAt : new Date().toISOString(),
+                    timeSpent: lessonData.timeSpent ?? existing?.timeSpent ?? 0,
                     score: lessonData.score || null,
-                    notes: lessonData.notes || ''
-                };
-
-                await Growth90.Data.Storage.setItem('learningProgress', lessonProgress);
+                    notes: lessonData.notes || existing?.notes || ''
+                }));
+                
+                // Report to the server through the offline outbox
+                Growth90.Data.API.progress.recordProgress(lessonProgress);
                 
                 // Emit completion event for other systems
                 Growth90.Core.EventBus.emit('lesson:completed', {
@@ -1030,14 +1180,204 @@ window.Growth90 = (() => {
             }
         }
 
-        function calculateStreak(userIdentity) {
-            // In real implementation, this would calculate consecutive days
-            return userIdentity.streak || 1;
+        // Streak and time invested from recorded lesson activity
+        async function getActivitySummary(userIdentity) {
+            const tracker = Growth90.Learning.ActivityTracker;
+            if (!tracker) return null;
+            try {
+                return await tracker.getSummary(userIdentity.email || userIdentity.id || 'guest', {
+                    timeZone: userIdentity.timezone
+                });
+            } catch (error) {
+                console.error('❌ Failed to load activity summary:', error);
+                return null;
+            }
+        }
+
+        function calculateStreak(activity) {
+            return activity ? activity.currentStreak : 0;
+        }
+
+        function calculateTimeInvested(activity) {
+            const hours = (activity ? activity.totalMinutes : 0) / 60;
+            return hours < 10 ? Math.round(hours * 10) / 10 : Math.round(hours);
+        }
+
+        async function getPathOverview(userIdentity) {
+            const library = Growth90.Learning.PathLibrary;
+            if (!library) return null;
+            try {
+                return await library.getOverview(userIdentity.email || userIdentity.id || 'guest');
+            } catch (error) {
+                console.error('❌ Failed to load learning paths:', error);
+                return null;
+            }
+        }
+
+        // Catch-up options when the path has fallen behind its schedule
+        async function getCatchUpProposal(userIdentity, pathId, currentDay) {
+            const manager = Growth90.Learning.PathManager;
+            if (!manager) return null;
+            try {
+                const learningPath = await Growth90.Data.Storage.getItem('learningPaths', pathId);
+                if (!learningPath) return null;
+                const proposal = manager.proposeCatchUpPlans(learningPath, currentDay, {
+                    timeCommitment: userIdentity.timeCommitment || userIdentity.dailyTimeCommitment
+                });
+                return proposal.status.needsCatchUp && proposal.plans.length ? proposal : null;
+            } catch (error) {
+                console.error('❌ Failed to check the learning schedule:', error);
+                return null;
+            }
+        }
+
+        function showCatchUpModal(pathId, proposal, onApplied) {
+            const { status, plans } = proposal;
+            UI.Components.Modal.show({
+                title: 'Catch up on your path',
+                content: `
+                    <div class="catch-up-plans">
+                        <p>Today is day ${status.journeyDay} of your journey and you are on day ${status.currentDay}. Choose how to plan the remaining ${status.totalDays - status.currentDay + 1} days:</p>
+                        ${plans.map(plan => `
+                            <div class="catch-up-plan">
+                                <h4>${Core.Utils.sanitizeHTML(plan.title)}</h4>
+                                <p>${Core.Utils.sanitizeHTML(plan.description)}</p>
+                            </div>
+                        `).join('')}
+                    </div>
+                `,
+                allowHTML: true,
+                actions: [
+                    { label: 'Not now' },
+                    ...plans.map((plan, index) => ({
+                        label: plan.title,
+                        primary: index === 0,
+                        handler: async () => {
+                            try {
+                                await Growth90.Learning.PathManager.applyCatchUpPlan(pathId, plan);
+                                UI.Components.Notifications.success('Your schedule has been updated.');
+                                onApplied();
+                            } catch (error) {
+                                console.error('❌ Failed to apply catch-up plan:', error);
+                                UI.Components.Notifications.error('Could not update your schedule. Please try again.');
+                            }
+                        }
+                    }))
+                ]
+            });
+        }
+
+        // Daily review block: flashcards from completed days that are due today
+        async function loadReviewBlock(userIdentity, pathId) {
+            const container = document.getElementById('review-block');
+            const queue = Growth90.Learning.ReviewQueue;
+            if (!container || !queue) return;
+
+            const userId = userIdentity.email || userIdentity.id || 'guest';
+            const timeZone = userIdentity.timezone;
+            let cards = [];
+            try {
+                await queue.syncFromProgress(userId, pathId, { timeZone });
+                cards = await queue.getDueCards(userId, { pathId, timeZone });
+            } catch (error) {
+                console.error('❌ Failed to load review cards:', error);
+            }
+
+            if (!cards.length) {
+                container.innerHTML = '';
+                return;
+            }
+
+            let index = 0;
+            const total = cards.length;
+            const renderCard = (revealed = false) => {
+                const card = cards[index];
+                if (!card) {
+                    container.innerHTML = `
+                        <div class="review-header"><h3>🔁 Review</h3></div>
+                        <p class="review-done">All caught up — ${total} card${total === 1 ? '' : 's'} reviewed today.</p>
+                    `;
+                    return;
+                }
+                container.innerHTML = `
+                    <div class="review-header">
+                        <h3>🔁 Review</h3>
+                        <span class="review-count">${index + 1} of ${total} · Day ${card.day}</span>
+                    </div>
+                    <div class="review-card">
+                        <p class="review-front">${Core.Utils.sanitizeHTML(card.front)}</p>
+                        ${revealed ? `<p class="review-back">${Core.Utils.sanitizeHTML(card.back)}</p>` : ''}
+                    </div>
+                    <div class="review-actions">
+                        ${revealed
+                            ? queue.getGrades().map(grade => `
+                                <button class="secondary-btn review-grade-btn" type="button" data-grade="${grade.id}">${grade.label}</button>
+                            `).join('')
+                            : '<button class="primary-btn" type="button" data-reveal>Show answer</button>'}
+                    </div>
+                `;
+
+                container.querySelector('[data-reveal]')?.addEventListener('click', () => renderCard(true));
+                container.querySelectorAll('[data-grade]').forEach(button => {
+                    button.addEventListener('click', async () => {
+                        container.querySelectorAll('[data-grade]').forEach(b => { b.disabled = true; });
+                        try {
+                            await queue.review(card.id, button.dataset.grade, { timeZone });
+                            index++;
+                        } catch (error) {
+                            console.error('❌ Failed to save review:', error);
+                            UI.Components.Notifications.error('Could not save your review. Please try again.');
+                        }
+                        renderCard();
+                    });
+                });
+            };
+
+            renderCard();
+        }
+
+        // Path switcher for Home and Today's Learning; only shown when more than one path is running
+        function renderPathSwitcher(overview, selectId) {
+            const running = overview ? overview.paths.filter(p => p.status !== 'archived') : [];
+            if (running.length < 2) return '';
+
+            return `
+                <div class="path-switcher">
+                    <label for="${selectId}">Learning path</label>
+                    <select id="${selectId}" class="form-select">
+                        ${running.map(p => `
+                            <option value="${Core.Utils.sanitizeHTML(p.id)}" ${p.isPrimary ? 'selected' : ''}>
+                                ${Core.Utils.sanitizeHTML(p.title)}${p.status === 'paused' ? ' (paused)' : ''}
+                            </option>
+                        `).join('')}
+                    </select>
+                    <button class="secondary-btn path-manage-btn" type="button" data-manage-paths>Manage paths</button>
+                </div>
+            `;
         }
 
-        function calculateTimeInvested(userIdentity) {
-            // Simple time calculation - in real implementation would track actual time
-            return userIdentity.timeInvested || 0;
+        function bindPathSwitcher(root, selectId, userIdentity, onSwitched) {
+            const select = root.querySelector(`#${selectId}`);
+            if (select) {
+                select.addEventListener('change', async (e) => {
+                    select.disabled = true;
+                    try {
+                        const path = await Growth90.Learning.PathLibrary.setPrimary(userIdentity.email || userIdentity.id || 'guest', e.target.value);
+                        UI.Components.Notifications.success(`Switched to ${Growth90.Learning.PathLibrary.getTitle(path)}`);
+                        onSwitched();
+                    } catch (error) {
+                        select.disabled = false;
+                        UI.Components.Notifications.error(error.message || 'Could not switch learning path.');
+                    }
+                });
+            }
+            const manageBtn = root.querySelector('[data-manage-paths]');
+            if (manageBtn) {
+                manageBtn.addEventListener('click', () => {
+                    sessionStorage.removeItem('selectedPathId');
+                    Core.Router.navigate('path');
+                });
+            }
         }
 
         // Home page
@@ -1048,12 +1388,7 @@ window.Growth90 = (() => {
                 const contentArea = document.getElementById('app-content');
                 
                 // Get user identity and check if profile is completed
-                let userIdentity = null;
-                try {
-                    const stored = localStorage.getItem('growth90_user_identity');
-                    userIdentity = stored ? JSON.parse(stored) : null;
-                } catch (e) {
-                }
+                let userIdentity = Growth90.User.Profile.get();
 
                 if (!userIdentity) {
                     // No user identity - show first visit modal and clear content
@@ -1143,7 +1478,13 @@ window.Growth90 = (() => {
                 } else {
                     // Show completed profile home with minimal today's learning section
                     const hasSelectedTopic = userIdentity.selectedTopic && userIdentity.selectedTopic.id;
-                    const currentDay = hasSelectedTopic ? await getCurrentDayByCompletion(userIdentity.email || userIdentity.id || 'guest', userIdentity.selectedTopic.id) : 1;
+                    const progressPathId = hasSelectedTopic ? await Growth90.Learning.ProgressStore.resolvePathId(userIdentity) : null;
+                    const currentDay = hasSelectedTopic ? await getCurrentDayByCompletion(userIdentity.email || userIdentity.id || 'guest', progressPathId) : 1;
+                    const activity = hasSelectedTopic ? await getActivitySummary(userIdentity) : null;
+                    const pathOverview = hasSelectedTopic ? await getPathOverview(userIdentity) : null;
+                    const primaryPaused = pathOverview?.primary && Growth90.Learning.PathLibrary.getStatus(pathOverview.primary) === 'paused';
+                    const canFreezeToday = Boolean(activity && !activity.todayActive && !activity.todayFrozen &&
+                        activity.currentStreak > 0 && activity.freezesRemaining > 0);
                     
                     contentArea.innerHTML = `
                         <div class="home-container">
@@ -1164,9 +1505,12 @@ window.Growth90 = (() => {
                                                 <div class="topic-badge-small" title="Selected domain">
                                                     ${userIdentity.selectedTopic.id.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
                                                 </div>
+                                                ${primaryPaused ? '<span class="path-status-badge paused">Paused</span>' : ''}
                                             </div>
                                         </div>
                                         
+                                        ${renderPathSwitcher(pathOverview, 'home-path-switcher')}
+                                        
                                         <div class="learning-summary-actions">
                                             <button class="primary-btn start-learning-btn" id="start-learning-btn">
                                                 <span>Start Learning</span>
@@ -1175,9 +1519,9 @@ window.Growth90 = (() => {
                                         </div>
                                         
                                         <div class="quick-stats">
-                                            <div class="quick-stat">
-                                                <span class="stat-icon">🔥</span>
-                                                <span class="stat-value">${calculateStreak(userIdentity)}</span>
+                                            <div class="quick-stat" title="Longest streak: ${activity ? activity.longestStreak : 0} days">
+                                                <span class="stat-icon">${activity?.todayFrozen ? '❄️' : '🔥'}</span>
+                                                <span class="stat-value">${calculateStreak(activity)}</span>
                                                 <span class="stat-label">Day Streak</span>
                                             </div>
                                             <div class="quick-stat">
@@ -1187,10 +1531,21 @@ window.Growth90 = (() => {
                                             </div>
                                             <div class="quick-stat">
                                                 <span class="stat-icon">⏰</span>
-                                                <span class="stat-value">${calculateTimeInvested(userIdentity)}h</span>
+                                                <span class="stat-value">${calculateTimeInvested(activity)}h</span>
                                                 <span class="stat-label">Time Invested</span>
                                             </div>
                                         </div>
+                                        
+                                        ${activity ? `
+                                            <div class="streak-details">
+                                                <span>Best streak: ${activity.longestStreak} ${activity.longestStreak === 1 ? 'day' : 'days'}</span>
+                                                ${canFreezeToday ? `
+                                                    <button class="secondary-btn streak-freeze-btn" id="streak-freeze-btn" type="button">
+                                                        ❄️ Freeze today (${activity.freezesRemaining} left)
+                                                    </button>
+                                                ` : ''}
+                                            </div>
+                                        ` : ''}
                                     </div>
                                 ` : ''}
                                 
@@ -1271,6 +1626,27 @@ window.Growth90 = (() => {
                     }
                     
                     // Add event handlers
+                    bindPathSwitcher(contentArea, 'home-path-switcher', userIdentity, () => showHome());
+                    
+                    const streakFreezeBtn = document.getElementById('streak-freeze-btn');
+                    if (streakFreezeBtn) {
+                        streakFreezeBtn.addEventListener('click', async () => {
+                            streakFreezeBtn.disabled = true;
+                            try {
+                                await Growth90.Learning.ActivityTracker.freezeDay(
+                                    userIdentity.email || userIdentity.id || 'guest',
+                                    null,
+                                    { timeZone: activity.timeZone }
+                                );
+                                UI.Components.Notifications.success('Today is frozen. Your streak is safe! ❄️');
+                                showHome();
+                            } catch (error) {
+                                streakFreezeBtn.disabled = false;
+                                UI.Components.Notifications.error(error.message || 'Could not freeze today.');
+                            }
+                        });
+                    }
+                    
                     const editProfileBtn = document.getElementById('edit-profile-btn');
                     if (editProfileBtn) {
                         editProfileBtn.addEventListener('click', () => {
@@ -1289,9 +1665,9 @@ window.Growth90 = (() => {
                     if (changeTopicBtn) {
                         changeTopicBtn.addEventListener('click', () => {
                             // Clear selected topic and reload topic selection
-                            const userIdentity = JSON.parse(localStorage.getItem('growth90_user_identity') || '{}');
+                            const userIdentity = Growth90.User.Profile.get() || {};
                             delete userIdentity.selectedTopic;
-                            localStorage.setItem('growth90_user_identity', JSON.stringify(userIdentity));
+                            Growth90.User.Profile.save(userIdentity);
                             showHome(); // Reload home page
                         });
                     }
@@ -1648,6 +2024,55 @@ window.Growth90 = (() => {
             }
         }
 
+        // Run a streaming request, handing its accumulated text to `render` as chunks arrive
+        async function withStreamPreview(streamId, render, task) {
+            const handleChunk = (detail) => {
+                if (detail && detail.streamId === streamId) render(detail.text);
+            };
+            Core.EventBus.on('api:stream:chunk', handleChunk);
+            try {
+                return await task();
+            } finally {
+                Core.EventBus.off('api:stream:chunk', handleChunk);
+            }
+        }
+
+        // Pull readable string values out of a partial JSON document
+        function extractStreamingText(raw, minLength = 40) {
+            const text = String(raw || '').trim();
+            if (!/^[\[{]/.test(text)) return text ? [text] : [];
+
+            const strings = [];
+            const pattern = /"((?:[^"\\]|\\.)*)("|$)/g;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                // Skip object keys
+                if (/^\s*:/.test(text.slice(pattern.lastIndex))) continue;
+                let value;
+                try {
+                    value = JSON.parse(`"${match[1].replace(/\\$/, '')}"`);
+                } catch (_) {
+                    value = match[1].replace(/\\n/g, '\n').replace(/\\"/g, '"');
+                }
+                if (value.trim().length >= minLength) strings.push(value.trim());
+            }
+            return strings;
+        }
+
+        async function generatePathWithPreview(userProfile, professionalContext, learningPreferences, skillDomain) {
+            return withStreamPreview(
+                'learning-path',
+                (text) => UI.Components.Loading.preview(extractStreamingText(text, 12).slice(-6).join('\n')),
+                () => Growth90.Data.API.learningPath.generatePath(
+                    userProfile,
+                    professionalContext,
+                    learningPreferences,
+                    skillDomain,
+                    { stream: true, streamId: 'learning-path' }
+                )
+            );
+        }
+
         // Function to generate learning path for selected specialization
         async function generateLearningPathForSpecialization(domainId, domainTitle, selectedSpecialization) {
             try {
@@ -1666,7 +2091,7 @@ window.Growth90 = (() => {
                     icon: selectedSpecialization.icon
                 };
 
-                localStorage.setItem('growth90_user_identity', JSON.stringify(userIdentity));
+                Growth90.User.Profile.save(userIdentity);
 
                 // Generate learning path using the existing API
                 const professionalContext = {
@@ -1684,7 +2109,7 @@ window.Growth90 = (() => {
 
                 // Call the learning path generation API
                 try {
-                    const learningPathResponse = await Growth90.Data.API.learningPath.generatePath(
+                    const learningPathResponse = await generatePathWithPreview(
                         userIdentity,
                         professionalContext,
                         learningPreferences,
@@ -1763,6 +2188,7 @@ window.Growth90 = (() => {
                     userId: userProfile.email || userProfile.id || 'anonymous',
                     userProfile: userProfile,
                     specialization: specialization,
+                    topic: userProfile.selectedTopic || null,
                     pathData: learningPathData,
                     status: 'active',
                     progress: {
@@ -1779,15 +2205,8 @@ window.Growth90 = (() => {
                 // Store in IndexedDB
                 await Growth90.Data.Storage.setItem('learningPaths', learningPath);
                 
-                // Also store as current active path in localStorage for quick access
-                localStorage.setItem('growth90_active_learning_path', JSON.stringify({
-                    id: pathId,
-                    title: learningPathData.course_title,
-                    specialization: specialization.title,
-                    currentDay: 1,
-                    totalDays: learningPathData.daily_curriculum?.length || 90,
-                    createdAt: learningPath.createdAt
-                }));
+                // A new path becomes primary; other paths keep running alongside it
+                await Growth90.Learning.PathLibrary.setPrimary(learningPath.userId, pathId);
                 
                 return pathId;
                 
@@ -2147,12 +2566,7 @@ window.Growth90 = (() => {
 
         // Helper function to get current user profile
         function getCurrentUserProfile() {
-            try {
-                const stored = localStorage.getItem('growth90_user_identity');
-                return stored ? JSON.parse(stored) : null;
-            } catch (e) {
-                return null;
-            }
+            return Growth90.User.Profile.get();
         }
 
         // Helper function to parse skills from specializations API response
@@ -2652,7 +3066,7 @@ window.Growth90 = (() => {
                     icon: selectedSkill.icon
                 };
                 
-                localStorage.setItem('growth90_user_identity', JSON.stringify(userIdentity));
+                Growth90.User.Profile.save(userIdentity);
                 
                 // Store detailed selection for learning path generation
                 sessionStorage.setItem('skillSelection', JSON.stringify(skillSelection));
@@ -2673,7 +3087,7 @@ window.Growth90 = (() => {
                 };
                 
                 // Call the API to generate learning path
-                const learningPathResponse = await Growth90.Data.API.learningPath.generatePath(
+                const learningPathResponse = await generatePathWithPreview(
                     userProfile,
                     professionalContext,
                     learningPreferences,
@@ -2707,12 +3121,7 @@ window.Growth90 = (() => {
                 const contentArea = document.getElementById('app-content');
                 
                 // Get user identity and selected topic
-                let userIdentity = null;
-                try {
-                    const stored = localStorage.getItem('growth90_user_identity');
-                    userIdentity = stored ? JSON.parse(stored) : null;
-                } catch (e) {
-                }
+                let userIdentity = Growth90.User.Profile.get();
 
                 if (!userIdentity || !userIdentity.selectedTopic) {
                     // No topic selected, redirect to home
@@ -2746,10 +3155,14 @@ window.Growth90 = (() => {
                 }
 
                 const selectedTopic = userIdentity.selectedTopic;
+                const activity = await getActivitySummary(userIdentity);
+                const pathOverview = await getPathOverview(userIdentity);
                 
                 // Always compute last active day based on progress; ignore any manually selected day
                 // Requirement: #learning should display the last active day regardless of selections on #path
-                let currentDay = await getCurrentDayByCompletion(userIdentity.email || userIdentity.id || 'guest', selectedTopic.id);
+                const progressPathId = await Growth90.Learning.ProgressStore.resolvePathId(userIdentity);
+                let currentDay = await getCurrentDayByCompletion(userIdentity.email || userIdentity.id || 'guest', progressPathId);
+                const catchUp = await getCatchUpProposal(userIdentity, progressPathId, currentDay);
                 
                 contentArea.innerHTML = `
                     <div class="learning-container">
@@ -2767,6 +3180,15 @@ window.Growth90 = (() => {
                             </div>
                         </div>
                         
+                        ${renderPathSwitcher(pathOverview, 'learning-path-switcher')}
+                        
+                        ${catchUp ? `
+                            <div class="catch-up-banner" role="status">
+                                <span>⏳ You're ${catchUp.status.daysBehind} days behind schedule.</span>
+                                <button class="secondary-btn catch-up-btn" id="catch-up-btn" type="button">Plan catch-up</button>
+                            </div>
+                        ` : ''}
+                        
                         <div class="learning-content">
                             <!-- Today's Lessons -->
                             <div class="lessons-section">
@@ -2777,13 +3199,16 @@ window.Growth90 = (() => {
                                     </div>
                                 </div>
                             </div>
-                            
+
+                            <!-- Spaced Repetition Review -->
+                            <div class="review-section" id="review-block"></div>
+
                             <!-- Progress Stats -->
                             <div class="learning-stats">
                                 <div class="stat-card">
                                     <div class="stat-icon">🔥</div>
                                     <div class="stat-content">
-                                        <div class="stat-number">${calculateStreak(userIdentity)}</div>
+                                        <div class="stat-number">${calculateStreak(activity)}</div>
                                         <div class="stat-label">Day Streak</div>
                                     </div>
                                 </div>
@@ -2797,7 +3222,7 @@ window.Growth90 = (() => {
                                 <div class="stat-card">
                                     <div class="stat-icon">⏰</div>
                                     <div class="stat-content">
-                                        <div class="stat-number">${calculateTimeInvested(userIdentity)}h</div>
+                                        <div class="stat-number">${calculateTimeInvested(activity)}h</div>
                                         <div class="stat-label">Time Invested</div>
                                     </div>
                                 </div>
@@ -2834,6 +3259,16 @@ window.Growth90 = (() => {
                 }, 100);
                 
                 // Add event handlers
+                bindPathSwitcher(contentArea, 'learning-path-switcher', userIdentity, () => showTodaysLearning());
+                loadReviewBlock(userIdentity, progressPathId);
+
+                const catchUpBtn = document.getElementById('catch-up-btn');
+                if (catchUpBtn) {
+                    catchUpBtn.addEventListener('click', () => {
+                        showCatchUpModal(progressPathId, catchUp, () => showTodaysLearning());
+                    });
+                }
+                
                 const backHomeBtn = document.getElementById('back-home-btn');
                 if (backHomeBtn) {
                     backHomeBtn.addEventListener('click', () => {
@@ -2873,13 +3308,10 @@ window.Growth90 = (() => {
             try {
                 const contentArea = document.getElementById('app-content');
 
-                let userIdentity = null;
-                try {
-                    userIdentity = JSON.parse(localStorage.getItem('growth90_user_identity') || '{}');
-                } catch (e) {}
+                const userIdentity = Growth90.User.Profile.get() || {};
 
                 // Selected topic (focus skill) is optional for viewing paths; use if present
-                const userId = (userIdentity && (userIdentity.email || userIdentity.id)) || null;
+                const userId = Growth90.User.Profile.getUserId();
                 const pathTopicId = (userIdentity && userIdentity.selectedTopic && userIdentity.selectedTopic.id) || null;
 
                 // Fetch learning paths for this user; allow selecting among them
@@ -2917,7 +3349,7 @@ window.Growth90 = (() => {
                         try {
                             const allPaths = await Growth90.Data.Storage.getAllItems('learningPaths');
                             
-                            const filteredPaths = userId ? allPaths.filter(path => path.userId === userId) : allPaths;
+                            const filteredPaths = allPaths.filter(path => path.userId === userId);
                             userPathsList = filteredPaths;
                             if (preferPathId) {
                                 learningPath = filteredPaths.find(p => p.id === preferPathId) || learningPath;
@@ -2935,7 +3367,8 @@ window.Growth90 = (() => {
                     if (!learningPath) {
                         try {
                             const db = await new Promise((resolve, reject) => {
-                                const request = indexedDB.open('Growth90DB', 1);
+                                // Open at the current version; Storage owns schema upgrades
+                                const request = indexedDB.open('Growth90DB');
                                 request.onsuccess = () => resolve(request.result);
                                 request.onerror = () => reject(request.error);
                             });
@@ -2971,7 +3404,14 @@ window.Growth90 = (() => {
 
                 // If user has multiple paths stored, render all of them
                 if (Array.isArray(userPathsList) && userPathsList.length > 1) {
-                    const pathsSorted = [...userPathsList].sort((a,b)=> new Date(b.createdAt||0)-new Date(a.createdAt||0));
+                    const library = Growth90.Learning.PathLibrary;
+                    const pathOverview = await getPathOverview(userIdentity || {});
+                    const primaryId = pathOverview?.primary?.id || null;
+                    const statusRank = { active: 0, paused: 1, archived: 2 };
+                    const pathsSorted = [...userPathsList].sort((a,b) =>
+                        (b.id === primaryId) - (a.id === primaryId) ||
+                        statusRank[library.getStatus(a)] - statusRank[library.getStatus(b)] ||
+                        new Date(b.createdAt||0)-new Date(a.createdAt||0));
 
                     const renderOnePath = (lp, idx) => {
                         // Extract new-format data if available
@@ -2999,6 +3439,10 @@ window.Growth90 = (() => {
                         }
                         courseTitle = courseTitle || lp.title || 'Learning Path';
                         courseDescription = courseDescription || lp.description || '';
+                        const milestoneDays = getMilestoneDays(lp);
+                        const phaseStatus = Growth90.Learning.PathManager ? Growth90.Learning.PathManager.getPhaseStatus(lp) : [];
+                        const isDayLocked = (day) => phaseStatus.some(phase => phase.locked && day >= phase.startDay && day <= phase.endDay);
+                        const milestoneStatus = lp.milestoneStatus || {};
 
                         // Build weeks
                         let weeksHtml = '';
@@ -3021,6 +3465,7 @@ window.Growth90 = (() => {
                                         <div class="path-day" data-day="${dayNum}">
                                             <div class="path-day-header">
                                                 <span class="day-badge">Day ${dayNum}</span>
+                                                ${isDayLocked(Number(dayNum)) ? '<span class="path-status-badge day-lock-badge">🔒 Locked</span>' : ''}
                                             </div>
                                             <div class="path-day-content">
                                                 <div class="path-day-title">${Core.Utils.sanitizeHTML(label)}</div>
@@ -3031,7 +3476,10 @@ window.Growth90 = (() => {
                                                 ${d.extension_opportunities ? `<div class=\"path-day-extend\"><em>${Core.Utils.sanitizeHTML(d.extension_opportunities)}</em></div>` : ''}
                                             </div>
                                             <div class="path-day-actions">
-                                                <button class="secondary-btn path-day-btn" data-action="goto-learning" data-day="${dayNum}">Start Lessons</button>
+                                                <button class="secondary-btn path-day-btn" data-action="goto-learning" data-path="${lp.id}" data-day="${dayNum}">Start Lessons</button>
+                                                ${milestoneDays.has(Number(dayNum)) ? `
+                                                    <button class="primary-btn path-day-btn" data-action="start-assessment" data-path="${lp.id}" data-day="${dayNum}">🎯 Milestone Assessment</button>
+                                                ` : ''}
                                             </div>
                                         </div>
                                     `;
@@ -3065,6 +3513,14 @@ window.Growth90 = (() => {
                                                 <div class="milestone-description">${Core.Utils.sanitizeHTML(m.description || '')}</div>
                                                 <div class="milestone-day">Day ${m.day}</div>
                                             </div>
+                                            <div class="milestone-status">
+                                                ${milestoneStatus[m.day]?.score !== undefined ? `
+                                                    <span class="path-status-badge ${milestoneStatus[m.day].status === 'passed' ? 'primary' : 'paused'}">
+                                                        ${milestoneStatus[m.day].status === 'passed' ? '✅ Passed' : 'Not passed yet'} · ${milestoneStatus[m.day].score}
+                                                    </span>
+                                                ` : ''}
+                                                <button class="secondary-btn" data-action="start-assessment" data-path="${lp.id}" data-day="${m.day}">${milestoneStatus[m.day]?.score !== undefined ? 'Retake' : 'Take Assessment'}</button>
+                                            </div>
                                         </div>
                                     `).join('')}
                                 </div>
@@ -3115,10 +3571,39 @@ window.Growth90 = (() => {
                             </div>
                         ` : '';
 
+                        // Status and management controls
+                        const status = library.getStatus(lp);
+                        const isPrimary = lp.id === primaryId;
+                        const controlsHtml = `
+                            <div class="path-manage-actions">
+                                ${isPrimary ? '<span class="path-status-badge primary">★ Primary</span>' : ''}
+                                ${status !== 'active' ? `<span class="path-status-badge ${status}">${status === 'paused' ? 'Paused' : 'Archived'}</span>` : ''}
+                                ${!isPrimary && status !== 'archived' ? `<button class="secondary-btn" data-action="set-primary" data-path="${lp.id}">Make Primary</button>` : ''}
+                                ${status === 'active' ? `<button class="secondary-btn" data-action="pause-path" data-path="${lp.id}">Pause</button>` : ''}
+                                ${status === 'paused' ? `<button class="secondary-btn" data-action="resume-path" data-path="${lp.id}">Resume</button>` : ''}
+                                ${status === 'archived'
+                                    ? `<button class="secondary-btn" data-action="restore-path" data-path="${lp.id}">Restore</button>`
+                                    : `<button class="secondary-btn" data-action="archive-path" data-path="${lp.id}">Archive</button>`}
+                            </div>
+                        `;
+
+                        // Archived paths collapse to their header
+                        if (status === 'archived') {
+                            return `
+                                <section class="path-section-block archived" data-path="${lp.id}">
+                                    <header class="path-subheader">
+                                        <h2>${Core.Utils.sanitizeHTML(courseTitle)}</h2>
+                                        ${controlsHtml}
+                                    </header>
+                                </section>
+                            `;
+                        }
+
                         return `
-                            <section class="path-section-block" data-path="${lp.id}">
+                            <section class="path-section-block ${status}" data-path="${lp.id}">
                                 <header class="path-subheader">
                                     <h2>${Core.Utils.sanitizeHTML(courseTitle)}</h2>
+                                    ${controlsHtml}
                                     ${courseDescription ? `<p class="path-description">${Core.Utils.sanitizeHTML(courseDescription)}</p>` : ''}
                                 </header>
                                 ${phaseInfoHtml}
@@ -3132,6 +3617,7 @@ window.Growth90 = (() => {
                     };
 
                     const allSections = pathsSorted.map(renderOnePath).join('');
+                    const runningCount = pathsSorted.filter(p => library.getStatus(p) !== 'archived').length;
 
                     contentArea.innerHTML = `
                         <div class="learning-path-container">
@@ -3139,7 +3625,7 @@ window.Growth90 = (() => {
                                 <div class="path-icon">🗺️</div>
                                 <div class="path-titles">
                                     <h1>Your Learning Paths</h1>
-                                    <p class="path-subtitle">Showing ${pathsSorted.length} stored paths</p>
+                                    <p class="path-subtitle">${runningCount} running · ${pathsSorted.length - runningCount} archived</p>
                                 </div>
                                 <div class="path-actions">
                                     <button class="secondary-btn" data-route="home">← Back to Home</button>
@@ -3150,13 +3636,53 @@ window.Growth90 = (() => {
                     `;
 
                     // Wire actions
+                    const pathUserId = userId || 'guest';
                     contentArea.querySelectorAll('[data-action="goto-learning"]').forEach(btn => {
-                        btn.addEventListener('click', (e) => {
-                            const day = e.target.getAttribute('data-day');
+                        btn.addEventListener('click', async (e) => {
+                            const day = e.currentTarget.getAttribute('data-day');
+                            const pathId = e.currentTarget.getAttribute('data-path');
+                            if (pathId && pathId !== primaryId) {
+                                try {
+                                    await library.setPrimary(pathUserId, pathId);
+                                } catch (error) {
+                                    UI.Components.Notifications.error(error.message || 'Could not switch learning path.');
+                                    return;
+                                }
+                            }
                             if (day) sessionStorage.setItem('selectedDay', day);
                             Core.Router.navigate('learning');
                         });
                     });
+                    const pathActions = {
+                        'set-primary': { run: library.setPrimary, done: 'Primary path updated' },
+                        'pause-path': { run: library.pause, done: 'Path paused' },
+                        'resume-path': { run: library.resume, done: 'Path resumed' },
+                        'archive-path': { run: library.archive, done: 'Path archived' },
+                        'restore-path': { run: library.restore, done: 'Path restored' }
+                    };
+                    Object.entries(pathActions).forEach(([action, { run, done }]) => {
+                        contentArea.querySelectorAll(`[data-action="${action}"]`).forEach(btn => {
+                            btn.addEventListener('click', async (e) => {
+                                const button = e.currentTarget;
+                                button.disabled = true;
+                                try {
+                                    await run(pathUserId, button.getAttribute('data-path'));
+                                    UI.Components.Notifications.success(done);
+                                    showLearningPath();
+                                } catch (error) {
+                                    button.disabled = false;
+                                    UI.Components.Notifications.error(error.message || 'Could not update learning path.');
+                                }
+                            });
+                        });
+                    });
+                    contentArea.querySelectorAll('[data-action="start-assessment"]').forEach(btn => {
+                        btn.addEventListener('click', (e) => {
+                            const pathId = e.currentTarget.getAttribute('data-path');
+                            const lp = pathsSorted.find(p => p.id === pathId);
+                            startMilestoneAssessment(lp, e.currentTarget.getAttribute('data-day'));
+                        });
+                    });
                     contentArea.querySelectorAll('[data-route]').forEach(btn => {
                         btn.addEventListener('click', (e) => {
                             Core.Router.navigate(e.target.getAttribute('data-route'));
@@ -3255,6 +3781,7 @@ window.Growth90 = (() => {
                 };
 
                 const stats = calculateProgressStats();
+                const milestoneDays = getMilestoneDays(learningPath);
 
                 // Build UI
                 const topicName = courseTitle || learningPath?.specialization?.title || pathTopicId?.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) || (learningPath?.title || 'Your Focus');
@@ -3315,6 +3842,9 @@ window.Growth90 = (() => {
                                         <button class="secondary-btn path-day-btn" data-action="goto-learning" data-day="${dayNum}">
                                             ${done ? 'Review' : 'Start'} Lessons
                                         </button>
+                                        ${milestoneDays.has(Number(dayNum)) ? `
+                                            <button class="primary-btn path-day-btn" data-action="start-assessment" data-day="${dayNum}">🎯 Milestone Assessment</button>
+                                        ` : ''}
                                     </div>
                                 </div>
                             `;
@@ -3359,6 +3889,7 @@ window.Growth90 = (() => {
                                     </div>
                                     <div class="milestone-status">
                                         ${isCompleted ? '<span class="badge-success">Completed</span>' : '<span class="badge-secondary">Upcoming</span>'}
+                                        <button class="secondary-btn" data-action="start-assessment" data-day="${milestone.day}">Take Assessment</button>
                                     </div>
                                 </div>
                             `;
@@ -3567,6 +4098,12 @@ window.Growth90 = (() => {
                     });
                 });
 
+                contentArea.querySelectorAll('[data-action="start-assessment"]').forEach(btn => {
+                    btn.addEventListener('click', (e) => {
+                        startMilestoneAssessment(learningPath, e.currentTarget.getAttribute('data-day'));
+                    });
+                });
+
                 // Wire route buttons
                 contentArea.querySelectorAll('[data-route]').forEach(btn => {
                     btn.addEventListener('click', (e) => {
@@ -3634,7 +4171,7 @@ window.Growth90 = (() => {
         // Function to load suggested topics based on user profile
         async function loadSuggestedTopics() {
             try {
-                const userIdentity = JSON.parse(localStorage.getItem('growth90_user_identity') || '{}');
+                const userIdentity = (Growth90.User.Profile.get() || {});
                 const topicsGrid = document.getElementById('suggested-topics-grid');
                 
                 if (!topicsGrid) return;
@@ -3820,13 +4357,13 @@ window.Growth90 = (() => {
             
             // Store selected topic (for legacy topics or custom topics)
             try {
-                const userIdentity = JSON.parse(localStorage.getItem('growth90_user_identity') || '{}');
+                const userIdentity = (Growth90.User.Profile.get() || {});
                 userIdentity.selectedTopic = {
                     id: topicId,
                     description: description,
                     selectedAt: new Date().toISOString()
                 };
-                localStorage.setItem('growth90_user_identity', JSON.stringify(userIdentity));
+                Growth90.User.Profile.save(userIdentity);
 
                 // Show confirmation and navigate to learning path setup
                 UI.Components.Notifications.success(`Selected: ${topicId.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}`);
@@ -3900,10 +4437,10 @@ window.Growth90 = (() => {
             UI.Components.Loading.show('Creating your personalized learning path...');
             
             try {
-                const userIdentity = JSON.parse(localStorage.getItem('growth90_user_identity') || '{}');
+                const userIdentity = (Growth90.User.Profile.get() || {});
                 
                 
-                const response = await Growth90.Data.API.learningPath.generatePath(
+                const response = await generatePathWithPreview(
                     userIdentity,
                     {
                         industry: userIdentity.industry,
@@ -3934,13 +4471,17 @@ window.Growth90 = (() => {
                     description: courseDescription || `Auto-generated path for ${topicId}`,
                     duration: dailyCurriculum.length || 90,
                     status: 'active',
+                    topic: userIdentity.selectedTopic || null,
                     createdAt: new Date().toISOString(),
                     curriculum: dailyCurriculum, // keep in legacy field for compatibility
                     milestones: milestonesNew,
                     // Store full structured response for richer UI on path page
                     pathData: output
                 };
-                try { await Growth90.Data.Storage.setItem('learningPaths', lp); } catch(e) { /* ignore */ }
+                try {
+                    await Growth90.Data.Storage.setItem('learningPaths', lp);
+                    await Growth90.Learning.PathLibrary.setPrimary(lp.userId, lp.id);
+                } catch(e) { /* ignore */ }
 
                 UI.Components.Notifications.success('Learning path created successfully!');
                 // Navigate to Today's Learning page
@@ -3961,6 +4502,37 @@ window.Growth90 = (() => {
         }
 
         // Function to load today's lessons
+        async function renderPhaseLock(day, container) {
+            const manager = Growth90.Learning.PathManager;
+            if (!manager) return false;
+
+            try {
+                const userIdentity = (Growth90.User.Profile.get() || {});
+                const pathId = await Growth90.Learning.ProgressStore.resolvePathId(userIdentity);
+                const learningPath = await Growth90.Data.Storage.getItem('learningPaths', pathId);
+                const lock = learningPath ? manager.getDayLock(learningPath, day) : null;
+                if (!lock) return false;
+
+                const status = learningPath.milestoneStatus?.[lock.milestone.day];
+                container.innerHTML = `
+                    <div class="phase-lock">
+                        <h3>🔒 ${Core.Utils.sanitizeHTML(lock.phase.title)} phase is locked</h3>
+                        <p>${status?.status === 'failed'
+                            ? `Your last ${Core.Utils.sanitizeHTML(lock.milestone.title)} score was ${status.score}. Retake it to unlock day ${lock.phase.startDay} onwards.`
+                            : `Take the ${Core.Utils.sanitizeHTML(lock.milestone.title)} assessment to unlock day ${lock.phase.startDay} onwards.`}</p>
+                        <button class="primary-btn" type="button" id="phase-lock-assessment">🎯 Take Milestone Assessment</button>
+                    </div>
+                `;
+                container.querySelector('#phase-lock-assessment').addEventListener('click', () => {
+                    startMilestoneAssessment(learningPath, lock.milestone.day);
+                });
+                return true;
+            } catch (error) {
+                console.error('❌ Failed to check phase lock:', error);
+                return false;
+            }
+        }
+
         async function loadTodaysLessons(selectedTopic, currentDay) {
             try {
                 const lessonsList = document.getElementById('lessons-list');
@@ -3968,6 +4540,10 @@ window.Growth90 = (() => {
                     return;
                 }
 
+                // Days in a phase locked behind a milestone assessment
+                if (await renderPhaseLock(currentDay, lessonsList)) {
+                    return;
+                }
                 
                 // Use the Content Delivery system which prioritizes IndexedDB curriculum data
                 try {
@@ -3988,7 +4564,7 @@ window.Growth90 = (() => {
 
                 // Fallback to direct API call if content delivery is not available
                 try {
-                    const userIdentity = JSON.parse(localStorage.getItem('growth90_user_identity') || '{}');
+                    const userIdentity = (Growth90.User.Profile.get() || {});
                     
                     // Try to get learning objective from IndexedDB curriculum first
                     let learningObjective = `Day ${currentDay} lesson`;
@@ -4045,10 +4621,15 @@ window.Growth90 = (() => {
                         }
                     };
                     
-                    const response = await Growth90.Data.API.content.getDailyLesson(
-                        learningObjective,
-                        stableUserContext,
-                        currentDay
+                    const response = await withStreamPreview(
+                        'daily-lesson',
+                        (text) => renderLessonStreamPreview(text, lessonsList),
+                        () => Growth90.Data.API.content.getDailyLesson(
+                            learningObjective,
+                            stableUserContext,
+                            currentDay,
+                            { stream: true, streamId: 'daily-lesson', signal: Core.Router.getRouteSignal() }
+                        )
                     );
 
                     if (response) {
@@ -4059,6 +4640,8 @@ window.Growth90 = (() => {
                     }
 
                 } catch (apiError) {
+                    // Left the page while the lesson was loading
+                    if (apiError.name === 'AbortError') return;
                     console.error('❌ API call failed, using default lessons:', apiError);
                     renderDefaultLessons(selectedTopic, lessonsList);
                 }
@@ -4077,6 +4660,19 @@ window.Growth90 = (() => {
             }
         }
 
+        // Show the lesson text as it streams in, until the full response is rendered
+        function renderLessonStreamPreview(text, container) {
+            if (!container.isConnected) return;
+            const preview = extractStreamingText(text).join('\n\n');
+            if (!preview) return;
+            container.innerHTML = `
+                <div class="lesson-streaming">
+                    <p class="loading-text">Writing your lesson<span class="loading-dots">...</span></p>
+                    <div class="lesson-text-content">${formatLessonContent(preview, { idPrefix: 'lesson-preview' })}</div>
+                </div>
+            `;
+        }
+
         // Render lessons from curriculum data stored in IndexedDB
         async function renderTodaysLessonsFromCurriculum(dailyContent, container) {
             try {
@@ -4135,9 +4731,16 @@ window.Growth90 = (() => {
                 // Add event listeners for notes
                 const notesBtn = container.querySelector('.lesson-notes-btn');
                 if (notesBtn) {
-                    notesBtn.addEventListener('click', (e) => {
-                        const lessonId = e.target.getAttribute('data-lesson-id');
-                        // TODO: Implement notes functionality
+                    notesBtn.addEventListener('click', async () => {
+                        const journal = Growth90.Learning.LessonJournal;
+                        if (!journal) return;
+                        const lessonData = {
+                            id: dailyContent.id,
+                            title: dailyContent.title,
+                            exercises: dailyContent.exercises
+                        };
+                        const context = journal.createLessonContext(lessonData, dailyContent.dayNumber);
+                        openLessonNotesModal(context, await journal.getNotes(context, lessonData));
                     });
                 }
                 
@@ -4176,6 +4779,7 @@ window.Growth90 = (() => {
                     const raw = data[key];
                     let title = meta.title;
                     let fullText = '';
+                    let reflectionPrompts = [];
 
                     if (typeof raw === 'string') {
                         fullText = raw;
@@ -4204,6 +4808,7 @@ window.Growth90 = (() => {
                                     }
                                 } else if (q.question_type === 'open_ended') {
                                     parts.push(`- Reflect and jot down your answer below.`);
+                                    reflectionPrompts.push(q.question_text);
                                 }
                                 if (q.feedback) {
                                     parts.push(`\n> ${q.feedback}`);
@@ -4225,6 +4830,7 @@ window.Growth90 = (() => {
                         title,
                         description: plain.slice(0, 180) + (plain.length > 180 ? '…' : ''),
                         fullContent: fullText,
+                        reflectionPrompts,
                         icon: meta.icon,
                         duration: meta.duration,
                         type: meta.type
@@ -4287,9 +4893,9 @@ window.Growth90 = (() => {
             }
             
             // Get current day and user info for completion status check
-            const userIdentity = JSON.parse(localStorage.getItem('growth90_user_identity') || '{}');
+            const userIdentity = (Growth90.User.Profile.get() || {});
             const userId = userIdentity.email || userIdentity.id || 'guest';
-            const pathId = userIdentity.selectedTopic?.id || 'default';
+            const pathId = await Growth90.Learning.ProgressStore.resolvePathId(userIdentity);
             const currentDay = await getCurrentDayByCompletion(userId, pathId);
             
             // Get all completed lessons for this user and path
@@ -4472,11 +5078,33 @@ window.Growth90 = (() => {
                         <div class="lesson-content-main">
                             <div class="content-section">
                                 <h2>📚 Learning Content</h2>
-                                <div class="lesson-text-content">
+                                <div class="lesson-text-content" id="lesson-text-content">
                                     ${formatLessonContent(lessonData.fullContent)}
                                 </div>
                             </div>
                             
+                            <div class="content-section lesson-journal" id="lesson-journal" hidden>
+                                <div class="lesson-journal-header">
+                                    <h2>📝 Your Notes</h2>
+                                    <span class="lesson-journal-status" id="lesson-journal-status" aria-live="polite"></span>
+                                </div>
+                                <div class="lesson-journal-fields" id="lesson-journal-fields"></div>
+                            </div>
+                            
+                            <div class="content-section lesson-assistant" id="lesson-assistant">
+                                <div class="lesson-assistant-header">
+                                    <h2>💬 Ask About This Lesson</h2>
+                                    <button class="lesson-assistant-clear" id="lesson-assistant-clear" type="button" hidden>Clear</button>
+                                </div>
+                                <div class="lesson-assistant-messages" id="lesson-assistant-messages" aria-live="polite"></div>
+                                <div class="lesson-assistant-prompts" id="lesson-assistant-prompts"></div>
+                                <form class="lesson-assistant-form" id="lesson-assistant-form">
+                                    <textarea class="form-input" id="lesson-assistant-input" rows="2" maxlength="1000"
+                                        placeholder="Ask a question about this lesson..."></textarea>
+                                    <button class="primary-btn" id="lesson-assistant-send" type="submit">Send</button>
+                                </form>
+                            </div>
+                            
                             <div class="lesson-actions">
                                 <button class="lesson-complete-btn primary-btn" onclick="completeLessonFromDetail('${lessonData.id}', ${day}, this)">
                                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
@@ -4502,106 +5130,286 @@ window.Growth90 = (() => {
             // Store current page state for navigation
             window.currentLessonData = { lessonData, day };
             
+            initializeLessonJournal(lessonData, day);
+            initializeLessonAssistant(lessonData, day);
+            startLessonTimer(lessonData, day);
+            
             // Scroll to top
             window.scrollTo(0, 0);
         }
         
-        // Helper: basic Markdown -> safe HTML renderer (headings, lists, code, emphasis)
-        function formatLessonContent(markdown) {
-            if (!markdown) return '<p>Content will be loaded here...</p>';
-
-            // Escape HTML first to avoid injection, then apply markdown
-            const escapeHtml = (s) => String(s)
-                .replace(/&/g, '&amp;')
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;');
-
-            // Extract fenced code blocks to placeholders to prevent content inside from being formatted
-            const codeBlocks = [];
-            let text = String(markdown);
-            text = text.replace(/```([\s\S]*?)```/g, (m, code) => {
-                const idx = codeBlocks.push(code) - 1;
-                return `[[[CODE_BLOCK_${idx}]]]`;
-            });
-
-            // Split into lines and process block structures
-            const lines = text.split(/\r?\n/);
-            let html = '';
-            let inUl = false, inOl = false, inP = false;
-
-            const closeParagraph = () => { if (inP) { html += '</p>'; inP = false; } };
-            const closeLists = () => { if (inUl) { html += '</ul>'; inUl = false; } if (inOl) { html += '</ol>'; inOl = false; } };
-
-            const renderInline = (s) => {
-                let out = escapeHtml(s);
-                // Auto-link bare URLs
-                out = out.replace(/(https?:\/\/[^\s)]+)/g, '<a href="$1" target="_blank" rel="noopener noreferrer">$1<\/a>');
-                // Markdown inline formatting
-                out = out
-                    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-                    .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-                    .replace(/`([^`]+)`/g, '<code>$1</code>')
-                    .replace(/\[(.*?)\]\((.*?)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1<\/a>');
-                return out;
-            };
-
-            for (let raw of lines) {
-                const line = raw.replace(/\s+$/,'');
-                if (!line.trim()) { // blank
-                    closeParagraph();
-                    closeLists();
-                    continue;
-                }
-
-                // Headings
-                const m = line.match(/^(#{1,6})\s+(.*)$/);
-                if (m) {
-                    closeParagraph();
-                    closeLists();
-                    const level = m[1].length;
-                    html += `<h${level}>${renderInline(m[2])}</h${level}>`;
-                    continue;
+        // Lesson assistant chat panel: per-lesson thread persisted in IndexedDB
+        async function initializeLessonAssistant(lessonData, day) {
+            const panel = document.getElementById('lesson-assistant');
+            const assistant = Growth90.Learning.LessonAssistant;
+            if (!panel) return;
+            if (!assistant) {
+                panel.remove();
+                return;
+            }
+            
+            const messagesEl = document.getElementById('lesson-assistant-messages');
+            const promptsEl = document.getElementById('lesson-assistant-prompts');
+            const form = document.getElementById('lesson-assistant-form');
+            const input = document.getElementById('lesson-assistant-input');
+            const sendButton = document.getElementById('lesson-assistant-send');
+            const clearButton = document.getElementById('lesson-assistant-clear');
+            const context = assistant.createLessonContext(lessonData, day);
+            let busy = false;
+            
+            const renderMessages = (messages, pendingQuestion = null) => {
+                if (!messages.length && !pendingQuestion) {
+                    messagesEl.innerHTML = `
+                        <p class="lesson-assistant-empty">Stuck on something? Ask the assistant to explain, give examples or quiz you on this lesson.</p>
+                    `;
+                } else {
+                    messagesEl.innerHTML = messages.map((message, index) => `
+                        <div class="lesson-assistant-message ${message.role}">
+                            <div class="lesson-assistant-bubble ${message.role === 'assistant' ? 'lesson-text-content' : ''}">
+                                ${message.role === 'assistant'
+                                    ? formatLessonContent(message.content, { idPrefix: `assistant-${index}` })
+                                    : Core.Utils.sanitizeHTML(message.content)}
+                            </div>
+                        </div>
+                    `).join('') + (pendingQuestion ? `
+                        <div class="lesson-assistant-message user">
+                            <div class="lesson-assistant-bubble">${Core.Utils.sanitizeHTML(pendingQuestion)}</div>
+                        </div>
+                        <div class="lesson-assistant-message assistant pending">
+                            <div class="lesson-assistant-bubble">Thinking…</div>
+                        </div>
+                    ` : '');
                 }
-
-                // Blockquote
-                if (/^>\s?/.test(line)) {
-                    closeParagraph();
-                    closeLists();
-                    html += `<blockquote>${renderInline(line.replace(/^>\s?/, ''))}</blockquote>`;
-                    continue;
+                clearButton.hidden = messages.length === 0 || !!pendingQuestion;
+                messagesEl.scrollTop = messagesEl.scrollHeight;
+            };
+            
+            const setBusy = (value) => {
+                busy = value;
+                sendButton.disabled = value;
+                input.disabled = value;
+                promptsEl.querySelectorAll('button').forEach(button => { button.disabled = value; });
+            };
+            
+            const submitQuestion = async (question) => {
+                const text = question.trim();
+                if (!text || busy) return;
+                
+                // Busy before the first await so a double Enter cannot send twice
+                setBusy(true);
+                input.value = '';
+                let thread = null;
+                
+                try {
+                    thread = await assistant.getThread(context);
+                    renderMessages(thread.messages, text);
+                    const updated = await assistant.ask(context, text);
+                    renderMessages(updated.messages);
+                } catch (error) {
+                    console.error('❌ Lesson assistant request failed:', error);
+                    if (thread) renderMessages(thread.messages);
+                    input.value = text;
+                    UI.Components.Notifications.error('The assistant could not answer right now. Please try again.');
+                } finally {
+                    setBusy(false);
+                    input.focus();
                 }
-
-                // Ordered list
-                if (/^\s*\d+\.\s+/.test(line)) {
-                    if (!inOl) { closeParagraph(); closeLists(); html += '<ol>'; inOl = true; }
-                    const item = line.replace(/^\s*\d+\.\s+/, '');
-                    html += `<li>${renderInline(item)}</li>`;
-                    continue;
+            };
+            
+            promptsEl.innerHTML = assistant.getQuickPrompts().map(prompt => `
+                <button class="lesson-assistant-prompt" type="button" data-prompt-id="${prompt.id}">${prompt.label}</button>
+            `).join('');
+            promptsEl.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-prompt-id]');
+                const prompt = assistant.getQuickPrompts().find(p => p.id === button?.dataset.promptId);
+                if (prompt) submitQuestion(prompt.prompt);
+            });
+            
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                submitQuestion(input.value);
+            });
+            
+            // Enter sends, Shift+Enter adds a new line
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    submitQuestion(input.value);
                 }
-
-                // Unordered list
-                if (/^\s*[-*+]\s+/.test(line)) {
-                    if (!inUl) { closeParagraph(); closeLists(); html += '<ul>'; inUl = true; }
-                    const item = line.replace(/^\s*[-*+]\s+/, '');
-                    html += `<li>${renderInline(item)}</li>`;
-                    continue;
+            });
+            
+            clearButton.addEventListener('click', async () => {
+                await assistant.clearThread(context);
+                renderMessages([]);
+            });
+            
+            const thread = await assistant.getThread(context);
+            // Ignore if the user already navigated away
+            if (document.getElementById('lesson-assistant') === panel) {
+                renderMessages(thread.messages);
+            }
+        }
+        
+        // Active time on the lesson page; stops by itself once the page is replaced
+        function startLessonTimer(lessonData, day) {
+            const tracker = Growth90.Learning.ActivityTracker;
+            const page = document.querySelector('.lesson-detail-page');
+            if (!tracker || !page) return;
+            
+            const userIdentity = (Growth90.User.Profile.get() || {});
+            tracker.start({
+                userId: userIdentity.email || userIdentity.id || 'guest',
+                pathId: Growth90.Learning.ProgressStore.getPathId(userIdentity),
+                day: Number(day) || 1,
+                lessonId: lessonData.id || 'default'
+            }, { element: page });
+        }
+        
+        // Lesson journal: checklist and reflections saved into the lesson's progress notes
+        let activeJournalFlush = null;
+        
+        async function initializeLessonJournal(lessonData, day) {
+            const section = document.getElementById('lesson-journal');
+            const journal = Growth90.Learning.LessonJournal;
+            activeJournalFlush = null;
+            if (!section || !journal) return;
+            
+            const context = journal.createLessonContext(lessonData, day);
+            const notes = await journal.getNotes(context, lessonData);
+            // Ignore if the user already navigated away
+            if (document.getElementById('lesson-journal') !== section) return;
+            
+            const fieldsEl = document.getElementById('lesson-journal-fields');
+            const statusEl = document.getElementById('lesson-journal-status');
+            let dirty = false;
+            
+            const save = async () => {
+                if (!dirty) return;
+                dirty = false;
+                try {
+                    await journal.saveNotes(context, notes);
+                    statusEl.textContent = 'Saved';
+                } catch (error) {
+                    console.error('❌ Failed to save lesson notes:', error);
+                    dirty = true;
+                    statusEl.textContent = 'Not saved';
                 }
-
-                // Paragraph text
-                if (!inP) { closeLists(); html += '<p>'; inP = true; }
-                html += `${renderInline(line)} `;
+            };
+            const scheduleSave = Core.Utils.debounce(save, 800);
+            const onChange = () => {
+                dirty = true;
+                statusEl.textContent = 'Saving…';
+                scheduleSave();
+            };
+            
+            // Task items in the lesson text become live checkboxes when they line up with the saved tasks
+            const inlineTasks = notes.tasks.filter(task => task.inline);
+            const contentEl = document.getElementById('lesson-text-content');
+            const inlineBoxes = contentEl
+                ? [...contentEl.querySelectorAll('.md-task input[type="checkbox"]')]
+                : [];
+            const inlineWired = inlineTasks.length > 0 && inlineBoxes.length === inlineTasks.length;
+            
+            if (inlineWired) {
+                inlineBoxes.forEach((box, index) => {
+                    const item = box.closest('.md-task');
+                    box.disabled = false;
+                    box.checked = inlineTasks[index].done;
+                    item.classList.toggle('md-task-done', box.checked);
+                    box.addEventListener('change', () => {
+                        inlineTasks[index].done = box.checked;
+                        item.classList.toggle('md-task-done', box.checked);
+                        onChange();
+                    });
+                });
             }
-            closeParagraph();
-            closeLists();
-
-            // Restore fenced code blocks
-            html = html.replace(/\[\[\[CODE_BLOCK_(\d+)\]\]\]/g, (m, idxStr) => {
-                const idx = parseInt(idxStr, 10);
-                const code = escapeHtml(codeBlocks[idx] || '');
-                return `<pre><code>${code}</code></pre>`;
+            
+            fieldsEl.innerHTML = renderJournalFields(notes, { skipInlineTasks: inlineWired });
+            bindJournalFields(fieldsEl, notes, onChange);
+            section.hidden = false;
+            
+            activeJournalFlush = save;
+        }
+        
+        function renderJournalFields(notes, { skipInlineTasks = false } = {}) {
+            const tasks = notes.tasks
+                .map((task, index) => ({ task, index }))
+                .filter(({ task }) => !(skipInlineTasks && task.inline));
+            
+            return `
+                ${tasks.length ? `
+                    <ul class="lesson-journal-tasks">
+                        ${tasks.map(({ task, index }) => `
+                            <li class="${task.done ? 'done' : ''}">
+                                <label>
+                                    <input type="checkbox" data-journal-task="${index}" ${task.done ? 'checked' : ''}>
+                                    <span>${Growth90.UI.Markdown.renderInline(task.text)}</span>
+                                </label>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                ${notes.reflections.map((entry, index) => `
+                    <label class="lesson-journal-reflection">
+                        <span class="lesson-journal-prompt">${Core.Utils.sanitizeHTML(entry.prompt)}</span>
+                        <textarea class="form-input" rows="3" maxlength="4000" data-journal-reflection="${index}"
+                            placeholder="Write your reflection...">${Core.Utils.sanitizeHTML(entry.answer || '')}</textarea>
+                    </label>
+                `).join('')}
+            `;
+        }
+        
+        function bindJournalFields(root, notes, onChange) {
+            root.addEventListener('change', (e) => {
+                const box = e.target.closest('[data-journal-task]');
+                if (!box) return;
+                notes.tasks[Number(box.getAttribute('data-journal-task'))].done = box.checked;
+                box.closest('li').classList.toggle('done', box.checked);
+                onChange();
             });
-
-            return html || '<p>Content will be loaded here...</p>';
+            root.addEventListener('input', (e) => {
+                const field = e.target.closest('[data-journal-reflection]');
+                if (!field) return;
+                notes.reflections[Number(field.getAttribute('data-journal-reflection'))].answer = field.value;
+                onChange();
+            });
+        }
+        
+        // Edit a lesson's notes outside the detail page (curriculum lessons, journal)
+        function openLessonNotesModal(context, savedNotes, onSaved = null) {
+            const journal = Growth90.Learning.LessonJournal;
+            const notes = JSON.parse(JSON.stringify(savedNotes));
+            
+            UI.Components.Modal.show({
+                title: context.lessonTitle ? `Notes: ${context.lessonTitle}` : 'Lesson Notes',
+                content: `<div class="lesson-journal-fields" id="lesson-notes-modal-fields">${renderJournalFields(notes)}</div>`,
+                allowHTML: true,
+                actions: [
+                    { label: 'Cancel' },
+                    {
+                        label: 'Save Notes',
+                        primary: true,
+                        handler: async () => {
+                            try {
+                                await journal.saveNotes(context, notes);
+                                UI.Components.Notifications.success('Notes saved');
+                                if (onSaved) onSaved();
+                            } catch (error) {
+                                console.error('❌ Failed to save lesson notes:', error);
+                                UI.Components.Notifications.error('Failed to save your notes. Please try again.');
+                            }
+                        }
+                    }
+                ]
+            });
+            
+            bindJournalFields(document.getElementById('lesson-notes-modal-fields'), notes, () => {});
+        }
+        
+        // Helper: Markdown -> safe HTML via the shared renderer
+        function formatLessonContent(markdown, options = {}) {
+            if (!markdown) return '<p>Content will be loaded here...</p>';
+            return Growth90.UI.Markdown.render(markdown, options);
         }
         
         // Global function for completing lesson from detail page
@@ -4615,6 +5423,9 @@ window.Growth90 = (() => {
             `;
             
             try {
+                if (activeJournalFlush) {
+                    await activeJournalFlush();
+                }
                 await completeLessonFlow(lessonId, day);
                 
                 // Show success message
@@ -4646,14 +5457,18 @@ window.Growth90 = (() => {
         
         async function completeLessonFlow(lessonId, day) {
             try {
-                const userIdentity = JSON.parse(localStorage.getItem('growth90_user_identity') || '{}');
+                const userIdentity = (Growth90.User.Profile.get() || {});
                 const userId = userIdentity.email || userIdentity.id || 'guest';
-                const pathId = userIdentity.selectedTopic?.id || 'default';
+                const pathId = await Growth90.Learning.ProgressStore.resolvePathId(userIdentity);
                 const currentDay = day || await getCurrentDayByCompletion(userId, pathId);
                 
+                // Store the active time measured on the lesson page before completing
+                if (Growth90.Learning.ActivityTracker) {
+                    await Growth90.Learning.ActivityTracker.stop();
+                }
+                
                 // Mark lesson as completed
                 const success = await markLessonCompleted(userId, pathId, currentDay, {
-                    timeSpent: 15, // Simulate 15 minutes spent
                     lessonId: lessonId
                 });
                 
@@ -4666,8 +5481,15 @@ window.Growth90 = (() => {
                     if (allDayLessonsCompleted) {
                         // All lessons for current day completed, show next day
                         const nextDay = await getCurrentDayByCompletion(userId, pathId);
+                        const reached = Growth90.Learning.PathManager
+                            ? await Growth90.Learning.PathManager.completeDay(userId, pathId, currentDay)
+                            : null;
                         
                         setTimeout(async () => {
+                            if (reached) {
+                                showMilestoneReachedModal(reached, () => showLearningForDay(nextDay));
+                                return;
+                            }
                             await showLearningForDay(nextDay);
                         }, 1500);
                     } else {
@@ -4756,7 +5578,7 @@ window.Growth90 = (() => {
         // Show learning content for a specific day
         async function showLearningForDay(dayNumber) {
             try {
-                const userIdentity = JSON.parse(localStorage.getItem('growth90_user_identity') || '{}');
+                const userIdentity = (Growth90.User.Profile.get() || {});
                 if (userIdentity.selectedTopic) {
                     // Update current navigation
                     updateActiveNavigation('learning');
@@ -4775,9 +5597,9 @@ window.Growth90 = (() => {
 
         async function startFirstLesson() {
             try {
-                const userIdentity = JSON.parse(localStorage.getItem('growth90_user_identity') || '{}');
+                const userIdentity = (Growth90.User.Profile.get() || {});
                 const userId = userIdentity.email || userIdentity.id || 'guest';
-                const pathId = userIdentity.selectedTopic?.id || 'default';
+                const pathId = await Growth90.Learning.ProgressStore.resolvePathId(userIdentity);
                 
                 // Get the current day based on completion
                 const currentDay = await getCurrentDayByCompletion(userId, pathId);
@@ -4826,91 +5648,853 @@ window.Growth90 = (() => {
             return 'evening';
         }
 
-        function showProfile() {
-            UI.Components.Loading.show('Loading your profile...');
-            
+        // Launch the assessment route for a path milestone
+        function startMilestoneAssessment(learningPath, day) {
+            const milestones = [
+                ...(Array.isArray(learningPath?.pathData?.milestone_assessments) ? learningPath.pathData.milestone_assessments : []),
+                ...(Array.isArray(learningPath?.milestones) ? learningPath.milestones : [])
+            ];
+            const milestone = milestones.find(m => Number(m.day) === Number(day));
+
+            sessionStorage.setItem('assessmentContext', JSON.stringify({
+                pathId: learningPath?.id || null,
+                day: Number(day),
+                title: milestone?.title || milestone?.type || '',
+                description: milestone?.description || ''
+            }));
+            Core.Router.navigate('assessment');
+        }
+
+        // A milestone day is done: its assessment decides whether the next phase opens
+        function showMilestoneReachedModal(reached, onLater) {
+            const { milestone, nextPhase, learningPath } = reached;
+            UI.Components.Modal.show({
+                title: `🎯 ${milestone.title}`,
+                content: `
+                    <p>You've completed day ${milestone.day}. ${Core.Utils.sanitizeHTML(milestone.description)}</p>
+                    ${nextPhase ? `<p>Pass this milestone assessment to unlock the ${Core.Utils.sanitizeHTML(nextPhase.title)} phase (day ${nextPhase.startDay} onwards).</p>` : ''}
+                `,
+                allowHTML: true,
+                actions: [
+                    { label: 'Later', handler: onLater },
+                    {
+                        label: 'Take assessment',
+                        primary: true,
+                        handler: () => startMilestoneAssessment(learningPath, milestone.day)
+                    }
+                ]
+            });
+        }
+
+        function getMilestoneDays(learningPath) {
+            const milestones = [
+                ...(Array.isArray(learningPath?.pathData?.milestone_assessments) ? learningPath.pathData.milestone_assessments : []),
+                ...(Array.isArray(learningPath?.milestones) ? learningPath.milestones : [])
+            ];
+            return new Set(milestones.map(m => Number(m.day)).filter(Boolean));
+        }
+
+        async function showAssessment() {
+            const contentArea = document.getElementById('app-content');
+            const engine = Growth90.Assessment?.Engine;
+            updateActiveNavigation('path');
+
+            let context = null;
             try {
-                const contentArea = document.getElementById('app-content');
-                
-                // Get current user profile
-                let userProfile = null;
-                try {
-                    const stored = localStorage.getItem('growth90_user_identity');
-                    userProfile = stored ? JSON.parse(stored) : null;
-                } catch (e) {
-                }
+                context = JSON.parse(sessionStorage.getItem('assessmentContext') || 'null');
+            } catch (e) {
+            }
 
-                if (!userProfile) {
-                    contentArea.innerHTML = `
-                        <div class="profile-container">
-                            <div class="profile-error">
-                                <h2>Profile Not Found</h2>
-                                <p>Please complete your initial setup first.</p>
-                                <button class="primary-btn" onclick="Core.Router.navigate('home')">Go to Home</button>
-                            </div>
+            if (!engine) {
+                contentArea.innerHTML = `
+                    <div class="assessment-container">
+                        <div class="assessment-header">
+                            <h1 class="assessment-title">Assessment Unavailable</h1>
+                            <p class="assessment-subtitle">The assessment engine could not be loaded. Please refresh the page.</p>
                         </div>
-                    `;
+                    </div>
+                `;
+                return;
+            }
+
+            try {
+                if (!engine.isInitialized()) {
+                    UI.Components.Loading.show('Preparing your assessment...');
+                    await engine.initialize();
                     UI.Components.Loading.hide();
-                    updateActiveNavigation('profile');
+                }
+
+                // Resume a session paused earlier in this visit
+                const current = engine.getCurrentAssessment();
+                if (current && current.status === 'in-progress') {
+                    presentAssessmentStep(await engine.getNextQuestion(), context);
                     return;
                 }
 
-                contentArea.innerHTML = generateProfileInterface(userProfile);
-                initializeProfileInterface(userProfile);
-                
-                UI.Components.Loading.hide();
-                updateActiveNavigation('profile');
-                
+                renderAssessmentIntro(context);
             } catch (error) {
-                console.error('Failed to load profile:', error);
+                console.error('Failed to load assessment:', error);
                 UI.Components.Loading.hide();
-                UI.Components.Notifications.error('Failed to load profile. Please try again.');
+                UI.Components.Notifications.error('Failed to load the assessment. Please try again.');
             }
         }
 
-        function generateProfileInterface(userProfile) {
-            return `
-                <div class="profile-container">
-                    <div class="profile-header">
-                        <h1 class="profile-title">Your Profile</h1>
-                        <p class="profile-subtitle">Manage your personal information and learning settings</p>
+        function renderAssessmentIntro(context) {
+            const contentArea = document.getElementById('app-content');
+            const title = context?.day ? `Day ${context.day} Milestone Assessment` : 'Skills Assessment';
+
+            contentArea.innerHTML = `
+                <div class="assessment-container">
+                    <div class="assessment-header">
+                        <h1 class="assessment-title">${Core.Utils.sanitizeHTML(title)}</h1>
+                        <p class="assessment-subtitle">${Core.Utils.sanitizeHTML(context?.description || 'An adaptive check-in across your core professional competencies.')}</p>
                     </div>
-                    
-                    <form id="profile-form" class="profile-form">
-                        <!-- Basic Information Section -->
-                        <div class="profile-section">
-                            <div class="section-header">
-                                <h2 class="section-title">
-                                    <span class="section-icon">👤</span>
-                                    Basic Information
-                                </h2>
-                            </div>
-                            
-                            <div class="form-grid">
-                                <div class="form-group">
-                                    <label class="form-label" for="profile-nickname">Nickname *</label>
-                                    <input type="text" id="profile-nickname" class="form-input" 
-                                           value="${userProfile.nickname || ''}" required>
-                                    <small class="form-help">How we'll address you in the platform</small>
-                                </div>
-                                
-                                <div class="form-group">
-                                    <label class="form-label" for="profile-email">Email Address *</label>
-                                    <input type="email" id="profile-email" class="form-input" 
-                                           value="${userProfile.email || ''}" required>
-                                    <small class="form-help">Used for updates and communication</small>
-                                </div>
+                    <div class="question-card">
+                        <div class="question-content">
+                            <p class="question-text">How it works</p>
+                            <div class="question-context">
+                                Questions adapt to your answers, so no two sessions are the same. Answer honestly &mdash;
+                                there are no trick questions. Most learners finish in about 10 minutes, and you'll see
+                                your competency profile at the end.
                             </div>
                         </div>
+                    </div>
+                    <div class="assessment-actions">
+                        <button class="action-button button-secondary" id="assessment-back">← Back to Path</button>
+                        <button class="action-button button-primary" id="assessment-begin">Begin Assessment</button>
+                    </div>
+                </div>
+            `;
 
-                        <!-- Professional Context Section -->
-                        <div class="profile-section">
-                            <div class="section-header">
-                                <h2 class="section-title">
-                                    <span class="section-icon">💼</span>
-                                    Professional Context
-                                </h2>
-                            </div>
+            document.getElementById('assessment-back').addEventListener('click', () => {
+                sessionStorage.removeItem('assessmentContext');
+                Core.Router.navigate('path');
+            });
+
+            document.getElementById('assessment-begin').addEventListener('click', async () => {
+                const engine = Growth90.Assessment.Engine;
+                const userIdentity = (Growth90.User.Profile.get() || {});
+
+                try {
+                    UI.Components.Loading.show('Building your question set...');
+                    const userId = userIdentity.email || userIdentity.id || 'guest';
+                    if (context?.day && context?.pathId && Growth90.Learning.PathManager) {
+                        await Growth90.Learning.PathManager.launchMilestoneAssessment(userId, context.pathId, context.day);
+                    } else {
+                        await engine.createAssessment({
+                            type: 'comprehensive',
+                            purpose: 'progress-evaluation',
+                            userId
+                        });
+                    }
+                    UI.Components.Loading.hide();
+                    presentAssessmentStep(await engine.getNextQuestion(), context);
+                } catch (error) {
+                    console.error('Failed to start assessment:', error);
+                    UI.Components.Loading.hide();
+                    UI.Components.Notifications.error('Failed to start the assessment. Please try again.');
+                }
+            });
+        }
+
+        // getNextQuestion returns the final result once the session is complete
+        function presentAssessmentStep(step, context) {
+            if (step && step.competencyProfile) {
+                renderAssessmentResults(step, context);
+            } else if (step) {
+                renderAssessmentQuestion(step, context);
+            }
+        }
+
+        function formatAssessmentLabel(value) {
+            return String(value || '').replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+        }
+
+        function renderAssessmentResponseInput(question) {
+            const scaleButtons = (labels) => `
+                <div class="rating-scale">
+                    ${labels.map((label, i) => `
+                        <button type="button" class="rating-option" data-value="${i + 1}">
+                            <span class="rating-circle">${i + 1}</span>
+                            <span class="rating-label">${Core.Utils.sanitizeHTML(label)}</span>
+                        </button>
+                    `).join('')}
+                </div>
+            `;
+            const optionButtons = (options) => options.map((option, i) => `
+                <button type="button" class="option-button" data-value="${i}">
+                    <span class="option-letter">${String.fromCharCode(65 + i)}</span>
+                    <span class="option-text">${Core.Utils.sanitizeHTML(option)}</span>
+                </button>
+            `).join('');
+            const defaultLabels = ['Very low', 'Low', 'Moderate', 'High', 'Very high'];
+
+            switch (question.type) {
+                case 'rating':
+                case 'peer-evaluation':
+                    return scaleButtons(question.scale?.labels || defaultLabels);
+                case 'behavioral-indicator':
+                    return `
+                        ${Array.isArray(question.indicators) && question.indicators.length ? `
+                            <div class="question-context">Look for: ${question.indicators.map(i => Core.Utils.sanitizeHTML(i)).join('; ')}</div>
+                        ` : ''}
+                        ${scaleButtons(['Never', 'Rarely', 'Sometimes', 'Often', 'Always'])}
+                    `;
+                case 'multiple-choice':
+                    return optionButtons(question.options || []);
+                case 'scenario-response':
+                    return `
+                        ${optionButtons(question.scenarios || [])}
+                        <div class="scenario-response">
+                            <textarea class="response-textarea" id="assessment-response-text" placeholder="Anything you'd add to your approach? (optional)"></textarea>
+                        </div>
+                    `;
+                case 'practical-demonstration':
+                    return `
+                        <div class="checkbox-group">
+                            ${(question.checklist || []).map((item, i) => `
+                                <label class="checkbox-option">
+                                    <input type="checkbox" value="${i}">
+                                    <span class="checkbox-custom"></span>
+                                    <span class="checkbox-text">${Core.Utils.sanitizeHTML(item)}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                        <textarea class="response-textarea" id="assessment-response-text" placeholder="Briefly describe your example (optional)"></textarea>
+                    `;
+                default:
+                    return scaleButtons(defaultLabels);
+            }
+        }
+
+        function collectAssessmentResponse(question, container, selectedValue) {
+            const text = container.querySelector('#assessment-response-text')?.value.trim() || '';
+
+            switch (question.type) {
+                case 'rating':
+                    return { value: selectedValue };
+                case 'peer-evaluation':
+                    return { rating: selectedValue };
+                case 'behavioral-indicator':
+                    return { frequency: selectedValue };
+                case 'multiple-choice':
+                    return { selected: selectedValue };
+                case 'scenario-response':
+                    return { selected: selectedValue, text };
+                case 'practical-demonstration':
+                    return {
+                        demonstrated: Array.from(container.querySelectorAll('input[type="checkbox"]:checked')).map(cb => Number(cb.value)),
+                        evidence: text
+                    };
+                default:
+                    return { value: selectedValue };
+            }
+        }
+
+        function renderAssessmentQuestion(question, context) {
+            const contentArea = document.getElementById('app-content');
+            const engine = Growth90.Assessment.Engine;
+            const assessment = engine.getCurrentAssessment();
+
+            const progress = question.total ? Math.round((question.index / question.total) * 100) : 0;
+            const confidenceValues = Object.values(assessment?.confidenceLevels || {});
+            const overallConfidence = confidenceValues.length
+                ? Math.round((confidenceValues.reduce((a, b) => a + b, 0) / confidenceValues.length) * 100)
+                : 0;
+            const difficulty = question.difficulty < 0.35 ? 'beginner' : question.difficulty < 0.65 ? 'intermediate' : 'advanced';
+            const title = context?.day ? `Day ${context.day} Milestone Assessment` : 'Skills Assessment';
+            // Nothing to select for checklists, so they can be submitted as-is
+            const needsSelection = question.type !== 'practical-demonstration';
+
+            contentArea.innerHTML = `
+                <div class="assessment-container">
+                    <div class="assessment-header">
+                        <h1 class="assessment-title">${Core.Utils.sanitizeHTML(title)}</h1>
+                        <div class="assessment-progress">
+                            <div class="progress-indicator">
+                                <span class="progress-text">Question ${question.index + 1} of ${question.total}</span>
+                                <div class="progress-bar">
+                                    <div class="progress-fill" style="width: ${progress}%"></div>
+                                </div>
+                            </div>
+                            <div class="progress-indicator" title="How certain we are about your competency estimates so far">
+                                <span class="progress-text">Confidence ${overallConfidence}%</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="question-card active">
+                        <div class="question-meta">
+                            <span class="question-type">${question.typeInfo?.icon || ''} ${formatAssessmentLabel(question.type)}</span>
+                            <span class="question-difficulty difficulty-${difficulty}">${formatAssessmentLabel(difficulty)}</span>
+                            <span class="question-competency">${formatAssessmentLabel(question.competency)}</span>
+                        </div>
+                        <div class="question-content">
+                            <p class="question-text">${Core.Utils.sanitizeHTML(question.question)}</p>
+                        </div>
+                        <div class="response-options" id="assessment-response">
+                            ${renderAssessmentResponseInput(question)}
+                        </div>
+                        <div class="confidence-section">
+                            <label class="confidence-label" for="assessment-confidence">How confident are you in this answer?</label>
+                            <input type="range" min="0" max="100" value="50" class="confidence-slider" id="assessment-confidence">
+                            <div class="confidence-labels">
+                                <span>Guessing</span>
+                                <span>Certain</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="assessment-actions">
+                        <button class="action-button button-secondary" id="assessment-pause">Pause</button>
+                        <button class="action-button ${needsSelection ? 'button-disabled' : 'button-primary'}" id="assessment-submit" ${needsSelection ? 'disabled' : ''}>Submit Answer</button>
+                    </div>
+                </div>
+            `;
+
+            const container = document.getElementById('assessment-response');
+            const submitBtn = document.getElementById('assessment-submit');
+            let selectedValue = null;
+
+            container.querySelectorAll('[data-value]').forEach(option => {
+                option.addEventListener('click', () => {
+                    container.querySelectorAll('[data-value]').forEach(o => o.classList.remove('selected'));
+                    option.classList.add('selected');
+                    selectedValue = Number(option.getAttribute('data-value'));
+                    submitBtn.disabled = false;
+                    submitBtn.classList.remove('button-disabled');
+                    submitBtn.classList.add('button-primary');
+                });
+            });
+
+            document.getElementById('assessment-pause').addEventListener('click', () => {
+                UI.Components.Notifications.info('Assessment paused. You can resume it from your learning path.');
+                Core.Router.navigate('path');
+            });
+
+            submitBtn.addEventListener('click', async () => {
+                const response = collectAssessmentResponse(question, container, selectedValue);
+                response.confidence = Number(document.getElementById('assessment-confidence').value) / 100;
+
+                submitBtn.disabled = true;
+                try {
+                    const result = await engine.processResponse(question.id, response);
+                    if (result.evaluation) {
+                        renderAnswerEvaluation(result.evaluation, async () => {
+                            presentAssessmentStep(await engine.getNextQuestion(), context);
+                        });
+                        return;
+                    }
+                    presentAssessmentStep(await engine.getNextQuestion(), context);
+                } catch (error) {
+                    console.error('Failed to submit assessment response:', error);
+                    UI.Components.Notifications.error(error.message || 'Could not record your answer. Please try again.');
+                    submitBtn.disabled = false;
+                }
+            });
+        }
+
+        // Rubric-level feedback on a written answer, shown before the next question
+        function renderAnswerEvaluation(evaluation, onContinue) {
+            const card = document.querySelector('.assessment-container .question-card');
+            const actions = document.querySelector('.assessment-container .assessment-actions');
+            if (!card || !actions) {
+                onContinue();
+                return;
+            }
+
+            card.querySelectorAll('button, input, textarea').forEach(el => { el.disabled = true; });
+            const criteria = (evaluation.criteria || []).map(item => `
+                <li class="evaluation-criterion ${item.met ? 'met' : 'missed'}">
+                    <span class="evaluation-criterion-icon">${item.met ? '✓' : '✗'}</span>
+                    <span class="evaluation-criterion-text">
+                        ${Core.Utils.sanitizeHTML(item.criterion)}
+                        ${item.feedback ? `<small class="form-help">${Core.Utils.sanitizeHTML(item.feedback)}</small>` : ''}
+                    </span>
+                    ${item.score !== null && item.score !== undefined ? `<span class="evaluation-criterion-score">${Math.round(item.score * 100)}%</span>` : ''}
+                </li>
+            `).join('');
+
+            card.insertAdjacentHTML('beforeend', `
+                <div class="answer-evaluation">
+                    <div class="answer-evaluation-header">
+                        <strong>Answer feedback</strong>
+                        <span class="answer-evaluation-score">${Math.round(evaluation.score * 100)}%</span>
+                    </div>
+                    ${evaluation.feedback ? `<p class="answer-evaluation-summary">${Core.Utils.sanitizeHTML(evaluation.feedback)}</p>` : ''}
+                    ${criteria ? `<ul class="evaluation-criteria">${criteria}</ul>` : ''}
+                </div>
+            `);
+
+            actions.innerHTML = `<button class="action-button button-primary" id="assessment-continue">Next Question</button>`;
+            const continueBtn = document.getElementById('assessment-continue');
+            continueBtn.addEventListener('click', async () => {
+                continueBtn.disabled = true;
+                try {
+                    await onContinue();
+                } catch (error) {
+                    console.error('Failed to load next assessment question:', error);
+                    UI.Components.Notifications.error('Could not load the next question. Please try again.');
+                    continueBtn.disabled = false;
+                }
+            });
+        }
+
+        function renderAssessmentResults(result, context) {
+            const contentArea = document.getElementById('app-content');
+            const profile = result.competencyProfile;
+            const overall = result.scores.overall;
+            const scoreClass = (score) => score >= 80 ? 'score-excellent' : score >= 65 ? 'score-good' : score >= 50 ? 'score-fair' : 'score-needs-improvement';
+            const minutes = Math.max(1, Math.round((result.totalTime || 0) / 60000));
+
+            const competencyRows = Object.entries(profile.competencyLevels).map(([competency, data]) => `
+                <div class="competency-item">
+                    <div class="competency-name">
+                        ${formatAssessmentLabel(competency)}
+                        <small class="form-help">${formatAssessmentLabel(data.category)} &middot; ${data.percentile}th percentile &middot; ${Math.round(data.confidence * 100)}% confidence</small>
+                    </div>
+                    <div class="competency-score">
+                        <div class="score-bar"><div class="score-fill ${scoreClass(data.level)}" style="width: ${data.level}%"></div></div>
+                        <span class="score-value">${data.level}</span>
+                    </div>
+                </div>
+            `).join('');
+
+            const dimensionRows = Object.entries(profile.dimensionStrengths).map(([dimension, data]) => `
+                <div class="competency-item">
+                    <div class="competency-name">${formatAssessmentLabel(dimension)}</div>
+                    <div class="competency-score">
+                        <div class="score-bar"><div class="score-fill ${scoreClass(data.strength)}" style="width: ${data.strength}%"></div></div>
+                        <span class="score-value">${data.strength}</span>
+                    </div>
+                </div>
+            `).join('');
+
+            const recommendations = (result.recommendations || []).map(r => `
+                <li><strong>${formatAssessmentLabel(r.competency)}:</strong> ${Core.Utils.sanitizeHTML(r.suggestion)}</li>
+            `).join('');
+
+            const passScore = Growth90.Learning.PathManager?.getMilestonePassScore();
+            const milestoneNote = context?.day && passScore ? (overall.score >= passScore
+                ? `<div class="milestone-result passed">✅ Day ${context.day} milestone passed &mdash; the next phase of your path is unlocked.</div>`
+                : `<div class="milestone-result failed">🔒 A score of ${passScore} unlocks the next phase. Review the recommended steps below and retake the assessment when you're ready.</div>`) : '';
+
+            contentArea.innerHTML = `
+                <div class="assessment-results">
+                    <div class="results-header">
+                        <h1 class="results-title">Your Competency Profile</h1>
+                        <p class="results-subtitle">${Core.Utils.sanitizeHTML(result.analysis?.summary || '')}</p>
+                    </div>
+                    
+                    ${milestoneNote}
+
+                    <div class="results-overview">
+                        <div class="overview-card">
+                            <div class="overview-value">${overall.score}</div>
+                            <div class="overview-label">Overall Score (${formatAssessmentLabel(overall.level)})</div>
+                        </div>
+                        <div class="overview-card">
+                            <div class="overview-value">${result.questionsAnswered}</div>
+                            <div class="overview-label">Questions Answered</div>
+                        </div>
+                        <div class="overview-card">
+                            <div class="overview-value">${Core.Utils.formatDuration(minutes)}</div>
+                            <div class="overview-label">Time Taken</div>
+                        </div>
+                        <div class="overview-card">
+                            <div class="overview-value">${Math.round((result.reliability || 0) * 100)}%</div>
+                            <div class="overview-label">Reliability</div>
+                        </div>
+                    </div>
+
+                    <div class="competency-breakdown">
+                        <h2>Competencies</h2>
+                        ${competencyRows}
+                    </div>
+
+                    ${dimensionRows ? `
+                        <div class="competency-breakdown">
+                            <h2>Dimensions</h2>
+                            ${dimensionRows}
+                        </div>
+                    ` : ''}
+
+                    ${recommendations ? `
+                        <div class="competency-breakdown">
+                            <h2>Recommended Next Steps</h2>
+                            <ul>${recommendations}</ul>
+                        </div>
+                    ` : ''}
+
+                    <div class="assessment-actions">
+                        <button class="action-button button-secondary" id="assessment-retake">Retake Assessment</button>
+                        <button class="action-button button-primary" id="assessment-done">Back to Path</button>
+                    </div>
+                </div>
+            `;
+
+            document.getElementById('assessment-retake').addEventListener('click', () => renderAssessmentIntro(context));
+            document.getElementById('assessment-done').addEventListener('click', () => {
+                sessionStorage.removeItem('assessmentContext');
+                Core.Router.navigate('path');
+            });
+        }
+
+        // Analytics: charts computed from local progress, refreshed with the server summary when online
+        async function showAnalytics() {
+            const contentArea = document.getElementById('app-content');
+            const analytics = Growth90.Learning.ProgressAnalytics;
+            updateActiveNavigation('analytics');
+            
+            if (!analytics || !Growth90.UI.Charts) {
+                contentArea.innerHTML = `
+                    <div class="analytics-container">
+                        <div class="path-empty">
+                            <p>Analytics could not be loaded. Please refresh the page.</p>
+                        </div>
+                    </div>
+                `;
+                return;
+            }
+            
+            const userIdentity = (Growth90.User.Profile.get() || {});
+            const signal = Core.Router.getRouteSignal();
+            const options = await getAnalyticsOptions(userIdentity);
+            
+            UI.Components.Loading.show('Crunching your progress...');
+            try {
+                const report = await analytics.buildReport(options);
+                if (signal.aborted) return;
+                renderAnalytics(report);
+            } catch (error) {
+                console.error('❌ Failed to build analytics:', error);
+                UI.Components.Notifications.error('Failed to load your analytics. Please try again.');
+                return;
+            } finally {
+                UI.Components.Loading.hide();
+            }
+            
+            if (!navigator.onLine) return;
+            try {
+                const response = await Growth90.Data.API.progress.getAnalytics('90d', options.userId, { signal });
+                const server = response && response.data !== undefined ? response.data : response;
+                if (signal.aborted || !server || typeof server !== 'object') return;
+                renderAnalytics(await analytics.buildReport(options, server));
+            } catch (error) {
+                // The local report is already on screen
+                if (error.name !== 'AbortError') {
+                    console.error('❌ Failed to load dashboard summary:', error);
+                }
+            }
+        }
+        
+        async function getAnalyticsOptions(userIdentity) {
+            const userId = userIdentity.email || userIdentity.id || 'guest';
+            const pathId = userIdentity.selectedTopic ? await Growth90.Learning.ProgressStore.resolvePathId(userIdentity) : null;
+            let learningPath = null;
+            try {
+                learningPath = pathId ? await Growth90.Data.Storage.getItem('learningPaths', pathId) : null;
+                if (!learningPath) {
+                    const userPaths = await Growth90.Data.Storage.queryItems('learningPaths', {
+                        index: 'userId',
+                        keyRange: IDBKeyRange.only(userId),
+                        direction: 'prev',
+                        limit: 1
+                    });
+                    learningPath = userPaths && userPaths.length ? userPaths[0] : null;
+                }
+            } catch (error) {
+                console.error('❌ Failed to load learning path for analytics:', error);
+            }
+            
+            const curriculum = learningPath?.pathData?.daily_curriculum || learningPath?.curriculum;
+            return {
+                userId,
+                pathId,
+                startDate: learningPath?.progress?.startDate || learningPath?.createdAt || null,
+                totalDays: Array.isArray(curriculum) && curriculum.length ? curriculum.length : 90,
+                timeZone: userIdentity.timezone
+            };
+        }
+        
+        function renderAnalytics(report) {
+            const contentArea = document.getElementById('app-content');
+            const Charts = Growth90.UI.Charts;
+            const analytics = Growth90.Learning.ProgressAnalytics;
+            const { summary } = report;
+            const hours = Math.round((summary.totalMinutes / 60) * 10) / 10;
+            const competencyName = (name) => name.replace(/[_-]+/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+            
+            contentArea.innerHTML = `
+                <div class="analytics-container">
+                    <div class="analytics-header">
+                        <h1>📊 Progress Analytics</h1>
+                        <p class="analytics-subtitle">
+                            Your learning activity at a glance
+                            <span class="analytics-source">${report.source === 'merged' ? 'Synced with your account' : 'From this device'}</span>
+                        </p>
+                    </div>
+                    
+                    <div class="analytics-summary">
+                        <div class="analytics-stat">
+                            <span class="stat-value">${summary.currentStreak}</span>
+                            <span class="stat-label">Current streak</span>
+                        </div>
+                        <div class="analytics-stat">
+                            <span class="stat-value">${summary.longestStreak}</span>
+                            <span class="stat-label">Longest streak</span>
+                        </div>
+                        <div class="analytics-stat">
+                            <span class="stat-value">${hours}h</span>
+                            <span class="stat-label">Time invested</span>
+                        </div>
+                        <div class="analytics-stat">
+                            <span class="stat-value">${summary.completionPercent}%</span>
+                            <span class="stat-label">${summary.daysCompleted} of ${summary.totalDays} days</span>
+                        </div>
+                    </div>
+                    
+                    <section class="analytics-card">
+                        <h2>Daily minutes</h2>
+                        <p class="analytics-caption">Active learning time over the last 30 days</p>
+                        ${Charts.barChart(report.dailyMinutes, { ariaLabel: 'Daily learning minutes', emptyMessage: 'No learning time recorded yet' })}
+                    </section>
+                    
+                    <section class="analytics-card">
+                        <h2>Lessons per week</h2>
+                        <p class="analytics-caption">Completed lessons, weeks starting Monday</p>
+                        ${Charts.barChart(report.weeklyLessons, { ariaLabel: 'Lessons completed per week', emptyMessage: 'No lessons completed yet' })}
+                    </section>
+                    
+                    <section class="analytics-card">
+                        <h2>Journey completion</h2>
+                        <p class="analytics-caption">Share of your ${summary.totalDays}-day journey with a completed lesson</p>
+                        ${Charts.lineChart([{ name: 'Completion', points: report.completion }], {
+                            ariaLabel: 'Journey completion over time',
+                            emptyMessage: 'Complete a lesson to start your curve',
+                            minX: 1,
+                            maxX: summary.totalDays,
+                            maxY: 100,
+                            xLabel: (x) => `Day ${x}`,
+                            format: (value) => `${Math.round(value)}%`
+                        })}
+                    </section>
+                    
+                    <section class="analytics-card">
+                        <h2>Competency estimates</h2>
+                        <p class="analytics-caption">Levels from your assessments (0-100)</p>
+                        ${Charts.lineChart(report.competencies.map(series => ({ ...series, name: competencyName(series.name) })), {
+                            ariaLabel: 'Competency estimates over time',
+                            emptyMessage: 'Take an assessment to see your competencies',
+                            maxY: 100,
+                            xLabel: (x) => analytics.formatShortDate(analytics.dateKeyFromDayNumber(x))
+                        })}
+                        ${report.competencies.length ? Charts.legend(report.competencies.map(series => competencyName(series.name))) : ''}
+                    </section>
+                    
+                    <section class="analytics-card analytics-heatmap">
+                        <h2>Streak calendar</h2>
+                        <p class="analytics-caption">Each square is a day; darker means more learning. ❄️ days are streak freezes.</p>
+                        ${Charts.heatmap(report.heatmap, { ariaLabel: 'Learning activity calendar' })}
+                    </section>
+                </div>
+            `;
+        }
+        
+        // Journal: every checklist and reflection, grouped by path and day
+        async function showJournal() {
+            const contentArea = document.getElementById('app-content');
+            const journal = Growth90.Learning.LessonJournal;
+            updateActiveNavigation('journal');
+            
+            const userIdentity = (Growth90.User.Profile.get() || {});
+            const userId = userIdentity.email || userIdentity.id || 'guest';
+            
+            UI.Components.Loading.show('Loading your journal...');
+            let paths = [];
+            try {
+                paths = journal ? await journal.getJournal(userId) : [];
+            } finally {
+                UI.Components.Loading.hide();
+            }
+            
+            if (!paths.length) {
+                contentArea.innerHTML = `
+                    <div class="journal-container">
+                        <div class="journal-header">
+                            <h1>📓 Learning Journal</h1>
+                            <p class="journal-subtitle">Your checklists and reflections, lesson by lesson.</p>
+                        </div>
+                        <div class="path-empty">
+                            <div class="empty-icon">📝</div>
+                            <p>No notes yet. Tick off tasks and answer the reflection prompts while working through a lesson and they will appear here.</p>
+                            <a href="#learning" class="primary-btn">Go to Today's Learning</a>
+                        </div>
+                    </div>
+                `;
+                return;
+            }
+            
+            const entriesById = new Map();
+            const renderEntry = (entry) => {
+                const key = String(entriesById.size);
+                entriesById.set(key, entry);
+                const doneTasks = entry.notes.tasks.filter(task => task.done).length;
+                const reflections = entry.notes.reflections.filter(item => String(item.answer || '').trim());
+                
+                return `
+                    <article class="journal-entry">
+                        <div class="journal-entry-header">
+                            <h4>${Core.Utils.sanitizeHTML(entry.lessonTitle)}</h4>
+                            <span class="journal-entry-status ${entry.status === 'completed' ? 'completed' : ''}">
+                                ${entry.status === 'completed' ? 'Completed' : 'In progress'}
+                            </span>
+                            <button class="secondary-btn journal-edit-btn" data-journal-edit="${key}">Edit</button>
+                        </div>
+                        ${entry.notes.tasks.length ? `
+                            <p class="journal-entry-tasks">✅ ${doneTasks} of ${entry.notes.tasks.length} tasks done</p>
+                        ` : ''}
+                        ${reflections.map(item => `
+                            <div class="journal-reflection">
+                                <p class="journal-reflection-prompt">${Core.Utils.sanitizeHTML(item.prompt)}</p>
+                                <p class="journal-reflection-answer">${Core.Utils.sanitizeHTML(item.answer)}</p>
+                            </div>
+                        `).join('')}
+                        ${entry.notes.text ? `<p class="journal-reflection-answer">${Core.Utils.sanitizeHTML(entry.notes.text)}</p>` : ''}
+                        ${entry.notes.updatedAt ? `<small class="journal-entry-date">Updated ${Core.Utils.formatDate(entry.notes.updatedAt)}</small>` : ''}
+                    </article>
+                `;
+            };
+            
+            const pathsHtml = paths.map(path => {
+                const days = new Map();
+                path.entries.forEach(entry => {
+                    if (!days.has(entry.day)) days.set(entry.day, []);
+                    days.get(entry.day).push(entry);
+                });
+                
+                return `
+                    <section class="journal-path">
+                        <h2>${Core.Utils.sanitizeHTML(path.pathTitle || 'Learning Path')}</h2>
+                        ${[...days.entries()].map(([day, entries]) => `
+                            <div class="journal-day">
+                                <h3>Day ${day}</h3>
+                                ${entries.map(renderEntry).join('')}
+                            </div>
+                        `).join('')}
+                    </section>
+                `;
+            }).join('');
+            
+            contentArea.innerHTML = `
+                <div class="journal-container">
+                    <div class="journal-header">
+                        <h1>📓 Learning Journal</h1>
+                        <p class="journal-subtitle">Your checklists and reflections, lesson by lesson.</p>
+                        <button class="secondary-btn journal-print-btn" id="journal-print-btn">🖨️ Print for 1:1</button>
+                    </div>
+                    ${pathsHtml}
+                </div>
+            `;
+            
+            document.getElementById('journal-print-btn').addEventListener('click', () => window.print());
+            contentArea.querySelectorAll('[data-journal-edit]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const entry = entriesById.get(button.getAttribute('data-journal-edit'));
+                    const path = paths.find(item => item.entries.includes(entry));
+                    const context = {
+                        userId,
+                        pathId: path.pathId,
+                        pathTitle: path.pathTitle,
+                        day: entry.day,
+                        lessonId: entry.lessonId,
+                        lessonTitle: entry.lessonTitle
+                    };
+                    openLessonNotesModal(context, entry.notes, showJournal);
+                });
+            });
+        }
+
+        function showProfile() {
+            UI.Components.Loading.show('Loading your profile...');
+            
+            try {
+                const contentArea = document.getElementById('app-content');
+                
+                // Get current user profile
+                let userProfile = Growth90.User.Profile.get();
+
+                if (!userProfile) {
+                    contentArea.innerHTML = `
+                        <div class="profile-container">
+                            <div class="profile-error">
+                                <h2>Profile Not Found</h2>
+                                <p>Please complete your initial setup first.</p>
+                                <button class="primary-btn" onclick="Core.Router.navigate('home')">Go to Home</button>
+                            </div>
+                        </div>
+                    `;
+                    UI.Components.Loading.hide();
+                    updateActiveNavigation('profile');
+                    return;
+                }
+
+                contentArea.innerHTML = generateProfileInterface(userProfile);
+                initializeProfileInterface(userProfile);
+                
+                UI.Components.Loading.hide();
+                updateActiveNavigation('profile');
+                
+            } catch (error) {
+                console.error('Failed to load profile:', error);
+                UI.Components.Loading.hide();
+                UI.Components.Notifications.error('Failed to load profile. Please try again.');
+            }
+        }
+
+        function generateProfileInterface(userProfile) {
+            return `
+                <div class="profile-container">
+                    <div class="profile-header">
+                        <h1 class="profile-title">Your Profile</h1>
+                        <p class="profile-subtitle">Manage your personal information and learning settings</p>
+                    </div>
+                    
+                    <form id="profile-form" class="profile-form">
+                        <!-- Basic Information Section -->
+                        <div class="profile-section">
+                            <div class="section-header">
+                                <h2 class="section-title">
+                                    <span class="section-icon">👤</span>
+                                    Basic Information
+                                </h2>
+                            </div>
+                            
+                            <div class="form-grid">
+                                <div class="form-group">
+                                    <label class="form-label" for="profile-nickname">Nickname *</label>
+                                    <input type="text" id="profile-nickname" class="form-input" 
+                                           value="${userProfile.nickname || ''}" required>
+                                    <small class="form-help">How we'll address you in the platform</small>
+                                </div>
+                                
+                                <div class="form-group">
+                                    <label class="form-label" for="profile-email">Email Address *</label>
+                                    <input type="email" id="profile-email" class="form-input" 
+                                           value="${userProfile.email || ''}" required>
+                                    <small class="form-help">Used for updates and communication</small>
+                                </div>
+                            </div>
+                        </div>
+
+                        <!-- Professional Context Section -->
+                        <div class="profile-section">
+                            <div class="section-header">
+                                <h2 class="section-title">
+                                    <span class="section-icon">💼</span>
+                                    Professional Context
+                                </h2>
+                            </div>
                             
                             <div class="form-grid">
                                 <div class="form-group">
@@ -5042,6 +6626,14 @@ window.Growth90 = (() => {
                         </div>
                     </form>
                     
+                    ${generateDeviceProfileSettings()}
+                    
+                    ${generateReminderSettings()}
+                    
+                    ${generateBackupSettings()}
+                    
+                    ${generateEncryptionSettings()}
+                    
                     <!-- Profile Stats -->
                     <div class="profile-stats">
                         <div class="stat-item">
@@ -5074,18 +6666,590 @@ window.Growth90 = (() => {
             // Handle cancel button
             cancelBtn.addEventListener('click', () => {
                 // Reset form to original values
-                const stored = localStorage.getItem('growth90_user_identity');
-                const originalProfile = stored ? JSON.parse(stored) : null;
+                const originalProfile = Growth90.User.Profile.get();
                 if (originalProfile) {
                     populateFormWithProfile(originalProfile);
                 }
             });
 
+            initializeDeviceProfileSettings();
+            initializeReminderSettings();
+            initializeBackupSettings();
+            initializeEncryptionSettings();
+
             // Add checkbox group validation (motivation)
             setupCheckboxValidation('profile-motivation', 3, 'motivation drivers');
             // For focus, enforce single selection at save-time; UI may still show checkboxes for now
         }
 
+        // Study reminder settings (stored as notification preferences)
+        function generateReminderSettings() {
+            const reminders = Growth90.User.Reminders;
+            if (!reminders) return '';
+
+            const notifications = Growth90.User.Preferences?.getAllPreferences().notifications || {};
+            const schedule = reminders.buildSchedule(notifications);
+            const dayOptions = Growth90.User.Preferences?.getSchema().notifications.reminderDays.options || [];
+
+            return `
+                <div class="profile-section reminder-settings" id="reminder-settings">
+                    <div class="section-header">
+                        <h2 class="section-title">
+                            <span class="section-icon">⏰</span>
+                            Study Reminders
+                        </h2>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="checkbox-option">
+                            <input type="checkbox" id="reminder-enabled" ${schedule.enabled ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            <span class="checkbox-text">Remind me to study</span>
+                        </label>
+                    </div>
+                    
+                    <div class="form-grid">
+                        <div class="form-group">
+                            <label class="form-label" for="reminder-time">Reminder time</label>
+                            <input type="time" id="reminder-time" class="form-input" value="${schedule.time}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="reminder-quiet-start">Quiet hours</label>
+                            <div class="reminder-quiet-hours">
+                                <input type="time" id="reminder-quiet-start" class="form-input" value="${schedule.quietStart}">
+                                <span>to</span>
+                                <input type="time" id="reminder-quiet-end" class="form-input" value="${schedule.quietEnd}" aria-label="Quiet hours end">
+                            </div>
+                            <small class="form-help">Reminders due during quiet hours are shown when they end</small>
+                        </div>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="form-label">Days</label>
+                        <div class="checkbox-group reminder-days" id="reminder-days">
+                            ${dayOptions.map(option => `
+                                <label class="checkbox-option">
+                                    <input type="checkbox" value="${option.value}" ${schedule.days.includes(option.value) ? 'checked' : ''}>
+                                    <span class="checkbox-custom"></span>
+                                    <span class="checkbox-text">${option.label}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                    
+                    <p class="form-help reminder-status" id="reminder-status"></p>
+                    <button type="button" class="secondary-btn" id="reminder-save-btn">Save reminders</button>
+                </div>
+            `;
+        }
+
+        async function renderReminderStatus() {
+            const statusEl = document.getElementById('reminder-status');
+            if (!statusEl) return;
+
+            const status = await Growth90.User.Reminders.getStatus();
+            const next = status.nextAt
+                ? new Date(status.nextAt).toLocaleString('en-US', { weekday: 'long', hour: 'numeric', minute: '2-digit' })
+                : null;
+            const delivery = status.permission === 'granted'
+                ? 'as a notification'
+                : status.permission === 'denied'
+                    ? 'inside the app (notifications are blocked in your browser)'
+                    : 'inside the app while it is open';
+
+            if (status.enabled && !next) {
+                // Every reminder falls in quiet hours that end on a day without reminders
+                statusEl.textContent = 'No reminder can be sent on these days outside quiet hours. Pick an earlier time or more days.';
+                return;
+            }
+            statusEl.textContent = status.enabled
+                ? `Next reminder: ${next}, ${delivery}.`
+                : 'Reminders are off.';
+        }
+
+        function initializeReminderSettings() {
+            const saveBtn = document.getElementById('reminder-save-btn');
+            if (!saveBtn) return;
+
+            renderReminderStatus().catch(error => console.error('❌ Failed to load reminder status:', error));
+
+            saveBtn.addEventListener('click', async () => {
+                const enabled = document.getElementById('reminder-enabled').checked;
+                const days = Array.from(document.querySelectorAll('#reminder-days input[type="checkbox"]:checked'))
+                    .map(cb => Number(cb.value));
+
+                if (enabled && !days.length) {
+                    UI.Components.Notifications.warning('Choose at least one day for reminders.');
+                    return;
+                }
+
+                saveBtn.disabled = true;
+                try {
+                    if (enabled) {
+                        await Growth90.User.Reminders.requestPermission();
+                    }
+                    await Growth90.User.Preferences.updatePreferences({
+                        notifications: {
+                            dailyReminders: enabled,
+                            reminderTime: document.getElementById('reminder-time').value || '09:00',
+                            reminderDays: days,
+                            quietHoursStart: document.getElementById('reminder-quiet-start').value,
+                            quietHoursEnd: document.getElementById('reminder-quiet-end').value
+                        }
+                    });
+                    await Growth90.User.Reminders.configure();
+                    await renderReminderStatus();
+                    UI.Components.Notifications.success('Reminder settings saved.');
+                } catch (error) {
+                    console.error('❌ Failed to save reminder settings:', error);
+                    UI.Components.Notifications.error('Could not save reminder settings. Please try again.');
+                } finally {
+                    saveBtn.disabled = false;
+                }
+            });
+        }
+
+        // Profiles sharing this device: PIN lock, switching and removal
+        function generateDeviceProfileSettings() {
+            const hasPin = Growth90.User.Profile.hasPin();
+
+            return `
+                <div class="profile-section device-profiles" id="device-profiles">
+                    <div class="section-header">
+                        <h2 class="section-title">
+                            <span class="section-icon">👥</span>
+                            Profiles on This Device
+                        </h2>
+                    </div>
+                    <p class="form-help">Each profile keeps its own learning paths and progress. Nothing leaves this device.</p>
+                    <ul class="device-profile-list" id="device-profile-list"></ul>
+                    <div class="device-profile-actions">
+                        <button type="button" class="secondary-btn" id="profile-switch-btn">Switch profile</button>
+                        <button type="button" class="secondary-btn" id="profile-add-btn">Add profile</button>
+                    </div>
+                    
+                    <div class="form-grid profile-pin-settings">
+                        ${hasPin ? `
+                            <div class="form-group">
+                                <label class="form-label" for="profile-pin-current">Current PIN</label>
+                                <input type="password" id="profile-pin-current" class="form-input" inputmode="numeric" autocomplete="off" maxlength="8">
+                            </div>
+                        ` : ''}
+                        <div class="form-group">
+                            <label class="form-label" for="profile-pin-new">${hasPin ? 'New PIN' : 'PIN lock'}</label>
+                            <input type="password" id="profile-pin-new" class="form-input" inputmode="numeric" autocomplete="off" maxlength="8" placeholder="4 to 8 digits">
+                            <small class="form-help">Asked for when this profile is opened on this device</small>
+                        </div>
+                    </div>
+                    <button type="button" class="secondary-btn" id="profile-pin-save">${hasPin ? 'Change PIN' : 'Set PIN'}</button>
+                    ${hasPin ? '<button type="button" class="secondary-btn" id="profile-pin-remove">Remove PIN</button>' : ''}
+                </div>
+            `;
+        }
+
+        function initializeDeviceProfileSettings() {
+            const list = document.getElementById('device-profile-list');
+            if (!list) return;
+
+            renderDeviceProfiles();
+
+            document.getElementById('profile-switch-btn').addEventListener('click', () => {
+                Growth90.User.Profile.lock();
+                window.location.reload();
+            });
+
+            document.getElementById('profile-add-btn').addEventListener('click', async () => {
+                await Growth90.User.Profile.clear();
+                window.location.reload();
+            });
+
+            // Changing or removing a PIN needs the current one
+            const checkCurrentPin = async () => {
+                const currentInput = document.getElementById('profile-pin-current');
+                if (!currentInput) return true;
+                const profileId = Growth90.User.Profile.get().id;
+                if (await Growth90.User.Profile.verifyPin(profileId, currentInput.value)) return true;
+                UI.Components.Notifications.error('Current PIN is not right.');
+                return false;
+            };
+
+            document.getElementById('profile-pin-save').addEventListener('click', async () => {
+                try {
+                    if (!await checkCurrentPin()) return;
+                    await Growth90.User.Profile.setPin(document.getElementById('profile-pin-new').value.trim());
+                    UI.Components.Notifications.success('PIN saved. It will be asked for next time this profile is opened.');
+                    showProfile();
+                } catch (error) {
+                    UI.Components.Notifications.error(error.message);
+                }
+            });
+
+            document.getElementById('profile-pin-remove')?.addEventListener('click', async () => {
+                try {
+                    if (!await checkCurrentPin()) return;
+                    await Growth90.User.Profile.setPin(null);
+                    UI.Components.Notifications.success('PIN removed.');
+                    showProfile();
+                } catch (error) {
+                    UI.Components.Notifications.error(error.message);
+                }
+            });
+        }
+
+        async function renderDeviceProfiles() {
+            const list = document.getElementById('device-profile-list');
+            if (!list) return;
+
+            const profiles = await Growth90.User.Profile.list().catch(() => []);
+            list.innerHTML = profiles.map(profile => `
+                <li class="device-profile${profile.isActive ? ' active' : ''}">
+                    <span class="device-profile-name">
+                        ${Core.Utils.sanitizeHTML(profile.nickname)}${profile.hasPin ? ' 🔒' : ''}
+                        <small>${Core.Utils.sanitizeHTML(profile.email)}${profile.isActive ? ' · This is you' : ''}</small>
+                    </span>
+                    <button type="button" class="secondary-btn device-profile-remove" data-profile-id="${Core.Utils.sanitizeHTML(profile.id)}">Remove</button>
+                </li>
+            `).join('');
+            document.getElementById('profile-switch-btn').hidden = profiles.length < 2;
+
+            list.querySelectorAll('.device-profile-remove').forEach(button => {
+                button.addEventListener('click', () => {
+                    const profile = profiles.find(entry => entry.id === button.dataset.profileId);
+                    if (profile) confirmRemoveProfile(profile);
+                });
+            });
+        }
+
+        function confirmRemoveProfile(profile) {
+            const name = Core.Utils.sanitizeHTML(profile.nickname);
+
+            UI.Components.Modal.show({
+                title: `Remove ${profile.nickname}?`,
+                allowHTML: true,
+                content: `
+                    <p>This deletes ${name}'s profile, learning paths, progress, assessments, notes and review cards from this device. It cannot be undone.</p>
+                    ${profile.hasPin ? `
+                        <div class="form-group">
+                            <label class="form-label" for="profile-remove-pin">PIN for ${name}</label>
+                            <input type="password" id="profile-remove-pin" class="form-input" inputmode="numeric" autocomplete="off" maxlength="8">
+                        </div>
+                    ` : ''}
+                `,
+                actions: [
+                    { label: 'Cancel' },
+                    {
+                        label: 'Remove profile',
+                        primary: true,
+                        closeOnClick: false,
+                        handler: async () => {
+                            try {
+                                if (profile.hasPin) {
+                                    const pin = document.getElementById('profile-remove-pin').value;
+                                    if (!await Growth90.User.Profile.verifyPin(profile.id, pin)) {
+                                        UI.Components.Notifications.error('That PIN is not right.');
+                                        return;
+                                    }
+                                }
+
+                                UI.Components.Loading.show('Removing profile...');
+                                const { removed } = await Growth90.User.Profile.remove(profile.id);
+                                UI.Components.Loading.hide();
+                                UI.Components.Modal.hide();
+
+                                if (profile.isActive) {
+                                    window.location.reload();
+                                    return;
+                                }
+                                UI.Components.Notifications.success(`${profile.nickname}'s profile and ${removed} saved items were removed.`);
+                                renderDeviceProfiles();
+                            } catch (error) {
+                                UI.Components.Loading.hide();
+                                console.error('❌ Failed to remove profile:', error);
+                                UI.Components.Notifications.error(error.message || 'Could not remove the profile.');
+                            }
+                        }
+                    }
+                ]
+            });
+        }
+
+        // Backup & restore of the active profile's data
+        function generateBackupSettings() {
+            if (!Growth90.User.Backup) return '';
+
+            return `
+                <div class="profile-section backup-settings" id="backup-settings">
+                    <div class="section-header">
+                        <h2 class="section-title">
+                            <span class="section-icon">🗄️</span>
+                            Backup &amp; Restore
+                        </h2>
+                    </div>
+                    <p class="form-help">Download one file with your profile, preferences, learning paths and progress, then restore it on another device.</p>
+                    
+                    <div class="form-group">
+                        <label class="checkbox-option">
+                            <input type="checkbox" id="backup-include-cache">
+                            <span class="checkbox-custom"></span>
+                            <span class="checkbox-text">Include cached lesson content (larger file)</span>
+                        </label>
+                    </div>
+                    <button type="button" class="secondary-btn" id="backup-download-btn">Download backup</button>
+                    
+                    <div class="form-group backup-restore">
+                        <label class="form-label" for="backup-file">Restore from a backup file</label>
+                        <input type="file" id="backup-file" class="form-input" accept="application/json,.json">
+                        <div class="radio-group" id="backup-mode">
+                            <label class="radio-option">
+                                <input type="radio" name="backup-mode" value="merge" checked>
+                                <span class="radio-custom"></span>
+                                <span class="radio-text">Merge (keep the newest copy of each item)</span>
+                            </label>
+                            <label class="radio-option">
+                                <input type="radio" name="backup-mode" value="replace">
+                                <span class="radio-custom"></span>
+                                <span class="radio-text">Replace (make this device match the backup)</span>
+                            </label>
+                        </div>
+                    </div>
+                    <button type="button" class="secondary-btn" id="backup-review-btn" disabled>Review restore</button>
+                </div>
+            `;
+        }
+
+        function initializeBackupSettings() {
+            const downloadBtn = document.getElementById('backup-download-btn');
+            const fileInput = document.getElementById('backup-file');
+            const reviewBtn = document.getElementById('backup-review-btn');
+            if (!downloadBtn) return;
+
+            const downloadBackup = async () => {
+                downloadBtn.disabled = true;
+                try {
+                    const { size, records } = await Growth90.User.Backup.downloadArchive({
+                        includeCache: document.getElementById('backup-include-cache').checked
+                    });
+                    UI.Components.Notifications.success(`Backup downloaded (${records} items, ${Math.max(1, Math.round(size / 1024))} KB).`);
+                } catch (error) {
+                    console.error('❌ Failed to create backup:', error);
+                    UI.Components.Notifications.error('Could not create the backup. Please try again.');
+                } finally {
+                    downloadBtn.disabled = false;
+                }
+            };
+
+            downloadBtn.addEventListener('click', async () => {
+                const encryption = Growth90.Data.Storage.getEncryptionStatus();
+                if (!encryption.enabled) {
+                    await downloadBackup();
+                    return;
+                }
+                if (encryption.locked) {
+                    await unlockStorage();
+                    if (Growth90.Data.Storage.getEncryptionStatus().locked) {
+                        UI.Components.Notifications.error('Unlock your data with your passphrase before making a backup.');
+                        return;
+                    }
+                }
+
+                // The backup file is plain JSON; say so before it leaves the encrypted store
+                UI.Components.Modal.show({
+                    title: 'Download an unencrypted backup?',
+                    content: `
+                        <p>Your data is encrypted on this device, but the backup file is not. Anyone who opens the file can read your profile, answers, feedback and lesson chats.</p>
+                        <p class="backup-warning-strong">Keep the file somewhere only you can reach, and delete it once you have restored it.</p>
+                    `,
+                    allowHTML: true,
+                    actions: [
+                        { label: 'Cancel' },
+                        { label: 'Download unencrypted file', primary: true, handler: downloadBackup }
+                    ]
+                });
+            });
+
+            fileInput.addEventListener('change', () => {
+                reviewBtn.disabled = !fileInput.files.length;
+            });
+
+            reviewBtn.addEventListener('click', async () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+
+                const mode = document.querySelector('input[name="backup-mode"]:checked')?.value || 'merge';
+                reviewBtn.disabled = true;
+                try {
+                    const { archive, warnings } = await Growth90.User.Backup.readArchiveFile(file);
+                    const plan = await Growth90.User.Backup.planRestore(archive, mode);
+                    showRestorePlan(archive, plan, warnings);
+                } catch (error) {
+                    console.error('❌ Failed to read backup:', error);
+                    UI.Components.Notifications.error(error.message || 'Could not read the backup file.');
+                } finally {
+                    reviewBtn.disabled = false;
+                }
+            });
+        }
+
+        function showRestorePlan(archive, plan, warnings) {
+            const backup = Growth90.User.Backup;
+            const rows = Object.entries(plan.stores)
+                .filter(([, counts]) => counts.add || counts.update || counts.remove || counts.unchanged)
+                .map(([storeName, counts]) => `
+                    <tr>
+                        <td>${Core.Utils.sanitizeHTML(backup.getStoreLabel(storeName))}</td>
+                        <td class="backup-diff-add">${counts.add ? `+${counts.add}` : ''}</td>
+                        <td class="backup-diff-update">${counts.update ? `~${counts.update}` : ''}</td>
+                        <td class="backup-diff-remove">${counts.remove ? `−${counts.remove}` : ''}</td>
+                        <td>${counts.unchanged || ''}</td>
+                    </tr>
+                `).join('');
+            const identityText = {
+                set: 'Your profile will be restored from the backup.',
+                replace: `Profile fields replaced: ${plan.identity.fields.join(', ')}.`,
+                merge: `Missing profile fields filled in: ${plan.identity.fields.join(', ')}.`,
+                keep: 'Your profile stays as it is.'
+            }[plan.identity.action];
+            const changes = plan.totals.add + plan.totals.update + plan.totals.remove;
+
+            UI.Components.Modal.show({
+                title: plan.mode === 'replace' ? 'Replace with backup?' : 'Merge backup?',
+                content: `
+                    <p>Backup from ${Core.Utils.sanitizeHTML(new Date(archive.createdAt).toLocaleString())}${archive.includesCache ? ', including cached content' : ''}.</p>
+                    ${rows ? `
+                        <table class="backup-diff">
+                            <thead><tr><th></th><th>Added</th><th>Updated</th><th>Removed</th><th>Unchanged</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    ` : '<p>The backup has no learning data.</p>'}
+                    <p>${Core.Utils.sanitizeHTML(identityText)}</p>
+                    <p>${plan.preferences ? 'Preferences will be taken from the backup.' : 'Your current preferences are kept.'}</p>
+                    ${plan.skipped ? `<p>${plan.skipped} item(s) in the backup belong to other profiles and will be skipped.</p>` : ''}
+                    ${warnings.length ? `<ul class="backup-warnings">${warnings.map(w => `<li>${Core.Utils.sanitizeHTML(w)}</li>`).join('')}</ul>` : ''}
+                    ${plan.mode === 'replace' && plan.totals.remove ? '<p class="backup-warning-strong">Items on this device that are not in the backup will be deleted.</p>' : ''}
+                `,
+                allowHTML: true,
+                actions: [
+                    { label: 'Cancel' },
+                    {
+                        label: changes || plan.identity.action !== 'keep' || plan.preferences ? 'Restore' : 'Nothing to restore',
+                        primary: true,
+                        handler: () => applyRestore(archive, plan.mode)
+                    }
+                ]
+            });
+        }
+
+        async function applyRestore(archive, mode) {
+            try {
+                UI.Components.Loading.show('Restoring your backup...');
+                const plan = await Growth90.User.Backup.restoreArchive(archive, mode);
+                UI.Components.Loading.hide();
+                UI.Components.Modal.show({
+                    title: 'Backup restored',
+                    content: `${plan.totals.add} added, ${plan.totals.update} updated, ${plan.totals.remove} removed. Reload to see everything.`,
+                    actions: [
+                        { label: 'Later' },
+                        { label: 'Reload now', primary: true, handler: () => window.location.reload() }
+                    ]
+                });
+            } catch (error) {
+                UI.Components.Loading.hide();
+                console.error('❌ Failed to restore backup:', error);
+                UI.Components.Notifications.error('Could not restore the backup. Nothing was changed.');
+            }
+        }
+
+        // Passphrase encryption of profiles, notes, chats and assessment answers
+        function generateEncryptionSettings() {
+            const status = Growth90.Data.Storage.getEncryptionStatus();
+
+            return `
+                <div class="profile-section encryption-settings" id="encryption-settings">
+                    <div class="section-header">
+                        <h2 class="section-title">
+                            <span class="section-icon">🔐</span>
+                            Data Encryption
+                        </h2>
+                    </div>
+                    <p class="form-help">${status.enabled
+                        ? `Encrypted on this device since ${new Date(status.enabledAt).toLocaleDateString()}. The passphrase is asked for each time Growth90 opens.`
+                        : 'Encrypt your profile, lesson notes, chats and assessment answers on this device with a passphrase. Emails and dates stay readable so lookups keep working.'}</p>
+                    <p class="form-help">There is no way to recover the data if the passphrase is forgotten.</p>
+                    
+                    <div class="form-grid">
+                        ${status.enabled ? `
+                            <div class="form-group">
+                                <label class="form-label" for="encryption-current">Current passphrase</label>
+                                <input type="password" id="encryption-current" class="form-input" autocomplete="current-password">
+                            </div>
+                        ` : ''}
+                        <div class="form-group">
+                            <label class="form-label" for="encryption-new">${status.enabled ? 'New passphrase' : 'Passphrase'}</label>
+                            <input type="password" id="encryption-new" class="form-input" autocomplete="new-password">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="encryption-confirm">Repeat passphrase</label>
+                            <input type="password" id="encryption-confirm" class="form-input" autocomplete="new-password">
+                        </div>
+                    </div>
+                    ${status.enabled ? `
+                        <button type="button" class="secondary-btn" id="encryption-change-btn">Change passphrase</button>
+                        <button type="button" class="secondary-btn" id="encryption-lock-btn">Lock now</button>
+                        <button type="button" class="secondary-btn" id="encryption-disable-btn">Turn off encryption</button>
+                    ` : `
+                        <button type="button" class="secondary-btn" id="encryption-enable-btn">Turn on encryption</button>
+                    `}
+                </div>
+            `;
+        }
+
+        function initializeEncryptionSettings() {
+            const section = document.getElementById('encryption-settings');
+            if (!section) return;
+
+            const storage = Growth90.Data.Storage;
+            const value = id => document.getElementById(id)?.value || '';
+            const newPassphrase = () => {
+                if (value('encryption-new') !== value('encryption-confirm')) {
+                    throw new Error('The passphrases do not match');
+                }
+                return value('encryption-new');
+            };
+
+            // Every sealed record is rewritten, so keep the screen busy until it is done
+            const run = async (message, action, done) => {
+                try {
+                    UI.Components.Loading.show(message);
+                    await action();
+                    UI.Components.Loading.hide();
+                    UI.Components.Notifications.success(done);
+                    showProfile();
+                } catch (error) {
+                    UI.Components.Loading.hide();
+                    console.error('❌ Encryption change failed:', error);
+                    UI.Components.Notifications.error(error.message || 'Could not update encryption. Nothing was changed.');
+                }
+            };
+
+            document.getElementById('encryption-enable-btn')?.addEventListener('click', () => {
+                run('Encrypting your data...', () => storage.enableEncryption(newPassphrase()), 'Encryption is on.');
+            });
+
+            document.getElementById('encryption-change-btn')?.addEventListener('click', () => {
+                run('Re-encrypting your data...', () => storage.changePassphrase(value('encryption-current'), newPassphrase()), 'Passphrase changed.');
+            });
+
+            document.getElementById('encryption-disable-btn')?.addEventListener('click', () => {
+                run('Decrypting your data...', () => storage.disableEncryption(value('encryption-current')), 'Encryption is off.');
+            });
+
+            // Reloading clears decrypted data held in memory as well as the key
+            document.getElementById('encryption-lock-btn')?.addEventListener('click', () => {
+                storage.lock();
+                window.location.reload();
+            });
+        }
+
         function setupCheckboxValidation(groupId, maxSelections, fieldName) {
             const group = document.getElementById(groupId);
             const checkboxes = group.querySelectorAll('input[type="checkbox"]');
@@ -5173,13 +7337,7 @@ window.Growth90 = (() => {
                     profileCompleted: true
                 };
 
-                // Save to localStorage
-                localStorage.setItem('growth90_user_identity', JSON.stringify(updatedProfile));
-
-                // Also save to Growth90 LocalStorage if available
-                if (Growth90.Data.LocalStorage) {
-                    Growth90.Data.LocalStorage.setItem('user_identity', updatedProfile);
-                }
+                await Growth90.User.Profile.save(updatedProfile);
 
                 UI.Components.Loading.hide();
                 UI.Components.Notifications.success('Profile updated successfully!');
@@ -5256,12 +7414,7 @@ window.Growth90 = (() => {
         // Quick signup modal for journey setup (name/email already collected)
         function showQuickSignupModal() {
             // Get stored user identity
-            let identity = null;
-            try {
-                const stored = localStorage.getItem('growth90_user_identity');
-                identity = stored ? JSON.parse(stored) : null;
-            } catch (e) {
-            }
+            let identity = Growth90.User.Profile.get();
 
             if (!identity) {
                 UI.Components.Notifications.error('User information not found. Please refresh the page.');
@@ -5413,10 +7566,7 @@ window.Growth90 = (() => {
                                 };
 
                                 // Store updated profile
-                                localStorage.setItem('growth90_user_identity', JSON.stringify(completeProfile));
-                                if (Growth90.Data.LocalStorage) {
-                                    Growth90.Data.LocalStorage.setItem('user_identity', completeProfile);
-                                }
+                                Growth90.User.Profile.save(completeProfile);
 
                                 UI.Components.Notifications.success(`Great! Your personalized learning path is ready, ${identity.nickname}!`);
                                 UI.Components.Modal.hide();
@@ -5440,23 +7590,14 @@ window.Growth90 = (() => {
         }
 
         // Testing function to reset user session (for development/testing)
-        window.resetUserSession = function() {
-            localStorage.removeItem('growth90_user_identity');
-            if (Growth90.Data.LocalStorage) {
-                Growth90.Data.LocalStorage.removeItem('user_identity');
-            }
+        window.resetUserSession = async function() {
+            await Growth90.User.Profile.clear();
             location.reload();
         };
         
         // Helper function to check current user
         window.getCurrentUser = function() {
-            try {
-                const stored = localStorage.getItem('growth90_user_identity');
-                const user = stored ? JSON.parse(stored) : null;
-                return user;
-            } catch (e) {
-                return null;
-            }
+            return Growth90.User.Profile.get();
         };
 
         // Global function to reload suggested topics (for retry functionality)
@@ -5467,9 +7608,10 @@ window.Growth90 = (() => {
         
         // Global retry function for today's lessons
         window.retryTodaysLessons = async function() {
-            const userIdentity = JSON.parse(localStorage.getItem('growth90_user_identity') || '{}');
+            const userIdentity = (Growth90.User.Profile.get() || {});
             if (userIdentity.selectedTopic) {
-                const currentDay = await getCurrentDayByCompletion(userIdentity.email || userIdentity.id || 'guest', userIdentity.selectedTopic.id);
+                const pathId = await Growth90.Learning.ProgressStore.resolvePathId(userIdentity);
+                const currentDay = await getCurrentDayByCompletion(userIdentity.email || userIdentity.id || 'guest', pathId);
                 loadTodaysLessons(userIdentity.selectedTopic, currentDay);
             }
         };
@@ -5484,8 +7626,9 @@ window.Growth90 = (() => {
     // Expose public API (merge with existing namespace instead of overwriting)
     const __existing = window.Growth90 || {};
     return {
-        // Prefer previously attached modules (e.g., from storage.js, api.js)
-        Core: { ...Core, ...( __existing.Core || {}) },
+        // Prefer previously attached modules (e.g., from storage.js, api.js),
+        // but never let their placeholder EventBus shadow the real one
+        Core: { ...Core, ...( __existing.Core || {}), EventBus: Core.EventBus },
         Data: { ...Data, ...( __existing.Data || {}) },
         UI: { ...UI, ...( __existing.UI || {}) },
         Learning: { ...Learning, ...( __existing.Learning || {}) },
@@ -0,0 +1,227 @@
+/**
+ * Growth90 Charts
+ * Dependency-free SVG charts for progress analytics
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Chart configuration
+    const CHART_CONFIG = {
+        width: 640,
+        height: 200,
+        padding: { top: 16, right: 16, bottom: 32, left: 40 },
+        gridLines: 4,
+        maxXLabels: 8,
+        heatmap: { cell: 12, gap: 3, levels: 5 },
+        palette: ['#0D9488', '#F59E0B', '#6366F1', '#EC4899', '#10B981', '#3B82F6']
+    };
+
+    // SVG Chart Builders
+    Growth90.UI.Charts = (() => {
+
+        function escape(value) {
+            return String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
+        function svgOpen(width, height, label) {
+            return `<svg class="chart-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img" aria-label="${escape(label)}">`;
+        }
+
+        function emptyChart(message, width = CHART_CONFIG.width, height = CHART_CONFIG.height) {
+            return `${svgOpen(width, height, message)}` +
+                `<text class="chart-empty" x="${width / 2}" y="${height / 2}" text-anchor="middle">${escape(message)}</text></svg>`;
+        }
+
+        // Round the axis maximum up to a tidy number
+        function niceMax(value) {
+            if (value <= 0) return 1;
+            const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+            const steps = [1, 2, 2.5, 5, 10];
+            const step = steps.find(s => s * magnitude >= value) || 10;
+            return step * magnitude;
+        }
+
+        function yAxis(plot, max, format) {
+            let out = '';
+            for (let i = 0; i <= CHART_CONFIG.gridLines; i++) {
+                const value = (max / CHART_CONFIG.gridLines) * i;
+                const y = plot.bottom - (plot.height * i) / CHART_CONFIG.gridLines;
+                out += `<line class="chart-grid" x1="${plot.left}" x2="${plot.right}" y1="${y}" y2="${y}"></line>`;
+                out += `<text class="chart-axis-label" x="${plot.left - 6}" y="${y + 4}" text-anchor="end">${escape(format(value))}</text>`;
+            }
+            return out;
+        }
+
+        function xLabels(labels, xFor, plot) {
+            const every = Math.max(1, Math.ceil(labels.length / CHART_CONFIG.maxXLabels));
+            return labels.map((label, index) => {
+                if (index % every !== 0 && index !== labels.length - 1) return '';
+                return `<text class="chart-axis-label" x="${xFor(index)}" y="${plot.bottom + 18}" text-anchor="middle">${escape(label)}</text>`;
+            }).join('');
+        }
+
+        function plotArea(width, height) {
+            const { padding } = CHART_CONFIG;
+            return {
+                left: padding.left,
+                right: width - padding.right,
+                top: padding.top,
+                bottom: height - padding.bottom,
+                width: width - padding.left - padding.right,
+                height: height - padding.top - padding.bottom
+            };
+        }
+
+        // points: [{ label, value, title? }]
+        function barChart(points, options = {}) {
+            const {
+                width = CHART_CONFIG.width,
+                height = CHART_CONFIG.height,
+                ariaLabel = 'Bar chart',
+                emptyMessage = 'No data yet',
+                format = (value) => String(Math.round(value))
+            } = options;
+
+            if (!points.length || points.every(point => !point.value)) {
+                return emptyChart(emptyMessage, width, height);
+            }
+
+            const plot = plotArea(width, height);
+            const max = niceMax(options.max || Math.max(...points.map(point => point.value)));
+            const slot = plot.width / points.length;
+            const barWidth = Math.max(2, slot * 0.7);
+            const xFor = (index) => plot.left + slot * index + slot / 2;
+
+            const bars = points.map((point, index) => {
+                const barHeight = (plot.height * Math.min(point.value, max)) / max;
+                return `<rect class="chart-bar" x="${xFor(index) - barWidth / 2}" y="${plot.bottom - barHeight}" ` +
+                    `width="${barWidth}" height="${barHeight}" rx="2" fill="${CHART_CONFIG.palette[0]}">` +
+                    `<title>${escape(point.title || `${point.label}: ${format(point.value)}`)}</title></rect>`;
+            }).join('');
+
+            return svgOpen(width, height, ariaLabel) +
+                yAxis(plot, max, format) +
+                bars +
+                xLabels(points.map(point => point.label), xFor, plot) +
+                '</svg>';
+        }
+
+        // series: [{ name, points: [{ x, y, label? }] }] with numeric x
+        function lineChart(series, options = {}) {
+            const {
+                width = CHART_CONFIG.width,
+                height = CHART_CONFIG.height,
+                ariaLabel = 'Line chart',
+                emptyMessage = 'No data yet',
+                xLabel = (x) => String(x),
+                format = (value) => String(Math.round(value))
+            } = options;
+
+            const withPoints = series.filter(line => line.points.length);
+            if (!withPoints.length) {
+                return emptyChart(emptyMessage, width, height);
+            }
+
+            const plot = plotArea(width, height);
+            const allX = withPoints.flatMap(line => line.points.map(point => point.x));
+            const minX = options.minX ?? Math.min(...allX);
+            const maxX = Math.max(options.maxX ?? Math.max(...allX), minX + 1);
+            const maxY = options.maxY || niceMax(Math.max(...withPoints.flatMap(line => line.points.map(point => point.y))));
+            const xFor = (x) => plot.left + ((x - minX) / (maxX - minX)) * plot.width;
+            const yFor = (y) => plot.bottom - (plot.height * Math.min(y, maxY)) / maxY;
+
+            const lines = withPoints.map((line, index) => {
+                const color = CHART_CONFIG.palette[index % CHART_CONFIG.palette.length];
+                const path = line.points
+                    .map((point, i) => `${i ? 'L' : 'M'}${xFor(point.x).toFixed(1)},${yFor(point.y).toFixed(1)}`)
+                    .join(' ');
+                const dots = line.points.map(point =>
+                    `<circle class="chart-dot" cx="${xFor(point.x).toFixed(1)}" cy="${yFor(point.y).toFixed(1)}" r="3" fill="${color}">` +
+                    `<title>${escape(`${line.name ? `${line.name} · ` : ''}${point.label || xLabel(point.x)}: ${format(point.y)}`)}</title></circle>`
+                ).join('');
+                return `<path class="chart-line" d="${path}" fill="none" stroke="${color}" stroke-width="2"></path>${dots}`;
+            }).join('');
+
+            // Evenly spaced x-axis ticks across the domain
+            const ticks = Math.min(CHART_CONFIG.maxXLabels, Math.floor(maxX - minX) + 1);
+            const tickLabels = Array.from({ length: ticks }, (_, i) => {
+                const x = Math.round(minX + ((maxX - minX) * i) / Math.max(1, ticks - 1));
+                return `<text class="chart-axis-label" x="${xFor(x)}" y="${plot.bottom + 18}" text-anchor="middle">${escape(xLabel(x))}</text>`;
+            }).join('');
+
+            return svgOpen(width, height, ariaLabel) +
+                yAxis(plot, maxY, format) +
+                lines +
+                tickLabels +
+                '</svg>';
+        }
+
+        // Legend markup matching lineChart's palette order
+        function legend(names) {
+            return `<ul class="chart-legend">${names.map((name, index) =>
+                `<li><span class="chart-legend-swatch" style="background: ${CHART_CONFIG.palette[index % CHART_CONFIG.palette.length]}"></span>${escape(name)}</li>`
+            ).join('')}</ul>`;
+        }
+
+        // days: [{ date: 'YYYY-MM-DD', level: 0-4, frozen?, title }], oldest first; columns are weeks
+        function heatmap(days, options = {}) {
+            const { cell, gap } = CHART_CONFIG.heatmap;
+            const ariaLabel = options.ariaLabel || 'Activity calendar';
+            if (!days.length) return emptyChart('No activity yet');
+
+            const firstWeekday = new Date(`${days[0].date}T00:00:00Z`).getUTCDay();
+            const columns = Math.ceil((days.length + firstWeekday) / 7);
+            const left = 28;
+            const top = 16;
+            const width = left + columns * (cell + gap);
+            const height = top + 7 * (cell + gap);
+
+            const weekdayLabels = [[1, 'Mon'], [3, 'Wed'], [5, 'Fri']].map(([row, label]) =>
+                `<text class="chart-axis-label" x="0" y="${top + row * (cell + gap) + cell - 2}">${label}</text>`
+            ).join('');
+
+            let monthLabels = '';
+            let lastMonth = null;
+            const cells = days.map((day, index) => {
+                const position = index + firstWeekday;
+                const column = Math.floor(position / 7);
+                const row = position % 7;
+                const x = left + column * (cell + gap);
+                const y = top + row * (cell + gap);
+
+                const month = day.date.slice(0, 7);
+                if (row === 0 || index === 0) {
+                    if (month !== lastMonth) {
+                        const name = new Date(`${day.date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
+                        monthLabels += `<text class="chart-axis-label" x="${x}" y="10">${name}</text>`;
+                        lastMonth = month;
+                    }
+                }
+
+                const classes = ['chart-heat-cell', `level-${day.level || 0}`, day.frozen ? 'frozen' : '']
+                    .filter(Boolean).join(' ');
+                return `<rect class="${classes}" x="${x}" y="${y}" width="${cell}" height="${cell}" rx="2">` +
+                    `<title>${escape(day.title || day.date)}</title></rect>`;
+            }).join('');
+
+            return svgOpen(width, height, ariaLabel) + monthLabels + weekdayLabels + cells + '</svg>';
+        }
+
+        // Public API
+        return {
+            barChart,
+            lineChart,
+            heatmap,
+            legend
+        };
+    })();
+
+})(window.Growth90 = window.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
@@ -64,9 +64,9 @@
             try {
                 let activePath = Growth90.Learning.PathManager.getActiveLearningPath();
                 if (!activePath) {
-                    const allPaths = await Growth90.Data.Storage.getAllItems('learningPaths');
-                    if (Array.isArray(allPaths) && allPaths.length) {
-                        activePath = allPaths.sort((a,b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+                    const userPaths = await Growth90.User.Profile.getOwnRecords('learningPaths');
+                    if (Array.isArray(userPaths) && userPaths.length) {
+                        activePath = userPaths.sort((a,b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
                     }
                 }
                 if (!activePath) throw new Error('No active learning path found');
@@ -631,9 +631,9 @@
             const body = document.createElement('div');
             body.className = 'content-body';
             
-            // Process content based on format
+            // Lesson content arrives as Markdown from the generator
             if (content.content) {
-                body.innerHTML = processContentHTML(content.content);
+                body.innerHTML = Growth90.UI.Markdown.render(content.content, { idPrefix: `content-${content.id || 'body'}` });
             }
             
             // Add examples
@@ -645,18 +645,6 @@
             return body;
         }
 
-        // Process content HTML for safety and enhancement
-        function processContentHTML(htmlContent) {
-            // Create a temporary container to safely process HTML
-            const temp = document.createElement('div');
-            temp.innerHTML = htmlContent;
-            
-            // Enhance with interactive elements
-            enhanceContentElements(temp);
-            
-            return temp.innerHTML;
-        }
-
         // Setup content caching
         function setupContentCaching() {
             // Set up cache cleanup
@@ -190,6 +190,7 @@
                     id: Growth90.Core.Utils.generateId(),
                     type: 'assessment-feedback',
                     userId: userId,
+                    pathId: assessmentResult.pathId || null,
                     assessmentId: assessmentResult.assessmentId,
                     generatedAt: new Date().toISOString(),
                     categories: feedbackCategories,
@@ -210,6 +211,28 @@
             }
         }
 
+        // Summary feedback built straight from the engine's analysis
+        async function generateBasicAssessmentFeedback(assessmentResult) {
+            const analysis = assessmentResult.analysis || {};
+            const feedback = {
+                id: Growth90.Core.Utils.generateId(),
+                type: 'assessment-feedback',
+                userId: assessmentResult.userId,
+                pathId: assessmentResult.pathId || null,
+                assessmentId: assessmentResult.assessmentId,
+                generatedAt: new Date().toISOString(),
+                overall: analysis.summary || '',
+                strengths: analysis.strengths || [],
+                improvements: analysis.developmentAreas || [],
+                nextSteps: assessmentResult.recommendations || []
+            };
+
+            await storeFeedbackInstance(feedback, { trigger: 'assessment-completion' });
+            Growth90.Core.EventBus.emit('feedback:assessment-generated', feedback);
+
+            return feedback;
+        }
+
         // Generate learning progress feedback
         async function generateProgressFeedback(progressData) {
             try {
@@ -490,6 +513,21 @@
             }
         }
 
+        async function loadFeedbackHistory() {
+            try {
+                const items = await Growth90.User.Profile.getOwnRecords('feedbackHistory');
+                feedbackHistory = Array.isArray(items) ? items : [];
+            } catch (e) {
+                feedbackHistory = [];
+            }
+        }
+
+        function updateFeedbackAnalytics(feedbackRecord) {
+            if (!userFeedbackProfile) return;
+            userFeedbackProfile.history.totalFeedbackReceived++;
+            userFeedbackProfile.history.lastFeedbackAt = feedbackRecord.storedAt;
+        }
+
         // Load user feedback profile
         async function loadUserFeedbackProfile() {
             try {
@@ -611,11 +649,3 @@
     Core: { EventBus: { on: () => {}, emit: () => {} } },
     Data: {}, UI: {}, Learning: {}, User: {}
 });
-        async function loadFeedbackHistory() {
-            try {
-                const items = await Growth90.Data.Storage.getAllItems('feedbackHistory');
-                feedbackHistory = Array.isArray(items) ? items : [];
-            } catch (e) {
-                feedbackHistory = [];
-            }
-        }
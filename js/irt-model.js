@@ -0,0 +1,261 @@
+/**
+ * Growth90 IRT Model
+ * Ability estimation, item information and item calibration for the assessment engine
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // IRT configuration
+    const IRT_CONFIG = {
+        quadrature: { min: -4, max: 4, points: 81 },
+        prior: { mean: 0, sd: 1 },
+        map: { maxIterations: 25, tolerance: 1e-6 },
+        calibration: {
+            minResponses: 20,       // Items with fewer responses keep their current parameters
+            maxCycles: 50,
+            tolerance: 1e-4,
+            maxStep: 1,
+            thresholdGap: 0.05,     // Keeps graded thresholds strictly ordered
+            logDiscrimination: { min: Math.log(0.2), max: Math.log(3), priorMean: 0, priorSd: 0.5 },
+            location: { min: -4, max: 4, priorMean: 0, priorSd: 2 }
+        },
+        difficulty: { centre: 0.5, logitsPerUnit: 4 },  // 0-1 bank difficulty onto the ability scale: 0.3 -> -0.8, 0.7 -> 0.8
+        derivativeStep: 1e-3,
+        epsilon: 1e-10
+    };
+
+    // Item Response Theory
+    //
+    // Items are { model: '3pl', a, b, c } or { model: 'grm', a, thresholds: [b1 < b2 < ...] }.
+    // 3PL responses are in [0, 1]; fractional scores use the fractional Bernoulli
+    // likelihood P^x (1 - P)^(1 - x). GRM responses are category indices 0..K-1.
+    Growth90.Assessment = Growth90.Assessment || {};
+    Growth90.Assessment.IRT = (() => {
+        let grid = null;
+
+        function logistic(x) {
+            return 1 / (1 + Math.exp(-x));
+        }
+
+        function clamp(value, min, max) {
+            return Math.min(max, Math.max(min, value));
+        }
+
+        function getGrid() {
+            if (!grid) {
+                const { min, max, points } = IRT_CONFIG.quadrature;
+                const step = (max - min) / (points - 1);
+                grid = Array.from({ length: points }, (_, i) => min + i * step);
+            }
+            return grid;
+        }
+
+        // Probability of a correct (or full-credit) response under the 3PL model
+        function probability(theta, item) {
+            const c = item.c || 0;
+            return c + (1 - c) * logistic(item.a * (theta - item.b));
+        }
+
+        // Samejima's graded response model: P(X = k) = P*(k) - P*(k + 1)
+        function categoryProbabilities(theta, item) {
+            const cumulative = getCumulative(theta, item);
+            return cumulative.slice(0, -1).map((p, k) => Math.max(IRT_CONFIG.epsilon, p - cumulative[k + 1]));
+        }
+
+        // P*(0) = 1, P*(k) = P(X >= k), P*(K) = 0
+        function getCumulative(theta, item) {
+            return [1, ...item.thresholds.map(threshold => logistic(item.a * (theta - threshold))), 0];
+        }
+
+        function responseLogLikelihood(theta, item, value) {
+            if (item.model === 'grm') {
+                const probs = categoryProbabilities(theta, item);
+                return Math.log(probs[value] ?? IRT_CONFIG.epsilon);
+            }
+            const p = clamp(probability(theta, item), IRT_CONFIG.epsilon, 1 - IRT_CONFIG.epsilon);
+            return value * Math.log(p) + (1 - value) * Math.log(1 - p);
+        }
+
+        function logLikelihood(theta, responses) {
+            return responses.reduce((sum, { item, value }) => sum + responseLogLikelihood(theta, item, value), 0);
+        }
+
+        function logNormal(value, mean, sd) {
+            const z = (value - mean) / sd;
+            return -0.5 * z * z;
+        }
+
+        // Ability on the logit scale with its standard error; EAP by default, MAP on request
+        function estimateAbility(responses = [], options = {}) {
+            const prior = { ...IRT_CONFIG.prior, ...(options.prior || {}) };
+            const eap = estimateEAP(responses, prior);
+            return options.method === 'map' ? estimateMAP(responses, prior, eap.ability) : eap;
+        }
+
+        // Posterior mean and SD over the quadrature grid
+        function estimateEAP(responses, prior) {
+            const points = getGrid();
+            const logPosterior = points.map(theta => logLikelihood(theta, responses) + logNormal(theta, prior.mean, prior.sd));
+            const peak = Math.max(...logPosterior);
+            const weights = logPosterior.map(value => Math.exp(value - peak));
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+            const mean = points.reduce((sum, theta, i) => sum + theta * weights[i], 0) / total;
+            const variance = points.reduce((sum, theta, i) => sum + Math.pow(theta - mean, 2) * weights[i], 0) / total;
+
+            return { ability: mean, standardError: Math.sqrt(variance), method: 'eap' };
+        }
+
+        // Posterior mode by Newton-Raphson; SE from the observed information at the mode
+        function estimateMAP(responses, prior, start = prior.mean) {
+            const { min, max } = IRT_CONFIG.quadrature;
+            const logPosterior = theta => logLikelihood(theta, responses) + logNormal(theta, prior.mean, prior.sd);
+            let theta = start;
+
+            for (let i = 0; i < IRT_CONFIG.map.maxIterations; i++) {
+                const { first, second } = derivatives(logPosterior, theta);
+                if (second >= 0) break;
+                const step = first / second;
+                theta = clamp(theta - step, min, max);
+                if (Math.abs(step) < IRT_CONFIG.map.tolerance) break;
+            }
+
+            const { second } = derivatives(logPosterior, theta);
+            return {
+                ability: theta,
+                standardError: second < 0 ? 1 / Math.sqrt(-second) : prior.sd,
+                method: 'map'
+            };
+        }
+
+        function derivatives(fn, x) {
+            const h = IRT_CONFIG.derivativeStep;
+            const center = fn(x);
+            const up = fn(x + h);
+            const down = fn(x - h);
+            return {
+                first: (up - down) / (2 * h),
+                second: (up - 2 * center + down) / (h * h)
+            };
+        }
+
+        // Fisher information of one item at theta
+        function itemInformation(theta, item) {
+            if (item.model === 'grm') {
+                const cumulative = getCumulative(theta, item);
+                const probs = categoryProbabilities(theta, item);
+                return probs.reduce((sum, p, k) => {
+                    const slope = item.a * (cumulative[k] * (1 - cumulative[k]) - cumulative[k + 1] * (1 - cumulative[k + 1]));
+                    return sum + (slope * slope) / p;
+                }, 0);
+            }
+
+            const c = item.c || 0;
+            const p = clamp(probability(theta, item), IRT_CONFIG.epsilon, 1 - IRT_CONFIG.epsilon);
+            return Math.pow(item.a, 2) * Math.pow((p - c) / (1 - c), 2) * ((1 - p) / p);
+        }
+
+        function testInformation(theta, items) {
+            return items.reduce((sum, item) => sum + itemInformation(theta, item), 0);
+        }
+
+        // Index of the most informative candidate at theta (-1 when there are none)
+        function selectNextItem(theta, items) {
+            let best = -1;
+            let bestInformation = -Infinity;
+            items.forEach((item, index) => {
+                const information = itemInformation(theta, item);
+                if (information > bestInformation) {
+                    best = index;
+                    bestInformation = information;
+                }
+            });
+            return best;
+        }
+
+        // Re-estimate a and b (or a and the thresholds) from { value, ability } observations,
+        // holding abilities fixed. Weak priors keep sparse items near their starting values.
+        function calibrateItem(item, observations = []) {
+            const config = IRT_CONFIG.calibration;
+            if (observations.length < config.minResponses) return null;
+
+            const graded = item.model === 'grm';
+            const params = [Math.log(item.a || 1), ...(graded ? item.thresholds : [item.b || 0])];
+            const toItem = values => graded
+                ? { ...item, a: Math.exp(values[0]), thresholds: values.slice(1) }
+                : { ...item, a: Math.exp(values[0]), b: values[1] };
+            const logPosterior = values => {
+                const candidate = toItem(values);
+                const likelihood = observations.reduce((sum, { value, ability }) => sum + responseLogLikelihood(ability, candidate, value), 0);
+                const prior = logNormal(values[0], config.logDiscrimination.priorMean, config.logDiscrimination.priorSd)
+                    + values.slice(1).reduce((sum, location) => sum + logNormal(location, config.location.priorMean, config.location.priorSd), 0);
+                return likelihood + prior;
+            };
+
+            // Cyclic coordinate Newton steps, clamped to the bounds and threshold order
+            for (let cycle = 0; cycle < config.maxCycles; cycle++) {
+                let largestStep = 0;
+
+                params.forEach((value, j) => {
+                    const along = x => logPosterior(params.map((p, i) => (i === j ? x : p)));
+                    const { first, second } = derivatives(along, value);
+                    const step = clamp(second < 0 ? -first / second : Math.sign(first) * 0.1, -config.maxStep, config.maxStep);
+
+                    const bounds = j === 0 ? config.logDiscrimination : config.location;
+                    let min = bounds.min;
+                    let max = bounds.max;
+                    if (graded && j > 0) {
+                        if (j > 1) min = Math.max(min, params[j - 1] + config.thresholdGap);
+                        if (j < params.length - 1) max = Math.min(max, params[j + 1] - config.thresholdGap);
+                    }
+
+                    const next = clamp(value + step, min, max);
+                    largestStep = Math.max(largestStep, Math.abs(next - value));
+                    params[j] = next;
+                });
+
+                if (largestStep < config.tolerance) break;
+            }
+
+            const calibrated = toItem(params);
+            return {
+                ...calibrated,
+                b: graded ? calibrated.thresholds.reduce((sum, t) => sum + t, 0) / calibrated.thresholds.length : calibrated.b,
+                responses: observations.length,
+                calibratedAt: new Date().toISOString()
+            };
+        }
+
+        // Item location (b) for a 0-1 difficulty from the question banks or the generator
+        function difficultyToLocation(difficulty) {
+            const { centre, logitsPerUnit } = IRT_CONFIG.difficulty;
+            const value = Number.isFinite(difficulty) ? clamp(difficulty, 0, 1) : centre;
+            return (value - centre) * logitsPerUnit;
+        }
+
+        // Evenly spaced graded thresholds centred on a difficulty
+        function defaultThresholds(difficulty, categories) {
+            return Array.from({ length: categories - 1 }, (_, k) => difficulty + k - (categories - 2) / 2);
+        }
+
+        // Public API
+        return {
+            probability,
+            categoryProbabilities,
+            logLikelihood,
+            estimateAbility,
+            itemInformation,
+            testInformation,
+            selectNextItem,
+            calibrateItem,
+            defaultThresholds,
+            difficultyToLocation,
+            getConfig: () => ({ ...IRT_CONFIG })
+        };
+    })();
+
+})(window.Growth90 = window.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
@@ -14,6 +14,7 @@
             '30-45': { min: 30, max: 45, lessonsPerDay: 1 },
             '45-60': { min: 45, max: 60, lessonsPerDay: 2 },
             '60-90': { min: 60, max: 90, lessonsPerDay: 2 },
+            '60+': { min: 60, max: 90, lessonsPerDay: 2 },
             '90+': { min: 90, max: 120, lessonsPerDay: 3 }
         },
         difficultyProgression: {
@@ -26,6 +27,20 @@
             'weekly': 7,
             'biweekly': 14,
             'monthly': 30
+        },
+        catchUp: {
+            minDaysBehind: 2,          // Offer a plan once the learner is this far behind
+            defaultDayMinutes: 30,     // Days without a time allocation
+            extensionMinutes: 15,      // Estimated time for a day's optional extension
+            defaultCommitment: '30-45'
+        },
+        milestones: {
+            passScore: 60,             // Overall milestone assessment score that unlocks the next phase
+            phases: [
+                { id: 'foundation', title: 'Foundation' },
+                { id: 'application', title: 'Application' },
+                { id: 'mastery', title: 'Mastery' }
+            ]
         }
     };
 
@@ -427,6 +442,24 @@
             return 'mastery';
         }
 
+        // Template competencies, rotated so successive milestones cover different ones
+        function getMilestoneCompetencies(day, context) {
+            const competencies = getApplicableTemplate(context).coreCompetencies || [];
+            if (competencies.length <= 2) return competencies;
+            const start = Math.floor(day / 14) % competencies.length;
+            return [0, 1].map(offset => competencies[(start + offset) % competencies.length]);
+        }
+
+        function getMilestoneAssessments(day, context) {
+            const types = getApplicableTemplate(context).assessmentTypes || [];
+            return [{
+                type: 'milestone',
+                day,
+                format: types.length ? types[Math.floor(day / 14) % types.length] : 'skill-assessments',
+                passScore: LEARNING_PATH_CONFIG.milestones.passScore
+            }];
+        }
+
         // Load active learning path
         async function loadActiveLearningPath() {
             try {
@@ -435,11 +468,20 @@
                 
                 if (!userId) return;
                 
+                // Follow the user's primary path when several are running
+                if (Growth90.Learning.PathLibrary) {
+                    const primary = await Growth90.Learning.PathLibrary.getPrimary(userId);
+                    if (primary) {
+                        activeLearningPath = primary;
+                        return;
+                    }
+                }
+
                 const paths = await Growth90.Data.Storage.queryItems('learningPaths', {
                     index: 'userId',
                     keyRange: IDBKeyRange.only(userId)
                 });
-                
+
                 const activePath = paths.find(path => path.status === 'active');
                 if (activePath) {
                     activeLearningPath = activePath;
@@ -460,25 +502,10 @@
             }
         }
 
-        // Initialize progress tracking
+        // Initialize progress tracking with the path's summary record
         async function initializeProgressTracking(learningPath) {
             try {
-                const progressData = {
-                    id: Growth90.Core.Utils.generateId(),
-                    pathId: learningPath.id,
-                    userId: learningPath.userId,
-                    startDate: new Date().toISOString(),
-                    currentDay: 1,
-                    completedLessons: [],
-                    milestoneProgress: {},
-                    competencyProgress: {},
-                    dailyMetrics: {},
-                    overallProgress: 0
-                };
-                
-                await Growth90.Data.Storage.setItem('learningProgress', progressData);
-                dailyProgress = progressData;
-                
+                dailyProgress = await Growth90.Learning.ProgressStore.refreshSummary(learningPath.userId, learningPath.id);
                 
             } catch (error) {
                 console.error('❌ Failed to initialize progress tracking:', error);
@@ -490,13 +517,9 @@
             try {
                 if (!activeLearningPath) return;
                 
-                const progressItems = await Growth90.Data.Storage.queryItems('learningProgress', {
-                    index: 'pathId',
-                    keyRange: IDBKeyRange.only(activeLearningPath.id)
-                });
-                
-                if (progressItems.length > 0) {
-                    dailyProgress = progressItems[0];
+                const summary = await Growth90.Learning.ProgressStore.getSummary(activeLearningPath.userId, activeLearningPath.id);
+                if (summary) {
+                    dailyProgress = summary;
                 }
                 
             } catch (error) {
@@ -514,8 +537,10 @@
                 Object.assign(dailyProgress, progressUpdate);
                 dailyProgress.lastUpdated = new Date().toISOString();
                 
-                // Recalculate overall progress
-                dailyProgress.overallProgress = calculateOverallProgress();
+                // Recalculate overall progress when the path is module-based; otherwise the summary's value stands
+                if (getTotalLessons() > 0) {
+                    dailyProgress.overallProgress = calculateOverallProgress();
+                }
                 
                 // Save updated progress
                 await Growth90.Data.Storage.setItem('learningProgress', dailyProgress);
@@ -572,10 +597,12 @@
             // Monitor milestone progress
             Growth90.Core.EventBus.on('lesson:completed', handleLessonCompletion);
             Growth90.Core.EventBus.on('assessment:completed', handleAssessmentCompletion);
+            Growth90.Core.EventBus.on('milestone:assessed', handleMilestoneAssessed);
         }
 
         function checkDailyActivity() {
             const today = new Date().toISOString().split('T')[0];
+            if (!dailyProgress.dailyMetrics) return;
             
             if (!dailyProgress.dailyMetrics[today]) {
                 dailyProgress.dailyMetrics[today] = {
@@ -589,6 +616,7 @@
         }
 
         function handleLessonCompletion(lessonData) {
+            if (!Array.isArray(dailyProgress.completedLessons)) return;
             if (!dailyProgress.completedLessons.includes(lessonData.id)) {
                 dailyProgress.completedLessons.push(lessonData.id);
                 
@@ -604,18 +632,432 @@
 
         function handleAssessmentCompletion(assessmentData) {
             const today = new Date().toISOString().split('T')[0];
-            if (dailyProgress.dailyMetrics[today]) {
+            if (dailyProgress.dailyMetrics?.[today]) {
                 dailyProgress.dailyMetrics[today].assessmentsCompleted++;
             }
             
             updateProgress({});
         }
 
+        // ---- Catch-up planning ----
+
+        function getCurriculum(learningPath) {
+            const curriculum = learningPath?.pathData?.daily_curriculum || learningPath?.curriculum;
+            return Array.isArray(curriculum) ? curriculum : [];
+        }
+
+        function getDayNumber(entry, index) {
+            return Number(entry.day || entry.id) || index + 1;
+        }
+
+        // Journey day for a date, counting the path's start date as day 1
+        function getJourneyDay(learningPath, today = new Date()) {
+            const start = new Date(learningPath.progress?.startDate || learningPath.createdAt || today);
+            const current = new Date(today);
+            start.setHours(0, 0, 0, 0);
+            current.setHours(0, 0, 0, 0);
+            return Math.max(1, Math.round((current - start) / (1000 * 60 * 60 * 24)) + 1);
+        }
+
+        // Estimated minutes for a curriculum day, with or without its optional extension
+        function estimateDayMinutes(entry, { skipExtension = false } = {}) {
+            const allocation = entry.time_allocation;
+            let minutes = allocation
+                ? (Number(allocation.learn) || 0) + (Number(allocation.practice) || 0) + (Number(allocation.review) || 0)
+                : 0;
+            if (!minutes) {
+                const match = String(entry.time_investment || '').match(/\d+/);
+                minutes = match ? Number(match[0]) : LEARNING_PATH_CONFIG.catchUp.defaultDayMinutes;
+            }
+            if (entry.extension_opportunities && !skipExtension) {
+                minutes += LEARNING_PATH_CONFIG.catchUp.extensionMinutes;
+            }
+            return minutes;
+        }
+
+        // Where the learner stands against the schedule. currentDay is the first
+        // incomplete curriculum day; scheduled_day is set by earlier catch-up plans.
+        function assessSchedule(learningPath, currentDay, today = new Date()) {
+            const curriculum = getCurriculum(learningPath);
+            const journeyDay = getJourneyDay(learningPath, today);
+            const scheduled = curriculum.map((entry, index) => {
+                const day = getDayNumber(entry, index);
+                return { day, scheduledDay: entry.scheduled_day || day };
+            });
+            const due = scheduled.filter(entry => entry.scheduledDay <= journeyDay);
+            const expectedDay = due.length ? Math.max(...due.map(entry => entry.day)) : 1;
+            const daysBehind = Math.max(0, expectedDay - currentDay);
+
+            return {
+                journeyDay,
+                expectedDay,
+                currentDay,
+                daysBehind,
+                endDay: scheduled.length ? Math.max(...scheduled.map(entry => entry.scheduledDay)) : 0,
+                totalDays: curriculum.length,
+                needsCatchUp: daysBehind >= LEARNING_PATH_CONFIG.catchUp.minDaysBehind
+            };
+        }
+
+        // Pair neighbouring days whose combined time fits the daily budget, lightest pairs first
+        function pickDoubleUps(remaining, minutesFor, budget, needed) {
+            const pairs = [];
+            for (let i = 0; i < remaining.length - 1; i++) {
+                const minutes = minutesFor(remaining[i].entry) + minutesFor(remaining[i + 1].entry);
+                if (minutes <= budget) pairs.push({ index: i, minutes });
+            }
+
+            const used = new Set();
+            const chosen = [];
+            pairs.sort((a, b) => a.minutes - b.minutes || a.index - b.index).forEach(pair => {
+                if (chosen.length >= needed || used.has(pair.index) || used.has(pair.index + 1)) return;
+                used.add(pair.index);
+                used.add(pair.index + 1);
+                chosen.push(pair.index);
+            });
+            return new Set(chosen);
+        }
+
+        // Lay the remaining days out from today; a paired day shares its partner's journey day
+        function buildSchedule(remaining, pairStarts, journeyDay) {
+            const schedule = [];
+            let slot = journeyDay;
+            remaining.forEach((item, index) => {
+                const pairedWithPrevious = pairStarts.has(index - 1);
+                if (index > 0 && !pairedWithPrevious) slot++;
+                schedule.push({ day: item.day, scheduledDay: slot });
+            });
+            return schedule;
+        }
+
+        function describePlan(type, details) {
+            const { daysRecovered, extraDays, skipped } = details;
+            const extension = extraDays > 0 ? ` The end date moves ${extraDays} ${extraDays === 1 ? 'day' : 'days'} later.` : ' You still finish on your original end date.';
+            if (type === 'double-up') {
+                return `Combine ${daysRecovered} pairs of lighter days.${extension}`;
+            }
+            if (type === 'skip-extensions') {
+                return `Skip the optional extension on ${skipped} ${skipped === 1 ? 'day' : 'days'} and combine ${daysRecovered} pairs of lighter days.${extension}`;
+            }
+            if (extraDays === 0) {
+                return 'Keep every day as planned, starting again from today. You still finish on your end date.';
+            }
+            return `Keep every day as planned and push the end date back ${extraDays} ${extraDays === 1 ? 'day' : 'days'}.`;
+        }
+
+        // Catch-up options for a path that has fallen behind. timeCommitment is the
+        // profile's daily commitment (e.g. '30-45'); its upper bound caps a doubled-up day.
+        function proposeCatchUpPlans(learningPath, currentDay, options = {}) {
+            const status = assessSchedule(learningPath, currentDay, options.today);
+            if (status.daysBehind <= 0) return { status, plans: [] };
+
+            const commitment = LEARNING_PATH_CONFIG.dailyTimeCommitments[options.timeCommitment] ||
+                LEARNING_PATH_CONFIG.dailyTimeCommitments[LEARNING_PATH_CONFIG.catchUp.defaultCommitment];
+            const remaining = getCurriculum(learningPath)
+                .map((entry, index) => ({ entry, day: getDayNumber(entry, index) }))
+                .filter(item => item.day >= currentDay)
+                .sort((a, b) => a.day - b.day);
+            const available = Math.max(0, status.endDay - status.journeyDay + 1);
+            const needed = Math.max(0, remaining.length - available);
+
+            const makePlan = (type, title, pairStarts, skippedDays = []) => {
+                const schedule = buildSchedule(remaining, pairStarts, status.journeyDay);
+                const endDay = schedule.length ? schedule[schedule.length - 1].scheduledDay : status.endDay;
+                const extraDays = Math.max(0, endDay - status.endDay);
+                return {
+                    type,
+                    title,
+                    description: describePlan(type, { daysRecovered: pairStarts.size, extraDays, skipped: skippedDays.length }),
+                    daysBehind: status.daysBehind,
+                    daysRecovered: pairStarts.size,
+                    extraDays,
+                    endDay,
+                    pairs: [...pairStarts].sort((a, b) => a - b).map(index => [remaining[index].day, remaining[index + 1].day]),
+                    skippedExtensions: skippedDays,
+                    schedule
+                };
+            };
+
+            const plans = [];
+            const withExtensions = (entry) => estimateDayMinutes(entry);
+            const doubleUps = pickDoubleUps(remaining, withExtensions, commitment.max, needed);
+            if (doubleUps.size > 0) {
+                plans.push(makePlan('double-up', 'Double up lighter days', doubleUps));
+            }
+
+            const skippable = remaining.filter(item => item.entry.extension_opportunities).map(item => item.day);
+            if (skippable.length > 0) {
+                const withoutExtensions = (entry) => estimateDayMinutes(entry, { skipExtension: true });
+                const lighterDoubleUps = pickDoubleUps(remaining, withoutExtensions, commitment.max, needed);
+                if (lighterDoubleUps.size > doubleUps.size) {
+                    plans.push(makePlan('skip-extensions', 'Skip optional extensions', lighterDoubleUps, skippable));
+                }
+            }
+
+            plans.push(makePlan('extend', 'Extend the end date', new Set()));
+            return { status, plans };
+        }
+
+        // Write a chosen plan into the path's daily_curriculum
+        async function applyCatchUpPlan(pathId, plan) {
+            const scheduleByDay = new Map(plan.schedule.map(entry => [entry.day, entry.scheduledDay]));
+            const skipped = new Set(plan.skippedExtensions || []);
+
+            const updated = await Growth90.Data.Storage.updateItem('learningPaths', pathId, learningPath => {
+                if (!learningPath) return null;
+
+                const curriculum = getCurriculum(learningPath).map((entry, index) => {
+                    const day = getDayNumber(entry, index);
+                    if (!scheduleByDay.has(day)) return entry;
+
+                    const next = { ...entry, scheduled_day: scheduleByDay.get(day) };
+                    if (skipped.has(day) && next.extension_opportunities) {
+                        next.skipped_extension = next.extension_opportunities;
+                        delete next.extension_opportunities;
+                    }
+                    return next;
+                });
+
+                const next = { ...learningPath };
+                if (Array.isArray(learningPath.pathData?.daily_curriculum)) {
+                    next.pathData = { ...learningPath.pathData, daily_curriculum: curriculum };
+                } else {
+                    next.curriculum = curriculum;
+                }
+                next.progress = { ...(learningPath.progress || {}), scheduledEndDay: plan.endDay };
+                next.catchUpHistory = [
+                    ...(learningPath.catchUpHistory || []),
+                    {
+                        type: plan.type,
+                        daysBehind: plan.daysBehind,
+                        daysRecovered: plan.daysRecovered,
+                        extraDays: plan.extraDays,
+                        appliedAt: new Date().toISOString()
+                    }
+                ];
+                return next;
+            });
+
+            if (!updated) {
+                throw new Error('Learning path not found');
+            }
+            if (activeLearningPath?.id === pathId) {
+                activeLearningPath = updated;
+            }
+            Growth90.Core.EventBus.emit('learning-path:rescheduled', { pathId, plan: plan.type });
+            return updated;
+        }
+
+        // ---- Milestone assessments ----
+
+        // Milestones from the API (milestone_assessments) and from generateMilestones, one per day
+        function getPathMilestones(learningPath) {
+            const byDay = new Map();
+            [
+                ...(Array.isArray(learningPath?.pathData?.milestone_assessments) ? learningPath.pathData.milestone_assessments : []),
+                ...(Array.isArray(learningPath?.milestones) ? learningPath.milestones : [])
+            ].forEach(milestone => {
+                const day = Number(milestone.day);
+                if (!day || byDay.has(day)) return;
+                byDay.set(day, {
+                    day,
+                    title: milestone.title || milestone.type || `Day ${day} Milestone`,
+                    description: milestone.description || '',
+                    type: milestone.type || 'checkpoint',
+                    competencies: Array.isArray(milestone.competencies) ? milestone.competencies : []
+                });
+            });
+            return [...byDay.values()].sort((a, b) => a.day - b.day);
+        }
+
+        // Equal thirds of the curriculum, matching the Foundation / Application / Mastery summaries
+        function getPhases(learningPath) {
+            const totalDays = getCurriculum(learningPath).length || learningPath?.duration || LEARNING_PATH_CONFIG.defaultDuration;
+            const phases = LEARNING_PATH_CONFIG.milestones.phases;
+            return phases.map((phase, index) => ({
+                ...phase,
+                startDay: Math.round((totalDays * index) / phases.length) + 1,
+                endDay: Math.round((totalDays * (index + 1)) / phases.length)
+            }));
+        }
+
+        // A phase stays locked while a milestone from an earlier phase is waiting for,
+        // or has not passed, its assessment. Milestones never reached lock nothing.
+        function getPhaseStatus(learningPath) {
+            const milestones = getPathMilestones(learningPath);
+            const state = learningPath?.milestoneStatus || {};
+
+            return getPhases(learningPath).map(phase => {
+                const blocking = milestones.find(milestone => milestone.day < phase.startDay &&
+                    ['pending-assessment', 'failed'].includes(state[milestone.day]?.status));
+                return {
+                    ...phase,
+                    locked: !!blocking,
+                    lockedBy: blocking || null
+                };
+            });
+        }
+
+        function getDayLock(learningPath, day) {
+            const phase = getPhaseStatus(learningPath).find(entry => day >= entry.startDay && day <= entry.endDay);
+            return phase?.locked ? { phase, milestone: phase.lockedBy } : null;
+        }
+
+        // Called once every lesson of a day is done; a milestone day waits for its assessment
+        async function completeDay(userId, pathId, day) {
+            const learningPath = await Growth90.Data.Storage.getItem('learningPaths', pathId);
+            const milestone = getPathMilestones(learningPath).find(entry => entry.day === Number(day));
+            if (!milestone) return null;
+
+            const previous = learningPath.milestoneStatus?.[milestone.day];
+            if (previous && previous.status !== 'pending-assessment') return null;
+
+            const updated = await Growth90.Data.Storage.updateItem('learningPaths', pathId, path => {
+                if (!path) return null;
+                return {
+                    ...path,
+                    milestoneStatus: {
+                        ...(path.milestoneStatus || {}),
+                        [milestone.day]: {
+                            attempts: 0,
+                            ...(path.milestoneStatus?.[milestone.day] || {}),
+                            status: 'pending-assessment',
+                            reachedAt: previous?.reachedAt || new Date().toISOString()
+                        }
+                    }
+                };
+            });
+            if (activeLearningPath?.id === pathId) {
+                activeLearningPath = updated;
+            }
+
+            const nextPhase = getPhases(updated).find(phase => phase.startDay > milestone.day) || null;
+            return { userId, pathId, milestone, nextPhase, learningPath: updated };
+        }
+
+        // Start the milestone's assessment session in the assessment engine
+        async function launchMilestoneAssessment(userId, pathId, day) {
+            const engine = Growth90.Assessment?.Engine;
+            if (!engine) {
+                throw new Error('Assessment engine is not available');
+            }
+            if (!engine.isInitialized()) {
+                await engine.initialize();
+            }
+
+            return engine.createAssessment({
+                type: 'milestone',
+                purpose: 'milestone-evaluation',
+                userId,
+                pathId,
+                milestoneDay: Number(day)
+            });
+        }
+
+        // Competency levels against this milestone's last attempt, else the last assessed milestone before it
+        function getCompetencyUpdates(learningPath, day, competencyLevels = {}) {
+            const state = learningPath.milestoneStatus || {};
+            const earlier = Object.keys(state)
+                .map(Number)
+                .filter(key => key <= day && state[key].competencyLevels)
+                .sort((a, b) => b - a)[0];
+            const previousLevels = earlier ? state[earlier].competencyLevels : {};
+
+            const updates = {};
+            Object.entries(competencyLevels).forEach(([competency, level]) => {
+                const previous = previousLevels[competency];
+                updates[competency] = {
+                    level,
+                    previous: previous ?? null,
+                    change: previous === undefined ? null : level - previous
+                };
+            });
+            return updates;
+        }
+
+        // Record a milestone assessment result and unlock (or keep locked) the next phase
+        async function handleMilestoneAssessed({ pathId, day, resultId, overallScore }) {
+            try {
+                const [learningPath, result] = await Promise.all([
+                    Growth90.Data.Storage.getItem('learningPaths', pathId),
+                    resultId ? Growth90.Data.Storage.getItem('assessmentResults', resultId) : null
+                ]);
+                const milestone = getPathMilestones(learningPath).find(entry => entry.day === Number(day));
+                if (!milestone) return;
+
+                const passed = overallScore >= LEARNING_PATH_CONFIG.milestones.passScore;
+                const competencyLevels = {};
+                Object.entries(result?.competencyProfile?.competencyLevels || {}).forEach(([competency, data]) => {
+                    competencyLevels[competency] = data.level;
+                });
+                const competencyUpdates = getCompetencyUpdates(learningPath, milestone.day, competencyLevels);
+                const wasLocked = getPhaseStatus(learningPath).filter(phase => phase.locked).map(phase => phase.id);
+
+                const updated = await Growth90.Data.Storage.updateItem('learningPaths', pathId, path => {
+                    if (!path) return null;
+                    const previous = path.milestoneStatus?.[milestone.day] || {};
+                    return {
+                        ...path,
+                        milestoneStatus: {
+                            ...(path.milestoneStatus || {}),
+                            [milestone.day]: {
+                                ...previous,
+                                status: passed ? 'passed' : 'failed',
+                                reachedAt: previous.reachedAt || new Date().toISOString(),
+                                assessedAt: new Date().toISOString(),
+                                attempts: (previous.attempts || 0) + 1,
+                                score: overallScore,
+                                resultId,
+                                competencyLevels
+                            }
+                        }
+                    };
+                });
+                if (activeLearningPath?.id === pathId) {
+                    activeLearningPath = updated;
+                }
+
+                const reachedAt = updated.milestoneStatus[milestone.day].reachedAt;
+                Growth90.Core.EventBus.emit('milestone:reached', {
+                    userId: updated.userId,
+                    pathId,
+                    ...milestone,
+                    passed,
+                    score: overallScore,
+                    attempts: updated.milestoneStatus[milestone.day].attempts,
+                    competencyUpdates,
+                    timeMetrics: {
+                        journeyDay: getJourneyDay(updated, new Date(reachedAt)),
+                        assessmentTime: result?.totalTime || 0
+                    }
+                });
+
+                getPhaseStatus(updated).forEach(phase => {
+                    if (wasLocked.includes(phase.id) && !phase.locked) {
+                        Growth90.Core.EventBus.emit('path:phase:unlocked', { pathId, phase: phase.id, milestoneDay: milestone.day });
+                    } else if (!wasLocked.includes(phase.id) && phase.locked) {
+                        Growth90.Core.EventBus.emit('path:phase:locked', { pathId, phase: phase.id, milestoneDay: milestone.day });
+                    }
+                });
+            } catch (error) {
+                console.error('❌ Failed to record milestone assessment:', error);
+            }
+        }
+
         // Public API
         return {
             initialize,
             generateLearningPath,
             updateProgress,
+            assessSchedule,
+            proposeCatchUpPlans,
+            applyCatchUpPlan,
+            getPathMilestones,
+            getPhaseStatus,
+            getDayLock,
+            completeDay,
+            launchMilestoneAssessment,
+            getMilestonePassScore: () => LEARNING_PATH_CONFIG.milestones.passScore,
             getActiveLearningPath: () => activeLearningPath,
             getDailyProgress: () => dailyProgress,
             getMilestones: () => milestones,
@@ -0,0 +1,163 @@
+/**
+ * Growth90 Lesson Assistant
+ * Per-lesson AI conversation threads backed by the chat API
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Lesson assistant configuration
+    const ASSISTANT_CONFIG = {
+        storeName: 'lessonChats',
+        historyLimit: 10,          // Prior messages sent along as context
+        maxQuestionLength: 1000,
+        maxLessonContentLength: 4000,
+        quickPrompts: [
+            { id: 'explain', label: 'Explain simply', prompt: 'Explain the key idea of this lesson in simpler terms.' },
+            { id: 'example', label: 'Real-world example', prompt: 'Give me a concrete example of this lesson applied at work.' },
+            { id: 'quiz', label: 'Quiz me', prompt: 'Ask me three short questions to check my understanding of this lesson.' }
+        ]
+    };
+
+    // Lesson Assistant
+    Growth90.Learning.LessonAssistant = (() => {
+
+        // Build the request context for a lesson from the learner's profile
+        function createLessonContext(lessonData, day) {
+            const userIdentity = Growth90.User.Profile.get() || {};
+            const content = String(lessonData.fullContent || lessonData.content || '');
+
+            return {
+                userId: userIdentity.email || userIdentity.id || 'guest',
+                pathId: Growth90.Learning.ProgressStore.getPathId(userIdentity),
+                day: Number(day) || 1,
+                lessonId: lessonData.id,
+                lessonTitle: lessonData.title || '',
+                topic: userIdentity.selectedTopic?.title || '',
+                lesson: {
+                    id: lessonData.id,
+                    title: lessonData.title,
+                    type: lessonData.type,
+                    description: lessonData.description || '',
+                    content: content.slice(0, ASSISTANT_CONFIG.maxLessonContentLength)
+                },
+                profile: {
+                    nickname: userIdentity.nickname,
+                    industry: userIdentity.industry,
+                    role: userIdentity.role || userIdentity.currentRole,
+                    experience: userIdentity.experience,
+                    goal: userIdentity.goal,
+                    focusAreas: userIdentity.focusAreas || []
+                }
+            };
+        }
+
+        // One thread per user, path, day and lesson
+        function getThreadId(context) {
+            return `chat_${context.userId}_${context.pathId}_day_${context.day}_${context.lessonId}`;
+        }
+
+        async function getThread(context) {
+            const id = getThreadId(context);
+            try {
+                const existing = await Growth90.Data.Storage.getItem(ASSISTANT_CONFIG.storeName, id);
+                if (existing) return existing;
+            } catch (error) {
+                console.error('❌ Failed to load lesson chat thread:', error);
+            }
+
+            return {
+                id,
+                userId: context.userId,
+                pathId: context.pathId,
+                lessonId: context.lessonId,
+                day: context.day,
+                lessonTitle: context.lessonTitle,
+                messages: []
+            };
+        }
+
+        async function saveThread(thread) {
+            try {
+                await Growth90.Data.Storage.setItem(ASSISTANT_CONFIG.storeName, thread);
+            } catch (error) {
+                console.error('❌ Failed to save lesson chat thread:', error);
+            }
+        }
+
+        // Ask a question about the lesson; resolves with the updated thread
+        async function ask(context, question) {
+            const text = String(question || '').trim().slice(0, ASSISTANT_CONFIG.maxQuestionLength);
+            if (!text) {
+                throw new Error('Please enter a question');
+            }
+
+            const thread = await getThread(context);
+            const conversation = thread.messages
+                .slice(-ASSISTANT_CONFIG.historyLimit)
+                .map(message => ({ role: message.role, content: message.content }));
+
+            const response = await Growth90.Data.API.chat.askQuestion(
+                text,
+                {
+                    day: context.day,
+                    path_id: context.pathId,
+                    topic: context.topic,
+                    conversation
+                },
+                context.profile,
+                context.lesson
+            );
+
+            const answer = extractAnswer(response);
+            if (!answer) {
+                throw new Error('The assistant returned an empty answer');
+            }
+
+            const now = new Date().toISOString();
+            thread.messages.push(
+                { role: 'user', content: text, createdAt: now },
+                { role: 'assistant', content: answer, createdAt: now }
+            );
+            thread.lessonTitle = context.lessonTitle;
+            await saveThread(thread);
+
+            Growth90.Core.EventBus.emit('lesson-assistant:answered', {
+                threadId: thread.id,
+                lessonId: context.lessonId,
+                day: context.day
+            });
+
+            return thread;
+        }
+
+        async function clearThread(context) {
+            try {
+                await Growth90.Data.Storage.deleteItem(ASSISTANT_CONFIG.storeName, getThreadId(context));
+            } catch (error) {
+                console.error('❌ Failed to clear lesson chat thread:', error);
+            }
+        }
+
+        // Chat endpoints answer as { success, data: { response } }; tolerate a few variants
+        function extractAnswer(response) {
+            const data = response && response.data !== undefined ? response.data : response;
+            if (typeof data === 'string') return data.trim();
+            const answer = data?.response || data?.answer || data?.message || data?.content || '';
+            return typeof answer === 'string' ? answer.trim() : '';
+        }
+
+        // Public API
+        return {
+            createLessonContext,
+            getThread,
+            ask,
+            clearThread,
+            getQuickPrompts: () => ASSISTANT_CONFIG.quickPrompts.map(prompt => ({ ...prompt }))
+        };
+    })();
+
+})(window.Growth90 = window.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
@@ -0,0 +1,258 @@
+/**
+ * Growth90 Lesson Journal
+ * Per-lesson checklists and reflections stored in the progress record's notes
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Lesson journal configuration
+    const JOURNAL_CONFIG = {
+        storeName: 'learningProgress',
+        draftStatus: 'in-progress',
+        maxAnswerLength: 4000,
+        checklistLessonTypes: ['Checklist'],
+        defaultPrompts: [
+            'What is one idea from this lesson you will apply this week?'
+        ]
+    };
+
+    // Lesson Journal
+    Growth90.Learning.LessonJournal = (() => {
+
+        function createLessonContext(lessonData, day) {
+            const userIdentity = Growth90.User.Profile.get() || {};
+
+            return {
+                userId: userIdentity.email || userIdentity.id || 'guest',
+                pathId: Growth90.Learning.ProgressStore.getPathId(userIdentity),
+                pathTitle: userIdentity.selectedTopic?.title || '',
+                day: Number(day) || 1,
+                lessonId: lessonData.id || 'default',
+                lessonTitle: lessonData.title || ''
+            };
+        }
+
+        // Same key markLessonCompleted uses, so notes and completion share a record
+        function getProgressId(context) {
+            return Growth90.Learning.ProgressStore.getLessonRecordId(context.userId, context.pathId, context.day, context.lessonId);
+        }
+
+        // Tasks come from Markdown task items (and plain items in checklist lessons);
+        // reflections from open-ended questions, reflection exercises and a default prompt
+        function extractPrompts(lessonData = {}) {
+            const tasks = [];
+            const includePlainItems = JOURNAL_CONFIG.checklistLessonTypes.includes(lessonData.type);
+            const markdown = Growth90.UI.Markdown;
+
+            if (lessonData.fullContent && markdown) {
+                collectTasks(markdown.tokenize(lessonData.fullContent).tokens, includePlainItems, tasks);
+            }
+
+            const prompts = [
+                ...(lessonData.reflectionPrompts || []),
+                ...(lessonData.exercises || [])
+                    .filter(exercise => exercise.type === 'reflection' && exercise.prompt)
+                    .map(exercise => exercise.prompt),
+                ...JOURNAL_CONFIG.defaultPrompts
+            ];
+
+            return {
+                tasks: dedupeBy(tasks, task => task.text),
+                reflections: [...new Set(prompts.map(prompt => String(prompt).trim()).filter(Boolean))]
+                    .map(prompt => ({ prompt, answer: '' }))
+            };
+        }
+
+        function collectTasks(tokens, includePlainItems, tasks) {
+            tokens.forEach(token => {
+                if (token.type === 'list') {
+                    token.items.forEach(item => {
+                        const first = item.tokens[0];
+                        if (first && first.type === 'paragraph' && (item.task !== null || includePlainItems)) {
+                            tasks.push({
+                                text: first.text.replace(/\s+/g, ' ').trim(),
+                                done: false,
+                                inline: item.task !== null
+                            });
+                        }
+                        collectTasks(item.tokens, includePlainItems, tasks);
+                    });
+                } else if (token.type === 'blockquote') {
+                    collectTasks(token.tokens, includePlainItems, tasks);
+                }
+            });
+        }
+
+        function dedupeBy(items, keyFn) {
+            const seen = new Set();
+            return items.filter(item => {
+                const key = keyFn(item);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+
+        // Older records stored notes as a plain string
+        function normalizeNotes(notes) {
+            if (notes && typeof notes === 'object') {
+                return {
+                    tasks: Array.isArray(notes.tasks) ? notes.tasks : [],
+                    reflections: Array.isArray(notes.reflections) ? notes.reflections : [],
+                    text: notes.text || '',
+                    updatedAt: notes.updatedAt || null
+                };
+            }
+            return { tasks: [], reflections: [], text: typeof notes === 'string' ? notes : '', updatedAt: null };
+        }
+
+        // Lay saved answers over the lesson's current prompts, keeping answers to prompts that have since changed
+        function mergeNotes(prompts, saved) {
+            const notes = normalizeNotes(saved);
+            const savedTasks = new Map(notes.tasks.map(task => [task.text, task]));
+            const savedReflections = new Map(notes.reflections.map(entry => [entry.prompt, entry]));
+
+            const tasks = prompts.tasks.map(task => ({
+                ...task,
+                done: Boolean(savedTasks.get(task.text)?.done)
+            }));
+            const reflections = prompts.reflections.map(entry => ({
+                prompt: entry.prompt,
+                answer: savedReflections.get(entry.prompt)?.answer || ''
+            }));
+
+            const taskTexts = new Set(tasks.map(task => task.text));
+            const promptTexts = new Set(reflections.map(entry => entry.prompt));
+            notes.tasks.forEach(task => {
+                if (!taskTexts.has(task.text)) tasks.push({ ...task, inline: false });
+            });
+            notes.reflections.forEach(entry => {
+                if (!promptTexts.has(entry.prompt) && entry.answer) reflections.push(entry);
+            });
+
+            return { tasks, reflections, text: notes.text, updatedAt: notes.updatedAt };
+        }
+
+        async function getRecord(context) {
+            try {
+                return await Growth90.Data.Storage.getItem(JOURNAL_CONFIG.storeName, getProgressId(context));
+            } catch (error) {
+                console.error('❌ Failed to load lesson notes:', error);
+                return null;
+            }
+        }
+
+        async function getNotes(context, lessonData) {
+            const record = await getRecord(context);
+            return mergeNotes(extractPrompts(lessonData), record?.notes);
+        }
+
+        // Saving before completion creates a draft record; completion keeps the notes
+        async function saveNotes(context, notes) {
+            const now = new Date().toISOString();
+            const cleanNotes = {
+                tasks: (notes.tasks || []).map(task => ({ text: task.text, done: Boolean(task.done) })),
+                reflections: (notes.reflections || []).map(entry => ({
+                    prompt: entry.prompt,
+                    answer: String(entry.answer || '').slice(0, JOURNAL_CONFIG.maxAnswerLength)
+                })),
+                text: String(notes.text || '').slice(0, JOURNAL_CONFIG.maxAnswerLength),
+                lessonTitle: context.lessonTitle || '',
+                pathTitle: context.pathTitle || '',
+                updatedAt: now
+            };
+
+            const updated = await Growth90.Data.Storage.updateItem(JOURNAL_CONFIG.storeName, getProgressId(context), record => {
+                if (!record) {
+                    return {
+                        id: getProgressId(context),
+                        type: 'lesson',
+                        userId: context.userId,
+                        pathId: context.pathId,
+                        day: context.day,
+                        lessonId: context.lessonId,
+                        status: JOURNAL_CONFIG.draftStatus,
+                        notes: cleanNotes
+                    };
+                }
+                cleanNotes.lessonTitle = cleanNotes.lessonTitle || record.notes?.lessonTitle || '';
+                cleanNotes.pathTitle = cleanNotes.pathTitle || record.notes?.pathTitle || '';
+                return { ...record, notes: cleanNotes };
+            });
+
+            Growth90.Core.EventBus.emit('lesson:notes:saved', {
+                id: updated.id,
+                lessonId: context.lessonId,
+                day: context.day
+            });
+
+            return updated;
+        }
+
+        function hasContent(notes) {
+            const normalized = normalizeNotes(notes);
+            return Boolean(normalized.text.trim()) ||
+                normalized.tasks.some(task => task.done) ||
+                normalized.reflections.some(entry => String(entry.answer || '').trim());
+        }
+
+        // Journal entries for a user, grouped by path and ordered by day
+        async function getJournal(userId, options = {}) {
+            let records = [];
+            try {
+                records = await Growth90.Data.Storage.queryItems(JOURNAL_CONFIG.storeName, {
+                    index: 'userId',
+                    keyRange: IDBKeyRange.only(userId)
+                });
+            } catch (error) {
+                console.error('❌ Failed to load journal:', error);
+                return [];
+            }
+
+            const paths = new Map();
+            records
+                .filter(record => hasContent(record.notes))
+                .filter(record => !options.pathId || record.pathId === options.pathId)
+                .forEach(record => {
+                    const notes = normalizeNotes(record.notes);
+                    if (!paths.has(record.pathId)) {
+                        paths.set(record.pathId, {
+                            pathId: record.pathId,
+                            pathTitle: record.notes.pathTitle || '',
+                            entries: []
+                        });
+                    }
+                    paths.get(record.pathId).entries.push({
+                        id: record.id,
+                        day: record.day,
+                        lessonId: record.lessonId,
+                        lessonTitle: record.notes.lessonTitle || record.lessonId,
+                        status: record.status,
+                        notes
+                    });
+                });
+
+            return [...paths.values()].map(path => ({
+                ...path,
+                entries: path.entries.sort((a, b) => a.day - b.day ||
+                    String(a.notes.updatedAt || '').localeCompare(String(b.notes.updatedAt || '')))
+            }));
+        }
+
+        // Public API
+        return {
+            createLessonContext,
+            extractPrompts,
+            getNotes,
+            saveNotes,
+            getJournal,
+            hasContent,
+            normalizeNotes
+        };
+    })();
+
+})(window.Growth90 = window.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
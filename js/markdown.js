@@ -0,0 +1,538 @@
+/**
+ * Growth90 Markdown
+ * Tokenizer and HTML renderer for AI-generated lesson content
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Markdown configuration
+    const MARKDOWN_CONFIG = {
+        idPrefix: 'md',
+        emptyContent: '<p>Content will be loaded here...</p>',
+        safeUrlPattern: /^(https?:|mailto:|\/|\.\/|\.\.\/|[^:]*$)/i,
+        externalLinkAttributes: 'target="_blank" rel="noopener noreferrer"'
+    };
+
+    const PLACEHOLDER = '\u0000';
+
+    // Markdown Renderer
+    Growth90.UI.Markdown = (() => {
+
+        // ---- Block tokenizer ----
+
+        const BLOCK_PATTERNS = {
+            fence: /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/,
+            heading: /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/,
+            rule: /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/,
+            blockquote: /^\s{0,3}>\s?/,
+            listItem: /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/,
+            footnote: /^\s{0,3}\[\^([^\]\s]+)\]:\s*(.*)$/,
+            tableDelimiter: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+        };
+
+        function tokenize(markdown) {
+            const state = { footnotes: new Map() };
+            const lines = String(markdown || '')
+                .replace(/\u0000/g, '')
+                .replace(/\r\n?/g, '\n')
+                .replace(/\t/g, '    ')
+                .split('\n');
+
+            return {
+                tokens: parseBlocks(lines, state),
+                footnotes: state.footnotes
+            };
+        }
+
+        function parseBlocks(lines, state) {
+            const tokens = [];
+            let i = 0;
+
+            while (i < lines.length) {
+                const line = lines[i];
+                let match;
+
+                if (!line.trim()) {
+                    i++;
+                    continue;
+                }
+
+                if ((match = line.match(BLOCK_PATTERNS.fence))) {
+                    const fence = match[1];
+                    const code = [];
+                    i++;
+                    while (i < lines.length && !isClosingFence(lines[i], fence)) {
+                        code.push(lines[i]);
+                        i++;
+                    }
+                    i++; // Closing fence (or end of input)
+                    tokens.push({ type: 'code', lang: match[2] || '', text: code.join('\n') });
+                    continue;
+                }
+
+                if ((match = line.match(BLOCK_PATTERNS.heading))) {
+                    tokens.push({ type: 'heading', level: match[1].length, text: match[2] });
+                    i++;
+                    continue;
+                }
+
+                if (BLOCK_PATTERNS.rule.test(line)) {
+                    tokens.push({ type: 'rule' });
+                    i++;
+                    continue;
+                }
+
+                if ((match = line.match(BLOCK_PATTERNS.footnote))) {
+                    const text = [match[2]];
+                    i++;
+                    while (i < lines.length && lines[i].trim() && /^\s{2,}/.test(lines[i])) {
+                        text.push(lines[i].trim());
+                        i++;
+                    }
+                    if (!state.footnotes.has(match[1])) {
+                        state.footnotes.set(match[1], text.join(' '));
+                    }
+                    continue;
+                }
+
+                if (isTableStart(lines, i)) {
+                    i = parseTable(lines, i, tokens);
+                    continue;
+                }
+
+                if (BLOCK_PATTERNS.blockquote.test(line)) {
+                    const quoted = [];
+                    while (i < lines.length && lines[i].trim()) {
+                        if (BLOCK_PATTERNS.blockquote.test(lines[i])) {
+                            quoted.push(lines[i].replace(BLOCK_PATTERNS.blockquote, ''));
+                        } else if (quoted.length && !startsBlock(lines, i)) {
+                            quoted.push(lines[i]); // Lazy continuation
+                        } else {
+                            break;
+                        }
+                        i++;
+                    }
+                    tokens.push({ type: 'blockquote', tokens: parseBlocks(quoted, state) });
+                    continue;
+                }
+
+                if (BLOCK_PATTERNS.listItem.test(line)) {
+                    i = parseList(lines, i, tokens, state);
+                    continue;
+                }
+
+                // Paragraph: runs until a blank line or another block starts
+                const paragraph = [line.trim()];
+                i++;
+                while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+                    paragraph.push(/ {2,}$/.test(lines[i - 1]) ? `\n${lines[i].trim()}` : lines[i].trim());
+                    i++;
+                }
+                tokens.push({ type: 'paragraph', text: paragraph.join(' ').replace(/ \n/g, '\n') });
+            }
+
+            return tokens;
+        }
+
+        function isClosingFence(line, fence) {
+            const trimmed = line.trim();
+            return trimmed.startsWith(fence) && /^[`~]+$/.test(trimmed);
+        }
+
+        function startsBlock(lines, i) {
+            const line = lines[i];
+            return BLOCK_PATTERNS.fence.test(line) ||
+                BLOCK_PATTERNS.heading.test(line) ||
+                BLOCK_PATTERNS.rule.test(line) ||
+                BLOCK_PATTERNS.blockquote.test(line) ||
+                BLOCK_PATTERNS.listItem.test(line) ||
+                BLOCK_PATTERNS.footnote.test(line) ||
+                isTableStart(lines, i);
+        }
+
+        function indentOf(line) {
+            return line.match(/^ */)[0].length;
+        }
+
+        // A list runs while items share its marker kind; anything indented deeper
+        // than an item's marker belongs to that item (nested lists, paragraphs, code)
+        function parseList(lines, start, tokens, state) {
+            const first = lines[start].match(BLOCK_PATTERNS.listItem);
+            const baseIndent = first[1].length;
+            const ordered = /\d/.test(first[2]);
+            const list = {
+                type: 'list',
+                ordered,
+                start: ordered ? parseInt(first[2], 10) : 1,
+                loose: false,
+                items: []
+            };
+
+            let i = start;
+            while (i < lines.length) {
+                const match = lines[i].match(BLOCK_PATTERNS.listItem);
+                if (!match || match[1].length > baseIndent + 1 || match[1].length < baseIndent ||
+                    /\d/.test(match[2]) !== ordered) {
+                    break;
+                }
+
+                const markerIndent = match[1].length;
+                const contentIndent = markerIndent + match[2].length + 1;
+                const itemLines = [match[3]];
+                i++;
+
+                while (i < lines.length) {
+                    const line = lines[i];
+
+                    if (!line.trim()) {
+                        const next = nextNonBlank(lines, i);
+                        if (next !== -1 && indentOf(lines[next]) > markerIndent) {
+                            itemLines.push('');
+                            list.loose = list.loose || !BLOCK_PATTERNS.listItem.test(lines[next]);
+                            i++;
+                            continue;
+                        }
+                        break;
+                    }
+
+                    if (indentOf(line) > markerIndent) {
+                        itemLines.push(line.slice(Math.min(indentOf(line), contentIndent)));
+                        i++;
+                        continue;
+                    }
+
+                    // Lazy paragraph continuation
+                    if (itemLines[itemLines.length - 1] !== '' && !startsBlock(lines, i)) {
+                        itemLines.push(line.trim());
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+
+                const item = { task: null, tokens: [] };
+                const task = itemLines[0].match(/^\[([ xX])\]\s+(.*)$/);
+                if (task) {
+                    item.task = task[1].toLowerCase() === 'x';
+                    itemLines[0] = task[2];
+                }
+                item.tokens = parseBlocks(itemLines, state);
+                list.items.push(item);
+
+                // A blank line between siblings makes the list loose
+                if (i < lines.length && !lines[i].trim()) {
+                    const next = nextNonBlank(lines, i);
+                    const sibling = next !== -1 && lines[next].match(BLOCK_PATTERNS.listItem);
+                    if (!sibling || sibling[1].length !== markerIndent || /\d/.test(sibling[2]) !== ordered) {
+                        break;
+                    }
+                    list.loose = true;
+                    i = next;
+                }
+            }
+
+            tokens.push(list);
+            return i;
+        }
+
+        function nextNonBlank(lines, i) {
+            for (let j = i; j < lines.length; j++) {
+                if (lines[j].trim()) return j;
+            }
+            return -1;
+        }
+
+        function isTableStart(lines, i) {
+            return i + 1 < lines.length &&
+                lines[i].includes('|') &&
+                lines[i + 1].includes('-') &&
+                BLOCK_PATTERNS.tableDelimiter.test(lines[i + 1]) &&
+                splitTableRow(lines[i]).length === splitTableRow(lines[i + 1]).length;
+        }
+
+        function parseTable(lines, start, tokens) {
+            const header = splitTableRow(lines[start]);
+            const align = splitTableRow(lines[start + 1]).map(cell => {
+                const left = cell.startsWith(':');
+                const right = cell.endsWith(':');
+                if (left && right) return 'center';
+                if (right) return 'right';
+                if (left) return 'left';
+                return null;
+            });
+
+            const rows = [];
+            let i = start + 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                const cells = splitTableRow(lines[i]);
+                rows.push(header.map((_, index) => cells[index] || ''));
+                i++;
+            }
+
+            tokens.push({ type: 'table', header, align, rows });
+            return i;
+        }
+
+        // Split on pipes that are not escaped or inside code spans
+        function splitTableRow(line) {
+            const trimmed = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+            const cells = [];
+            let cell = '';
+            let inCode = false;
+
+            for (let i = 0; i < trimmed.length; i++) {
+                const char = trimmed[i];
+                if (char === '\\' && trimmed[i + 1] === '|') {
+                    cell += '|';
+                    i++;
+                } else if (char === '`') {
+                    inCode = !inCode;
+                    cell += char;
+                } else if (char === '|' && !inCode) {
+                    cells.push(cell.trim());
+                    cell = '';
+                } else {
+                    cell += char;
+                }
+            }
+            cells.push(cell.trim());
+            return cells;
+        }
+
+        // ---- Renderer ----
+
+        function render(markdown, options = {}) {
+            if (!markdown || !String(markdown).trim()) return MARKDOWN_CONFIG.emptyContent;
+
+            const { tokens, footnotes } = tokenize(markdown);
+            const context = {
+                idPrefix: options.idPrefix || MARKDOWN_CONFIG.idPrefix,
+                slugs: new Map(),
+                footnotes,
+                footnoteOrder: []
+            };
+
+            const html = renderTokens(tokens, context) + renderFootnotes(context);
+            return html || MARKDOWN_CONFIG.emptyContent;
+        }
+
+        function renderTokens(tokens, context, tight = false) {
+            return tokens.map(token => renderToken(token, context, tight)).join('');
+        }
+
+        function renderToken(token, context, tight) {
+            switch (token.type) {
+                case 'heading': {
+                    const id = `${context.idPrefix}-${uniqueSlug(token.text, context)}`;
+                    return `<h${token.level} id="${id}">${renderInline(token.text, context)}` +
+                        `<a class="md-heading-anchor" href="#${id}" data-md-anchor="${id}" aria-label="Link to this section">#</a>` +
+                        `</h${token.level}>`;
+                }
+                case 'paragraph':
+                    return tight
+                        ? renderInline(token.text, context)
+                        : `<p>${renderInline(token.text, context)}</p>`;
+                case 'code': {
+                    const langClass = token.lang ? ` class="language-${escapeHtml(token.lang)}"` : '';
+                    return `<pre><code${langClass}>${escapeHtml(token.text)}</code></pre>`;
+                }
+                case 'rule':
+                    return '<hr>';
+                case 'blockquote':
+                    return `<blockquote>${renderTokens(token.tokens, context)}</blockquote>`;
+                case 'list':
+                    return renderList(token, context);
+                case 'table':
+                    return renderTable(token, context);
+                default:
+                    return '';
+            }
+        }
+
+        function renderList(list, context) {
+            const tag = list.ordered ? 'ol' : 'ul';
+            const isChecklist = list.items.some(item => item.task !== null);
+            const startAttr = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+            const classAttr = isChecklist ? ' class="md-checklist"' : '';
+
+            const items = list.items.map(item => {
+                if (item.task === null) {
+                    return `<li>${renderTokens(item.tokens, context, !list.loose)}</li>`;
+                }
+
+                // Only the item's own text sits in the label; nested blocks follow it
+                const [first, ...rest] = item.tokens;
+                const labelHtml = first && first.type === 'paragraph' ? renderInline(first.text, context) : '';
+                const restTokens = first && first.type === 'paragraph' ? rest : item.tokens;
+                return `<li class="md-task${item.task ? ' md-task-done' : ''}">` +
+                    `<label><input type="checkbox" disabled${item.task ? ' checked' : ''}> <span>${labelHtml}</span></label>` +
+                    renderTokens(restTokens, context, !list.loose) +
+                    `</li>`;
+            }).join('');
+
+            return `<${tag}${startAttr}${classAttr}>${items}</${tag}>`;
+        }
+
+        function renderTable(table, context) {
+            const alignAttr = (index) => table.align[index] ? ` style="text-align: ${table.align[index]}"` : '';
+            const head = table.header
+                .map((cell, index) => `<th${alignAttr(index)}>${renderInline(cell, context)}</th>`)
+                .join('');
+            const body = table.rows
+                .map(row => `<tr>${row.map((cell, index) => `<td${alignAttr(index)}>${renderInline(cell, context)}</td>`).join('')}</tr>`)
+                .join('');
+
+            return `<div class="md-table-wrapper"><table class="md-table">` +
+                `<thead><tr>${head}</tr></thead>` +
+                (body ? `<tbody>${body}</tbody>` : '') +
+                `</table></div>`;
+        }
+
+        function renderFootnotes(context) {
+            // Definitions nobody referenced still get listed, after the referenced ones
+            context.footnotes.forEach((_, label) => {
+                if (!context.footnoteOrder.includes(label)) context.footnoteOrder.push(label);
+            });
+            if (!context.footnoteOrder.length) return '';
+
+            const items = context.footnoteOrder.map(label => {
+                const id = footnoteId(label, context);
+                const text = context.footnotes.get(label);
+                const backref = `<a class="md-footnote-backref" href="#${id}-ref" data-md-anchor="${id}-ref" aria-label="Back to reference">↩</a>`;
+                return `<li id="${id}">${text ? renderInline(text, context) : ''} ${backref}</li>`;
+            }).join('');
+
+            return `<section class="md-footnotes"><hr><ol>${items}</ol></section>`;
+        }
+
+        function footnoteId(label, context) {
+            return `${context.idPrefix}-fn-${slugify(label) || 'note'}`;
+        }
+
+        // ---- Inline rendering ----
+
+        function renderInline(text, context) {
+            const stash = [];
+            const hold = (html) => `${PLACEHOLDER}${stash.push(html) - 1}${PLACEHOLDER}`;
+            let out = String(text);
+
+            // Backslash escapes
+            out = out.replace(/\\([\\`*_{}\[\]()#+\-.!|~>])/g, (_, char) => hold(escapeHtml(char)));
+
+            // Code spans keep their content verbatim
+            out = out.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`));
+
+            // Footnote references
+            out = out.replace(/\[\^([^\]\s]+)\]/g, (match, label) => {
+                if (!context.footnotes.has(label)) return match;
+                if (!context.footnoteOrder.includes(label)) context.footnoteOrder.push(label);
+                const id = footnoteId(label, context);
+                const number = context.footnoteOrder.indexOf(label) + 1;
+                return hold(`<sup class="md-footnote-ref"><a href="#${id}" id="${id}-ref" data-md-anchor="${id}">${number}</a></sup>`);
+            });
+
+            // Images and links
+            out = out.replace(/(!?)\[([^\]]*)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+"([^"]*)")?\s*\)/g, (match, bang, label, url, title) => {
+                const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+                if (bang) {
+                    return /^https?:/i.test(url)
+                        ? hold(`<img src="${escapeHtml(url)}" alt="${escapeHtml(label)}"${titleAttr} loading="lazy">`)
+                        : hold(escapeHtml(label));
+                }
+                return hold(renderLink(url, renderEmphasis(escapeHtml(label)), titleAttr, context));
+            });
+
+            out = escapeHtml(out);
+
+            // Bare URLs
+            out = out.replace(/\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]]/g, (url) =>
+                hold(`<a href="${url}" ${MARKDOWN_CONFIG.externalLinkAttributes}>${url}</a>`));
+
+            out = renderEmphasis(out).replace(/\n/g, '<br>');
+
+            // Restore held fragments (they may nest)
+            const placeholderPattern = new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g');
+            while (placeholderPattern.test(out)) {
+                out = out.replace(placeholderPattern, (_, index) => stash[Number(index)]);
+            }
+            return out;
+        }
+
+        function renderEmphasis(html) {
+            return html
+                .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+                .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+                .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+                .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+        }
+
+        function renderLink(url, labelHtml, titleAttr, context) {
+            // In-page anchors must not touch location.hash, which drives the router
+            if (url.startsWith('#')) {
+                const id = `${context.idPrefix}-${slugify(url.slice(1))}`;
+                return `<a href="#${id}" data-md-anchor="${id}"${titleAttr}>${labelHtml}</a>`;
+            }
+            if (!MARKDOWN_CONFIG.safeUrlPattern.test(url)) {
+                return labelHtml;
+            }
+            return `<a href="${escapeHtml(url)}"${titleAttr} ${MARKDOWN_CONFIG.externalLinkAttributes}>${labelHtml}</a>`;
+        }
+
+        // ---- Helpers ----
+
+        function escapeHtml(value) {
+            return String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+
+        function slugify(text) {
+            return String(text)
+                .toLowerCase()
+                .replace(/[`*_~[\]()]/g, '')
+                .replace(/<[^>]*>/g, '')
+                .replace(/[^\w\s-]/g, '')
+                .trim()
+                .replace(/[\s-]+/g, '-');
+        }
+
+        function uniqueSlug(text, context) {
+            const base = slugify(text) || 'section';
+            const count = context.slugs.get(base) || 0;
+            context.slugs.set(base, count + 1);
+            return count ? `${base}-${count}` : base;
+        }
+
+        // Heading anchors and footnote links scroll in place instead of changing the route
+        function handleAnchorClick(event) {
+            const link = event.target.closest && event.target.closest('[data-md-anchor]');
+            if (!link) return;
+
+            event.preventDefault();
+            const target = document.getElementById(link.getAttribute('data-md-anchor'));
+            if (target) {
+                target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        }
+
+        if (typeof document !== 'undefined') {
+            document.addEventListener('click', handleAnchorClick);
+        }
+
+        // Public API
+        return {
+            tokenize,
+            render,
+            renderInline: (text) => renderInline(text, { footnotes: new Map(), footnoteOrder: [], idPrefix: MARKDOWN_CONFIG.idPrefix }),
+            escapeHtml
+        };
+    })();
+
+})(window.Growth90 = window.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
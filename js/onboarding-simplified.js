@@ -312,10 +312,7 @@
                 };
 
                 // Save user profile
-                await Growth90.Data.Storage.setItem('userProfiles', userProfile);
-
-                // Update app state
-                Growth90.Data.Models.AppState.setState({ user: userProfile });
+                await Growth90.User.Profile.save(userProfile);
 
                 // Generate sample learning path
                 const samplePath = generateSampleLearningPath(userProfile);
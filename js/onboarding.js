@@ -1449,13 +1449,9 @@
                 onboardingState.userProfile.completedOnboarding = true;
                 onboardingState.userProfile.onboardingCompletedAt = new Date().toISOString();
                 
-                // Save user profile to storage
-                await Growth90.Data.Storage.setItem('userProfiles', onboardingState.userProfile);
-                
-                // Update app state
-                Growth90.Data.Models.AppState.setState({ 
-                    user: onboardingState.userProfile 
-                });
+                // Fold the onboarding answers into the learner's profile
+                const { id, createdAt, ...answers } = onboardingState.userProfile;
+                onboardingState.userProfile = await Growth90.User.Profile.update(answers);
                 
                 // Generate comprehensive learning path using the enhanced system
                 const learningPath = await Growth90.Learning.PathManager.generateLearningPath(
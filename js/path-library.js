@@ -0,0 +1,240 @@
+/**
+ * Growth90 Path Library
+ * Concurrent learning paths per user: primary selection, pause/resume and archiving
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Path library configuration
+    const PATH_LIBRARY_CONFIG = {
+        storeName: 'learningPaths',
+        primarySettingsPrefix: 'primaryPath_',
+        activePathKey: 'growth90_active_learning_path',     // localStorage, one per profile
+        statuses: ['active', 'paused', 'archived'],
+        statusOrder: { active: 0, paused: 1, archived: 2 }
+    };
+
+    // Path Library
+    Growth90.Learning.PathLibrary = (() => {
+
+        function getStatus(path) {
+            return PATH_LIBRARY_CONFIG.statuses.includes(path?.status) ? path.status : 'active';
+        }
+
+        function getTitle(path) {
+            return path?.pathData?.course_title || path?.title || path?.specialization?.title || 'Learning Path';
+        }
+
+        // The topic a path was generated for; the learning pages read it from the user identity
+        function getTopic(path) {
+            const topic = path.topic || path.userProfile?.selectedTopic || path.specialization || null;
+            if (topic?.id) {
+                return { ...topic, pathId: path.id };
+            }
+            return { id: path.id, title: getTitle(path), description: path.description || '', pathId: path.id };
+        }
+
+        async function listPaths(userId, { includeArchived = true } = {}) {
+            let paths = [];
+            try {
+                paths = await Growth90.Data.Storage.queryItems(PATH_LIBRARY_CONFIG.storeName, {
+                    index: 'userId',
+                    keyRange: IDBKeyRange.only(userId)
+                });
+            } catch (error) {
+                console.error('❌ Failed to load learning paths:', error);
+                return [];
+            }
+
+            return paths
+                .filter(path => includeArchived || getStatus(path) !== 'archived')
+                .sort((a, b) => PATH_LIBRARY_CONFIG.statusOrder[getStatus(a)] - PATH_LIBRARY_CONFIG.statusOrder[getStatus(b)] ||
+                    new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+        }
+
+        async function getPrimaryId(userId) {
+            try {
+                const stored = await Growth90.Data.Storage.getItem('settings', `${PATH_LIBRARY_CONFIG.primarySettingsPrefix}${userId}`);
+                return stored?.pathId || null;
+            } catch (error) {
+                console.error('❌ Failed to load primary path:', error);
+                return null;
+            }
+        }
+
+        // Primary path, falling back to the newest active (then paused) path for users who never chose one
+        function pickPrimary(paths, primaryId) {
+            const chosen = paths.find(path => path.id === primaryId && getStatus(path) !== 'archived');
+            return chosen || paths.find(path => getStatus(path) === 'active') ||
+                paths.find(path => getStatus(path) === 'paused') || null;
+        }
+
+        async function getPrimary(userId) {
+            const [paths, primaryId] = await Promise.all([listPaths(userId), getPrimaryId(userId)]);
+            return pickPrimary(paths, primaryId);
+        }
+
+        // Paths with a primary flag, ready for switchers and path lists
+        async function getOverview(userId) {
+            const [paths, primaryId] = await Promise.all([listPaths(userId), getPrimaryId(userId)]);
+            const primary = pickPrimary(paths, primaryId);
+            return {
+                primary,
+                paths: paths.map(path => ({
+                    id: path.id,
+                    title: getTitle(path),
+                    status: getStatus(path),
+                    isPrimary: path.id === primary?.id,
+                    topic: getTopic(path),
+                    createdAt: path.createdAt,
+                    path
+                }))
+            };
+        }
+
+        // Point the learning pages at this path's topic
+        function syncIdentity(path) {
+            try {
+                const userIdentity = Growth90.User.Profile.get() || {};
+                const activePathKey = Growth90.User.Profile.getScopedKey(PATH_LIBRARY_CONFIG.activePathKey);
+                if (activePathKey !== PATH_LIBRARY_CONFIG.activePathKey) {
+                    // Older versions kept one copy for the whole device
+                    localStorage.removeItem(PATH_LIBRARY_CONFIG.activePathKey);
+                }
+                if (path) {
+                    userIdentity.selectedTopic = getTopic(path);
+                    localStorage.setItem(activePathKey, JSON.stringify({
+                        id: path.id,
+                        title: getTitle(path),
+                        specialization: path.specialization?.title || userIdentity.selectedTopic.title || '',
+                        currentDay: path.progress?.currentDay || 1,
+                        totalDays: path.progress?.totalDays || path.pathData?.daily_curriculum?.length || 90,
+                        createdAt: path.createdAt
+                    }));
+                } else {
+                    delete userIdentity.selectedTopic;
+                    localStorage.removeItem(activePathKey);
+                }
+                Growth90.User.Profile.save(userIdentity);
+            } catch (error) {
+                console.error('❌ Failed to update selected path:', error);
+            }
+        }
+
+        // Make a path the one Home and Today's Learning follow; paused paths are resumed
+        async function setPrimary(userId, pathId) {
+            let path = await Growth90.Data.Storage.getItem(PATH_LIBRARY_CONFIG.storeName, pathId);
+            if (!path || path.userId !== userId) {
+                throw new Error('Learning path not found');
+            }
+            if (getStatus(path) === 'archived') {
+                throw new Error('Restore this path before making it primary');
+            }
+            if (getStatus(path) === 'paused') {
+                path = await applyStatus(pathId, 'active');
+            }
+
+            await Growth90.Data.Storage.setItem('settings', {
+                key: `${PATH_LIBRARY_CONFIG.primarySettingsPrefix}${userId}`,
+                userId,
+                pathId
+            });
+            syncIdentity(path);
+
+            Growth90.Core.EventBus.emit('path:primary:changed', { userId, pathId });
+            return path;
+        }
+
+        async function applyStatus(pathId, status) {
+            const now = new Date().toISOString();
+            const updated = await Growth90.Data.Storage.updateItem(PATH_LIBRARY_CONFIG.storeName, pathId, path => {
+                if (!path) return null;
+                const next = { ...path, status };
+                if (status === 'paused') next.pausedAt = now;
+                if (status === 'archived') next.archivedAt = now;
+                if (status === 'active') {
+                    delete next.pausedAt;
+                    delete next.archivedAt;
+                }
+                return next;
+            });
+            if (!updated) {
+                throw new Error('Learning path not found');
+            }
+            Growth90.Core.EventBus.emit('path:status:changed', { pathId, status });
+            return updated;
+        }
+
+        // After the primary path is paused or archived, hand over to another active path
+        async function reassignPrimary(userId, changedPathId) {
+            const [paths, primaryId] = await Promise.all([listPaths(userId), getPrimaryId(userId)]);
+            const current = paths.find(path => path.id === primaryId) || pickPrimary(paths, null);
+            if (current && current.id !== changedPathId) return current;
+
+            const next = paths.find(path => path.id !== changedPathId && getStatus(path) === 'active') ||
+                paths.find(path => path.id !== changedPathId && getStatus(path) === 'paused') || null;
+
+            if (next) {
+                await Growth90.Data.Storage.setItem('settings', {
+                    key: `${PATH_LIBRARY_CONFIG.primarySettingsPrefix}${userId}`,
+                    userId,
+                    pathId: next.id
+                });
+                syncIdentity(next);
+                Growth90.Core.EventBus.emit('path:primary:changed', { userId, pathId: next.id });
+            } else {
+                await Growth90.Data.Storage.deleteItem('settings', `${PATH_LIBRARY_CONFIG.primarySettingsPrefix}${userId}`);
+                syncIdentity(null);
+                Growth90.Core.EventBus.emit('path:primary:changed', { userId, pathId: null });
+            }
+            return next;
+        }
+
+        async function pause(userId, pathId) {
+            const path = await applyStatus(pathId, 'paused');
+            await reassignPrimary(userId, pathId);
+            return path;
+        }
+
+        async function resume(userId, pathId) {
+            const path = await applyStatus(pathId, 'active');
+            const primaryId = await getPrimaryId(userId);
+            if (!primaryId) {
+                await setPrimary(userId, pathId);
+            }
+            return path;
+        }
+
+        // Archived paths keep their progress and can be restored later
+        async function archive(userId, pathId) {
+            const path = await applyStatus(pathId, 'archived');
+            await reassignPrimary(userId, pathId);
+            return path;
+        }
+
+        async function restore(userId, pathId) {
+            return resume(userId, pathId);
+        }
+
+        // Public API
+        return {
+            listPaths,
+            getPrimary,
+            getPrimaryId,
+            getOverview,
+            setPrimary,
+            pause,
+            resume,
+            archive,
+            restore,
+            getTitle,
+            getTopic,
+            getStatus
+        };
+    })();
+
+})(window.Growth90 = window.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
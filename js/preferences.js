@@ -183,6 +183,30 @@
                 type: 'time',
                 default: '09:00',
                 impact: 'Preferred time for daily reminders'
+            },
+            reminderDays: {
+                type: 'multi-select',
+                options: [
+                    { value: 1, label: 'Mon' },
+                    { value: 2, label: 'Tue' },
+                    { value: 3, label: 'Wed' },
+                    { value: 4, label: 'Thu' },
+                    { value: 5, label: 'Fri' },
+                    { value: 6, label: 'Sat' },
+                    { value: 0, label: 'Sun' }
+                ],
+                default: [0, 1, 2, 3, 4, 5, 6],
+                impact: 'Days of the week that get a daily reminder'
+            },
+            quietHoursStart: {
+                type: 'time',
+                default: '22:00',
+                impact: 'Start of quiet hours, when no reminders are shown'
+            },
+            quietHoursEnd: {
+                type: 'time',
+                default: '07:00',
+                impact: 'End of quiet hours; reminders due during them are shown then'
             }
         },
         accessibility: {
@@ -249,7 +273,8 @@
         // Load preferences from storage
         async function loadPreferences() {
             try {
-                const storedPreferences = await Growth90.Data.Storage.getItem('settings', 'userPreferences');
+                // Each profile keeps its own preferences
+                const storedPreferences = await Growth90.User.Profile.readSetting('userPreferences');
                 
                 if (storedPreferences) {
                     currentPreferences = mergeWithDefaults(storedPreferences.value);
@@ -300,7 +325,7 @@
         async function savePreferences() {
             try {
                 await Growth90.Data.Storage.setItem('settings', {
-                    key: 'userPreferences',
+                    key: Growth90.User.Profile.getScopedKey('userPreferences'),
                     value: currentPreferences,
                     lastUpdated: new Date().toISOString()
                 });
@@ -0,0 +1,274 @@
+/**
+ * Growth90 Progress Analytics
+ * Chart-ready progress series computed from IndexedDB, optionally merged with server data
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Analytics configuration
+    const ANALYTICS_CONFIG = {
+        journeyDays: 90,
+        dailyWindowDays: 30,
+        weeklyWindowWeeks: 12,
+        heatmapWeeks: 18,
+        maxCompetencies: 6,
+        heatmapThresholds: [1, 15, 30, 60]  // Active minutes for levels 1-4
+    };
+
+    // Progress Analytics
+    Growth90.Learning.ProgressAnalytics = (() => {
+
+        async function query(storeName, userId) {
+            try {
+                return await Growth90.Data.Storage.queryItems(storeName, {
+                    index: 'userId',
+                    keyRange: IDBKeyRange.only(userId)
+                });
+            } catch (error) {
+                console.error(`❌ Failed to load ${storeName} for analytics:`, error);
+                return [];
+            }
+        }
+
+        function formatShortDate(dateKey) {
+            return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                timeZone: 'UTC'
+            });
+        }
+
+        function dayNumber(dateKey) {
+            return Math.round(Date.parse(`${dateKey}T00:00:00Z`) / 86400000);
+        }
+
+        function dateKeyFromDayNumber(number) {
+            return new Date(number * 86400000).toISOString().slice(0, 10);
+        }
+
+        function mergeDay(dayMap, date, minutes = 0, lessons = 0) {
+            const day = dayMap.get(date) || { date, lessonsCompleted: 0, minutes: 0 };
+            day.minutes = Math.max(day.minutes, Math.round(minutes));
+            day.lessonsCompleted = Math.max(day.lessonsCompleted, lessons);
+            dayMap.set(date, day);
+        }
+
+        // PathManager keeps its own per-day counters; they describe the same activity, so take the larger value
+        function mergePathManagerMetrics(records, dayMap) {
+            records
+                .filter(record => record.dailyMetrics && typeof record.dailyMetrics === 'object')
+                .forEach(record => {
+                    Object.values(record.dailyMetrics).forEach(metric => {
+                        if (metric?.date) {
+                            mergeDay(dayMap, metric.date, metric.timeSpent || 0, metric.lessonsCompleted || 0);
+                        }
+                    });
+                });
+        }
+
+        function mergeServerActivity(server, dayMap) {
+            const activity = server.daily_activity || server.daily_minutes || [];
+            if (!Array.isArray(activity)) return;
+            activity.forEach(entry => {
+                if (entry?.date) {
+                    mergeDay(dayMap, String(entry.date).slice(0, 10), entry.minutes || 0, entry.lessons_completed || 0);
+                }
+            });
+        }
+
+        function buildDailyMinutes(dayMap, today, shiftDateKey) {
+            return Array.from({ length: ANALYTICS_CONFIG.dailyWindowDays }, (_, i) => {
+                const date = shiftDateKey(today, i - ANALYTICS_CONFIG.dailyWindowDays + 1);
+                const minutes = dayMap.get(date)?.minutes || 0;
+                return {
+                    date,
+                    label: formatShortDate(date),
+                    value: minutes,
+                    title: `${formatShortDate(date)}: ${minutes} min`
+                };
+            });
+        }
+
+        // Weeks start on Monday
+        function buildWeeklyLessons(dayMap, today, shiftDateKey) {
+            const weekday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7;
+            const thisWeek = shiftDateKey(today, -weekday);
+
+            return Array.from({ length: ANALYTICS_CONFIG.weeklyWindowWeeks }, (_, i) => {
+                const weekStart = shiftDateKey(thisWeek, (i - ANALYTICS_CONFIG.weeklyWindowWeeks + 1) * 7);
+                let lessons = 0;
+                for (let d = 0; d < 7; d++) {
+                    lessons += dayMap.get(shiftDateKey(weekStart, d))?.lessonsCompleted || 0;
+                }
+                return {
+                    weekStart,
+                    label: formatShortDate(weekStart),
+                    value: lessons,
+                    title: `Week of ${formatShortDate(weekStart)}: ${lessons} ${lessons === 1 ? 'lesson' : 'lessons'}`
+                };
+            });
+        }
+
+        // Share of journey days with a completed lesson, as of each day since the path started
+        function buildCompletion(records, options, today, toDateKey) {
+            const { pathId, startDate, timeZone } = options;
+            const totalDays = options.totalDays || ANALYTICS_CONFIG.journeyDays;
+            const completions = records
+                .filter(record => record.status === 'completed' && record.completedAt && (!pathId || record.pathId === pathId))
+                .map(record => ({ day: record.day, date: toDateKey(record.completedAt, timeZone) }))
+                .sort((a, b) => a.date.localeCompare(b.date));
+
+            if (!completions.length) {
+                return { points: [], percent: 0, daysCompleted: 0, totalDays };
+            }
+
+            const start = startDate ? toDateKey(startDate, timeZone) : completions[0].date;
+            const first = Math.min(dayNumber(start), dayNumber(completions[0].date));
+            const last = Math.min(dayNumber(today), first + totalDays - 1);
+            const completedDays = new Set();
+            const points = [];
+            let index = 0;
+
+            for (let n = first; n <= last; n++) {
+                const date = dateKeyFromDayNumber(n);
+                while (index < completions.length && completions[index].date <= date) {
+                    completedDays.add(completions[index].day);
+                    index++;
+                }
+                points.push({
+                    x: n - first + 1,
+                    y: Math.min(100, (completedDays.size / totalDays) * 100),
+                    label: `Day ${n - first + 1} (${formatShortDate(date)})`
+                });
+            }
+
+            // Completions after the journey window still count toward the total
+            completions.slice(index).forEach(entry => completedDays.add(entry.day));
+
+            return {
+                points,
+                percent: Math.round(Math.min(100, (completedDays.size / totalDays) * 100)),
+                daysCompleted: completedDays.size,
+                totalDays
+            };
+        }
+
+        // One series per competency from stored assessment results (levels are 0-100)
+        function buildCompetencies(results, server, today, timeZone, toDateKey) {
+            const series = new Map();
+            const addPoint = (name, dateKey, level) => {
+                if (typeof level !== 'number' || Number.isNaN(level)) return;
+                if (!series.has(name)) series.set(name, []);
+                series.get(name).push({ x: dayNumber(dateKey), y: Math.max(0, Math.min(100, level)), label: formatShortDate(dateKey) });
+            };
+
+            results
+                .filter(result => result.completedAt && result.competencyProfile?.competencyLevels)
+                .sort((a, b) => String(a.completedAt).localeCompare(String(b.completedAt)))
+                .forEach(result => {
+                    const dateKey = toDateKey(result.completedAt, timeZone);
+                    Object.entries(result.competencyProfile.competencyLevels).forEach(([name, entry]) => {
+                        addPoint(name, dateKey, entry?.level);
+                    });
+                });
+
+            const serverScores = server?.competency_scores || server?.competencies;
+            if (serverScores && typeof serverScores === 'object' && !Array.isArray(serverScores)) {
+                const dateKey = server.as_of ? toDateKey(server.as_of, timeZone) : today;
+                Object.entries(serverScores).forEach(([name, level]) => addPoint(name, dateKey, Number(level)));
+            }
+
+            return [...series.entries()]
+                .map(([name, points]) => ({ name, points: points.sort((a, b) => a.x - b.x) }))
+                .sort((a, b) => b.points.length - a.points.length)
+                .slice(0, ANALYTICS_CONFIG.maxCompetencies);
+        }
+
+        function heatLevel(day) {
+            if (!day || (!day.minutes && !day.lessonsCompleted)) return 0;
+            const thresholds = ANALYTICS_CONFIG.heatmapThresholds;
+            let level = 1;
+            thresholds.forEach((threshold, index) => {
+                if (day.minutes >= threshold) level = index + 1;
+            });
+            return Math.max(level, day.lessonsCompleted ? 2 : 1);
+        }
+
+        function buildHeatmap(dayMap, freezes, today, shiftDateKey) {
+            const frozen = new Set(freezes);
+            const length = ANALYTICS_CONFIG.heatmapWeeks * 7;
+            return Array.from({ length }, (_, i) => {
+                const date = shiftDateKey(today, i - length + 1);
+                const day = dayMap.get(date);
+                const parts = [formatShortDate(date)];
+                if (day?.lessonsCompleted) parts.push(`${day.lessonsCompleted} ${day.lessonsCompleted === 1 ? 'lesson' : 'lessons'}`);
+                if (day?.minutes) parts.push(`${day.minutes} min`);
+                if (frozen.has(date)) parts.push('streak freeze');
+                if (parts.length === 1) parts.push('no activity');
+                return {
+                    date,
+                    level: heatLevel(day),
+                    frozen: frozen.has(date),
+                    title: parts.join(' · ')
+                };
+            });
+        }
+
+        // options: { userId, pathId, startDate, totalDays, timeZone }; server: dashboard summary data
+        async function buildReport(options, server = null) {
+            const tracker = Growth90.Learning.ActivityTracker;
+            if (!tracker) {
+                throw new Error('Activity tracking is not available');
+            }
+
+            const { userId } = options;
+            const [summary, records, results] = await Promise.all([
+                tracker.getSummary(userId, { timeZone: options.timeZone }),
+                query('learningProgress', userId),
+                query('assessmentResults', userId)
+            ]);
+            const { today, timeZone } = summary;
+            const { toDateKey, shiftDateKey } = tracker;
+
+            const dayMap = new Map(summary.days.map(day => [day.date, { ...day }]));
+            mergePathManagerMetrics(records, dayMap);
+            if (server) mergeServerActivity(server, dayMap);
+
+            const completion = buildCompletion(records, { ...options, timeZone }, today, toDateKey);
+            const lessonsCompleted = records.filter(record => record.status === 'completed').length;
+            const currentStreak = Math.max(summary.currentStreak, Number(server?.current_streak) || 0);
+
+            return {
+                generatedAt: new Date().toISOString(),
+                source: server ? 'merged' : 'local',
+                today,
+                summary: {
+                    currentStreak,
+                    longestStreak: Math.max(summary.longestStreak, currentStreak, Number(server?.longest_streak) || 0),
+                    totalMinutes: Math.max(summary.totalMinutes, Number(server?.total_time_minutes) || 0),
+                    lessonsCompleted: Math.max(lessonsCompleted, Number(server?.lessons_completed) || 0),
+                    completionPercent: completion.percent,
+                    daysCompleted: completion.daysCompleted,
+                    totalDays: completion.totalDays
+                },
+                dailyMinutes: buildDailyMinutes(dayMap, today, shiftDateKey),
+                weeklyLessons: buildWeeklyLessons(dayMap, today, shiftDateKey),
+                completion: completion.points,
+                competencies: buildCompetencies(results, server, today, timeZone, toDateKey),
+                heatmap: buildHeatmap(dayMap, summary.freezes, today, shiftDateKey)
+            };
+        }
+
+        // Public API
+        return {
+            buildReport,
+            dateKeyFromDayNumber,
+            formatShortDate
+        };
+    })();
+
+})(window.Growth90 = window.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
@@ -0,0 +1,158 @@
+/**
+ * Growth90 Progress Store
+ * One progress model per learning path: lesson records plus a path summary, keyed by the stored path id
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Progress store configuration
+    const PROGRESS_CONFIG = {
+        storeName: 'learningProgress',
+        defaultTotalDays: 90
+    };
+
+    // Progress Store
+    Growth90.Learning.ProgressStore = (() => {
+
+        function getUserId(userIdentity = {}) {
+            return userIdentity.email || userIdentity.id || 'guest';
+        }
+
+        // Path id for progress records; the topic id only for identities not yet linked to a stored path
+        function getPathId(userIdentity = {}) {
+            return userIdentity.selectedTopic?.pathId || userIdentity.selectedTopic?.id || 'default';
+        }
+
+        // Link the selected topic to its stored path (primary first, then newest) and remember it
+        async function resolvePathId(userIdentity = {}) {
+            const topic = userIdentity.selectedTopic;
+            if (!topic || topic.pathId) return getPathId(userIdentity);
+
+            const library = Growth90.Learning.PathLibrary;
+            if (!library) return getPathId(userIdentity);
+
+            try {
+                const overview = await library.getOverview(getUserId(userIdentity));
+                const matches = overview.paths.filter(entry => entry.status !== 'archived' &&
+                    (entry.id === topic.id || entry.topic.id === topic.id));
+                const match = matches.find(entry => entry.isPrimary) || matches[0];
+                if (match) {
+                    topic.pathId = match.id;
+                    const stored = Growth90.User.Profile.get();
+                    if (stored?.selectedTopic?.id === topic.id) {
+                        Growth90.User.Profile.update({ selectedTopic: { ...stored.selectedTopic, pathId: match.id } });
+                    }
+                }
+            } catch (error) {
+                console.error('❌ Failed to link selected topic to a learning path:', error);
+            }
+            return getPathId(userIdentity);
+        }
+
+        function getLessonRecordId(userId, pathId, day, lessonId) {
+            return `${userId}_${pathId}_day_${day}_${lessonId}`;
+        }
+
+        function getSummaryId(userId, pathId) {
+            return `${userId}_${pathId}_summary`;
+        }
+
+        function isLessonRecord(record) {
+            return record.type !== 'summary' && record.day !== undefined;
+        }
+
+        async function getLessonRecords(userId, pathId) {
+            try {
+                const records = await Growth90.Data.Storage.queryItems(PROGRESS_CONFIG.storeName, {
+                    index: 'userId_pathId',
+                    keyRange: IDBKeyRange.only([userId, pathId])
+                });
+                return records.filter(isLessonRecord);
+            } catch (error) {
+                console.error('❌ Failed to load lesson progress:', error);
+                return [];
+            }
+        }
+
+        async function getPathDetails(pathId) {
+            try {
+                const path = await Growth90.Data.Storage.getItem('learningPaths', pathId);
+                const curriculum = path?.pathData?.daily_curriculum || path?.curriculum;
+                return {
+                    startDate: path?.progress?.startDate || path?.createdAt || null,
+                    totalDays: Array.isArray(curriculum) && curriculum.length ? curriculum.length : PROGRESS_CONFIG.defaultTotalDays
+                };
+            } catch (error) {
+                return { startDate: null, totalDays: PROGRESS_CONFIG.defaultTotalDays };
+            }
+        }
+
+        // Recompute the path summary from its lesson records; other summary fields
+        // (PathManager's milestone, competency and daily metrics) are kept
+        async function refreshSummary(userId, pathId) {
+            const [lessons, details] = await Promise.all([getLessonRecords(userId, pathId), getPathDetails(pathId)]);
+            const completed = lessons
+                .filter(record => record.status === 'completed')
+                .sort((a, b) => String(a.completedAt || '').localeCompare(String(b.completedAt || '')));
+            const completedDays = [...new Set(completed.map(record => record.day))].sort((a, b) => a - b);
+            const activeSeconds = lessons.reduce((sum, record) => sum + (record.activeSeconds || (record.timeSpent || 0) * 60), 0);
+
+            return Growth90.Data.Storage.updateItem(PROGRESS_CONFIG.storeName, getSummaryId(userId, pathId), existing => {
+                const totalDays = existing?.totalDays || details.totalDays;
+                return {
+                    milestoneProgress: {},
+                    competencyProgress: {},
+                    dailyMetrics: {},
+                    ...(existing || {}),
+                    id: getSummaryId(userId, pathId),
+                    type: 'summary',
+                    userId,
+                    pathId,
+                    startDate: existing?.startDate || details.startDate || new Date().toISOString(),
+                    totalDays,
+                    completedLessons: completed.map(record => record.id),
+                    completedDays,
+                    lastCompletedAt: completed.length ? completed[completed.length - 1].completedAt : null,
+                    activeMinutes: Math.round(activeSeconds / 60),
+                    overallProgress: Math.min(100, (completedDays.length / totalDays) * 100)
+                };
+            });
+        }
+
+        async function getSummary(userId, pathId) {
+            try {
+                const summary = await Growth90.Data.Storage.getItem(PROGRESS_CONFIG.storeName, getSummaryId(userId, pathId));
+                return summary || await refreshSummary(userId, pathId);
+            } catch (error) {
+                console.error('❌ Failed to load path summary:', error);
+                return null;
+            }
+        }
+
+        // Keep the summary in step with lesson completions
+        Growth90.Core.EventBus.on('lesson:completed', (progress) => {
+            if (progress?.userId && progress?.pathId) {
+                refreshSummary(progress.userId, progress.pathId).catch(error => {
+                    console.error('❌ Failed to update path summary:', error);
+                });
+            }
+        });
+
+        // Public API
+        return {
+            getPathId,
+            resolvePathId,
+            getLessonRecordId,
+            getSummaryId,
+            isLessonRecord,
+            getLessonRecords,
+            getSummary,
+            refreshSummary
+        };
+    })();
+
+})(window.Growth90 = window.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
@@ -0,0 +1,403 @@
+/**
+ * Growth90 Study Reminders
+ * Local daily reminders from the notification preferences, shown by periodic
+ * background sync where available and by a foreground timer otherwise
+ * (loaded in the service worker via importScripts, where it talks to IndexedDB directly)
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Reminder configuration
+    const REMINDER_CONFIG = {
+        dbName: 'Growth90DB',
+        storeName: 'settings',
+        settingsKey: 'studyReminders',          // Suffixed with the active profile's id
+        activeProfileKey: 'activeProfile',      // Settings record Growth90.User.Profile keeps the active profile in
+        periodicSyncTag: 'study-reminder',
+        periodicSyncInterval: 60 * 60 * 1000,
+        maxTimerDelay: 60 * 60 * 1000,      // Re-check at least hourly so sleep and clock changes can't skew the timer
+        lateWindow: 3 * 60 * 60 * 1000,     // A reminder missed by more than this is skipped, not shown late
+        deepLink: './#learning',
+        defaults: {
+            enabled: true,
+            time: '09:00',
+            days: [0, 1, 2, 3, 4, 5, 6],
+            quietStart: '22:00',
+            quietEnd: '07:00'
+        }
+    };
+
+    Growth90.User = Growth90.User || {};
+
+    // Study Reminders
+    Growth90.User.Reminders = (() => {
+        const isServiceWorker = typeof window === 'undefined';
+        let timer = null;
+
+        // Page: go through Growth90.Data.Storage. Service worker: plain IndexedDB.
+        function getAdapter() {
+            return Growth90.Data.Storage ? storageAdapter : indexedDBAdapter;
+        }
+
+        const storageAdapter = {
+            get: (key) => Growth90.Data.Storage.getItem(REMINDER_CONFIG.storeName, key),
+            put: (record) => Growth90.Data.Storage.setItem(REMINDER_CONFIG.storeName, record),
+            remove: (key) => Growth90.Data.Storage.deleteItem(REMINDER_CONFIG.storeName, key)
+        };
+
+        // Never creates or upgrades the database; the page owns the schema
+        const indexedDBAdapter = {
+            get: (key) => runTransaction('readonly', store => store.get(key), null),
+            put: (record) => runTransaction('readwrite', store => store.put({
+                ...record,
+                updatedAt: new Date().toISOString()
+            }), null),
+            remove: (key) => runTransaction('readwrite', store => store.delete(key), null)
+        };
+
+        function openDatabase() {
+            return new Promise((resolve) => {
+                const request = indexedDB.open(REMINDER_CONFIG.dbName);
+
+                request.onupgradeneeded = () => request.transaction.abort();
+                request.onerror = () => resolve(null);
+                request.onblocked = () => resolve(null);
+                request.onsuccess = () => {
+                    const database = request.result;
+                    if (!database.objectStoreNames.contains(REMINDER_CONFIG.storeName)) {
+                        database.close();
+                        resolve(null);
+                        return;
+                    }
+                    database.onversionchange = () => database.close();
+                    resolve(database);
+                };
+            });
+        }
+
+        async function runTransaction(mode, operation, fallback) {
+            const database = await openDatabase();
+            if (!database) return fallback;
+
+            try {
+                return await new Promise((resolve, reject) => {
+                    const transaction = database.transaction([REMINDER_CONFIG.storeName], mode);
+                    const request = operation(transaction.objectStore(REMINDER_CONFIG.storeName));
+                    transaction.oncomplete = () => resolve(request.result);
+                    transaction.onerror = () => reject(transaction.error);
+                    transaction.onabort = () => reject(transaction.error);
+                });
+            } finally {
+                database.close();
+            }
+        }
+
+        // Each profile has its own schedule; only the active profile's is shown. Resolved from
+        // the settings record so the service worker, which has no profile module, agrees.
+        async function getScheduleKey(adapter) {
+            const active = await adapter.get(REMINDER_CONFIG.activeProfileKey);
+            return active?.profileId ? `${REMINDER_CONFIG.settingsKey}_${active.profileId}` : REMINDER_CONFIG.settingsKey;
+        }
+
+        async function getSchedule(adapter = getAdapter()) {
+            return adapter.get(await getScheduleKey(adapter));
+        }
+
+        // "HH:MM" -> minutes after midnight
+        function parseTime(value, fallback) {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+            if (!match) return parseTime(fallback, '00:00');
+            return Math.min(23, Number(match[1])) * 60 + Math.min(59, Number(match[2]));
+        }
+
+        // Quiet hours may wrap past midnight; equal start and end means none
+        function isQuiet(minutes, schedule) {
+            const start = parseTime(schedule.quietStart, REMINDER_CONFIG.defaults.quietStart);
+            const end = parseTime(schedule.quietEnd, REMINDER_CONFIG.defaults.quietEnd);
+            if (start === end) return false;
+            return start < end
+                ? minutes >= start && minutes < end
+                : minutes >= start || minutes < end;
+        }
+
+        // Reminder schedule from the notification preferences
+        function buildSchedule(notifications = {}) {
+            const defaults = REMINDER_CONFIG.defaults;
+            const days = Array.isArray(notifications.reminderDays)
+                ? notifications.reminderDays.map(Number).filter(day => day >= 0 && day <= 6)
+                : defaults.days;
+            return {
+                enabled: notifications.dailyReminders !== false,
+                time: notifications.reminderTime || defaults.time,
+                days,
+                quietStart: notifications.quietHoursStart || defaults.quietStart,
+                quietEnd: notifications.quietHoursEnd || defaults.quietEnd
+            };
+        }
+
+        // Next reminder after `from` in local time; one that falls in quiet hours waits for them to end,
+        // and is skipped when that would land on a day without reminders
+        function getNextReminder(schedule, from = new Date()) {
+            if (!schedule.enabled || !schedule.days.length) return null;
+
+            const minutes = parseTime(schedule.time, REMINDER_CONFIG.defaults.time);
+            for (let offset = 0; offset <= 8; offset++) {
+                const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+                if (!schedule.days.includes(day.getDay())) continue;
+
+                const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+                if (isQuiet(minutes, schedule)) {
+                    const end = parseTime(schedule.quietEnd, REMINDER_CONFIG.defaults.quietEnd);
+                    const wrapsToTomorrow = end <= minutes;
+                    if (wrapsToTomorrow) {
+                        // Never spill into a day without reminders; skip this one instead
+                        const tomorrow = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+                        if (!schedule.days.includes(tomorrow.getDay())) continue;
+                        candidate.setDate(candidate.getDate() + 1);
+                    }
+                    candidate.setHours(0, end, 0, 0);
+                }
+                if (candidate > from) return candidate;
+            }
+            return null;
+        }
+
+        function getDeepLink() {
+            const base = isServiceWorker ? self.registration.scope : window.location.href;
+            return new URL(REMINDER_CONFIG.deepLink, base).href;
+        }
+
+        function getMessage(record) {
+            return record?.currentDay
+                ? `Day ${record.currentDay} of your learning path is ready. A few minutes keeps your streak going.`
+                : 'Your next lesson is ready. A few minutes keeps your streak going.';
+        }
+
+        async function showReminder(record) {
+            const options = {
+                body: getMessage(record),
+                icon: './icons/icon-192x192.png',
+                badge: './icons/badge-72x72.png',
+                tag: REMINDER_CONFIG.periodicSyncTag,
+                data: { url: getDeepLink() },
+                actions: [
+                    { action: 'open', title: 'Start learning' },
+                    { action: 'dismiss', title: 'Dismiss' }
+                ]
+            };
+
+            if (isServiceWorker) {
+                await self.registration.showNotification('Time to learn', options);
+                return;
+            }
+
+            // Through the service worker when possible so clicks reach its notificationclick handler
+            if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+                try {
+                    const registration = navigator.serviceWorker && await navigator.serviceWorker.getRegistration();
+                    if (registration) {
+                        await registration.showNotification('Time to learn', options);
+                        return;
+                    }
+                    const notification = new Notification('Time to learn', options);
+                    notification.onclick = () => {
+                        window.focus();
+                        Growth90.Core.Router.navigate('learning');
+                        notification.close();
+                    };
+                    return;
+                } catch (error) {
+                    console.error('❌ Failed to show reminder notification:', error);
+                }
+            }
+
+            Growth90.UI.Components.Notifications.info(getMessage(record));
+        }
+
+        // Show the reminder if it is due, then move on to the next one. Safe to call from
+        // the page and the service worker: whichever runs first advances nextAt.
+        async function checkDue(now = new Date()) {
+            const adapter = getAdapter();
+            const record = await getSchedule(adapter);
+            if (!record?.enabled || !record.nextAt) return false;
+
+            const dueAt = new Date(record.nextAt);
+            if (dueAt > now) return false;
+
+            const shown = now - dueAt <= REMINDER_CONFIG.lateWindow;
+            const next = getNextReminder(record, now);
+            await adapter.put({
+                ...record,
+                nextAt: next ? next.toISOString() : null,
+                lastShownAt: shown ? now.toISOString() : record.lastShownAt || null
+            });
+
+            if (shown) {
+                await showReminder(record);
+            }
+            return shown;
+        }
+
+        // Foreground fallback: wake up at the next reminder, or hourly, whichever is sooner
+        function armTimer(record) {
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            if (!record?.enabled || !record.nextAt) return;
+
+            const delay = Math.max(0, Math.min(new Date(record.nextAt) - Date.now(), REMINDER_CONFIG.maxTimerDelay));
+            timer = setTimeout(async () => {
+                timer = null;
+                try {
+                    await checkDue();
+                    armTimer(await getSchedule());
+                } catch (error) {
+                    console.error('❌ Reminder check failed:', error);
+                }
+            }, delay);
+        }
+
+        // Periodic Background Sync is only granted to installed apps; a refusal leaves the foreground timer
+        async function registerPeriodicSync(enabled) {
+            try {
+                const registration = navigator.serviceWorker && await navigator.serviceWorker.getRegistration();
+                if (!registration?.periodicSync) return false;
+
+                if (!enabled) {
+                    await registration.periodicSync.unregister(REMINDER_CONFIG.periodicSyncTag);
+                    return false;
+                }
+                if (navigator.permissions) {
+                    const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+                    if (status.state !== 'granted') return false;
+                }
+                await registration.periodicSync.register(REMINDER_CONFIG.periodicSyncTag, {
+                    minInterval: REMINDER_CONFIG.periodicSyncInterval
+                });
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
+
+        // Day the learner is on in their primary path, for the reminder text
+        async function getCurrentDay() {
+            try {
+                const identity = Growth90.User.Profile?.get();
+                if (!identity?.selectedTopic || !Growth90.Learning.ProgressStore) return null;
+
+                const store = Growth90.Learning.ProgressStore;
+                const pathId = await store.resolvePathId(identity);
+                const summary = await store.getSummary(identity.email || identity.id || 'guest', pathId);
+                const lastDay = summary?.completedDays?.length ? Math.max(...summary.completedDays) : 0;
+                return Math.min(lastDay + 1, summary?.totalDays || lastDay + 1);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        // Store the schedule from the current preferences and (re)arm both delivery paths
+        async function configure(notifications) {
+            const adapter = getAdapter();
+            const schedule = buildSchedule(notifications || Growth90.User.Preferences?.getAllPreferences().notifications);
+            const key = await getScheduleKey(adapter);
+            const existing = await adapter.get(key);
+            const next = getNextReminder(schedule);
+
+            const record = {
+                ...(existing || {}),
+                key,
+                ...schedule,
+                currentDay: await getCurrentDay(),
+                nextAt: next ? next.toISOString() : null
+            };
+            await adapter.put(record);
+            // The device-wide schedule from before profiles had their own would fire for nobody
+            if (key !== REMINDER_CONFIG.settingsKey) {
+                await adapter.remove(REMINDER_CONFIG.settingsKey);
+            }
+
+            record.backgroundSync = await registerPeriodicSync(schedule.enabled);
+            armTimer(record);
+
+            Growth90.Core.EventBus.emit('reminders:scheduled', { nextAt: record.nextAt, backgroundSync: record.backgroundSync });
+            return record;
+        }
+
+        // Must be called from a user gesture
+        async function requestPermission() {
+            if (typeof Notification === 'undefined') return 'unsupported';
+            if (Notification.permission !== 'default') return Notification.permission;
+            try {
+                return await Notification.requestPermission();
+            } catch (error) {
+                console.error('❌ Notification permission request failed:', error);
+                return Notification.permission;
+            }
+        }
+
+        function getPermission() {
+            return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+        }
+
+        async function getStatus() {
+            const record = await getSchedule();
+            return {
+                enabled: !!record?.enabled,
+                nextAt: record?.nextAt || null,
+                lastShownAt: record?.lastShownAt || null,
+                permission: getPermission()
+            };
+        }
+
+        if (!isServiceWorker) {
+            const reconfigure = () => configure().catch(error => {
+                console.error('❌ Failed to schedule study reminders:', error);
+            });
+
+            Growth90.Core.EventBus.on('preferences:initialized', reconfigure);
+            Growth90.Core.EventBus.on('preferences:bulk-update', reconfigure);
+            Growth90.Core.EventBus.on('preference:changed', (change) => {
+                if (change?.category === 'notifications') reconfigure();
+            });
+            Growth90.Core.EventBus.on('lesson:completed', reconfigure);
+
+            // Timers stall while the tab sleeps; catch up when it is visible again
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState !== 'visible') return;
+                checkDue()
+                    .then(() => getSchedule())
+                    .then(armTimer)
+                    .catch(error => console.error('❌ Reminder check failed:', error));
+            });
+
+            // Notification clicks on an already open window arrive as a message
+            if (navigator.serviceWorker) {
+                navigator.serviceWorker.addEventListener('message', (event) => {
+                    if (event.data?.type !== 'notification:navigate') return;
+                    const route = new URL(event.data.url, window.location.href).hash.replace(/^#/, '');
+                    if (route) Growth90.Core.Router.navigate(route);
+                });
+            }
+        }
+
+        // Public API
+        return {
+            configure,
+            checkDue,
+            buildSchedule,
+            getNextReminder,
+            isQuiet,
+            requestPermission,
+            getPermission,
+            getStatus,
+            config: REMINDER_CONFIG
+        };
+    })();
+
+})(self.Growth90 = self.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
@@ -0,0 +1,239 @@
+/**
+ * Growth90 Review Queue
+ * Flashcards from completed days, scheduled with an SM-2 style algorithm
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Review queue configuration
+    const REVIEW_CONFIG = {
+        storeName: 'reviewCards',
+        dailyLimit: 20,
+        initialEase: 2.5,
+        minEase: 1.3,
+        firstIntervals: [1, 6],        // Days before the first and second successful reviews
+        maxConceptsPerDay: 5,
+        // Self-assessed recall mapped to SM-2 quality (0-5)
+        grades: {
+            again: { label: 'Again', quality: 1 },
+            hard: { label: 'Hard', quality: 3 },
+            good: { label: 'Good', quality: 4 },
+            easy: { label: 'Easy', quality: 5 }
+        }
+    };
+
+    // Review Queue
+    Growth90.Learning.ReviewQueue = (() => {
+
+        function getTimeZone(userIdentity = {}) {
+            return userIdentity.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        }
+
+        function todayKey(timeZone) {
+            return Growth90.Learning.ActivityTracker.toDateKey(new Date(), timeZone);
+        }
+
+        // Stable per-card suffix so re-syncing a day never duplicates its cards
+        function hashText(text) {
+            let hash = 0;
+            for (let i = 0; i < text.length; i++) {
+                hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+            }
+            return (hash >>> 0).toString(36);
+        }
+
+        function getCardId(userId, pathId, day, front) {
+            return `card_${userId}_${pathId}_day_${day}_${hashText(front.toLowerCase())}`;
+        }
+
+        // Cards for one curriculum day: its objective plus each supporting concept
+        function extractCards(dayPlan = {}) {
+            const objective = String(dayPlan.primary_learning_objective || dayPlan.title || '').trim();
+            const application = String(dayPlan.practical_application || dayPlan.description || '').trim();
+            const cards = [];
+
+            if (objective) {
+                cards.push({
+                    kind: 'objective',
+                    front: `What can you now do after: "${objective}"?`,
+                    back: application || objective
+                });
+            }
+
+            (Array.isArray(dayPlan.supporting_concepts) ? dayPlan.supporting_concepts : [])
+                .map(concept => String(concept).trim())
+                .filter(Boolean)
+                .slice(0, REVIEW_CONFIG.maxConceptsPerDay)
+                .forEach(concept => {
+                    cards.push({
+                        kind: 'concept',
+                        front: `Explain in your own words: ${concept}`,
+                        back: objective ? `${concept} — part of: ${objective}` : concept
+                    });
+                });
+
+            return cards;
+        }
+
+        async function query(userId) {
+            try {
+                return await Growth90.Data.Storage.queryItems(REVIEW_CONFIG.storeName, {
+                    index: 'userId',
+                    keyRange: IDBKeyRange.only(userId)
+                });
+            } catch (error) {
+                console.error('❌ Failed to load review cards:', error);
+                return [];
+            }
+        }
+
+        // Create cards for every completed day of a path that does not have them yet.
+        // New cards come due the day after the day was completed.
+        async function syncFromProgress(userId, pathId, options = {}) {
+            const timeZone = options.timeZone || getTimeZone();
+            const tracker = Growth90.Learning.ActivityTracker;
+            const [learningPath, lessons, existing] = await Promise.all([
+                Growth90.Data.Storage.getItem('learningPaths', pathId),
+                Growth90.Learning.ProgressStore.getLessonRecords(userId, pathId),
+                query(userId)
+            ]);
+            const curriculum = learningPath?.pathData?.daily_curriculum || learningPath?.curriculum;
+            if (!Array.isArray(curriculum)) return 0;
+
+            // First completion date per day
+            const completedDays = new Map();
+            lessons
+                .filter(record => record.status === 'completed' && record.completedAt)
+                .forEach(record => {
+                    const date = tracker.toDateKey(record.completedAt, timeZone);
+                    if (!completedDays.has(record.day) || date < completedDays.get(record.day)) {
+                        completedDays.set(record.day, date);
+                    }
+                });
+
+            const known = new Set(existing.map(card => card.id));
+            const now = new Date().toISOString();
+            const created = [];
+            completedDays.forEach((completedOn, day) => {
+                const dayPlan = curriculum.find((entry, index) => (Number(entry.day || entry.id) || index + 1) === day);
+                extractCards(dayPlan).forEach(card => {
+                    const id = getCardId(userId, pathId, day, card.front);
+                    if (known.has(id)) return;
+                    known.add(id);
+                    created.push({
+                        id,
+                        userId,
+                        pathId,
+                        day,
+                        ...card,
+                        ease: REVIEW_CONFIG.initialEase,
+                        interval: 0,
+                        repetitions: 0,
+                        lapses: 0,
+                        dueDate: tracker.shiftDateKey(completedOn, 1),
+                        lastReviewedAt: null,
+                        createdAt: now
+                    });
+                });
+            });
+
+            if (created.length) {
+                await Growth90.Data.Storage.batchOperation(
+                    created.map(card => ({ type: 'put', store: REVIEW_CONFIG.storeName, data: card })));
+                Growth90.Core.EventBus.emit('review:cards:created', { userId, pathId, count: created.length });
+            }
+            return created.length;
+        }
+
+        // SM-2: failed recalls restart the card; successful ones grow the interval by the ease factor
+        function schedule(card, quality, today) {
+            const q = Math.max(0, Math.min(5, quality));
+            const next = { ...card };
+
+            if (q < 3) {
+                next.repetitions = 0;
+                next.interval = REVIEW_CONFIG.firstIntervals[0];
+                next.lapses = (card.lapses || 0) + 1;
+            } else {
+                next.repetitions = (card.repetitions || 0) + 1;
+                next.interval = next.repetitions <= REVIEW_CONFIG.firstIntervals.length
+                    ? REVIEW_CONFIG.firstIntervals[next.repetitions - 1]
+                    : Math.round((card.interval || 1) * (card.ease || REVIEW_CONFIG.initialEase));
+            }
+
+            const ease = (card.ease || REVIEW_CONFIG.initialEase) + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+            next.ease = Math.max(REVIEW_CONFIG.minEase, Math.round(ease * 100) / 100);
+            next.dueDate = Growth90.Learning.ActivityTracker.shiftDateKey(today, next.interval);
+            return next;
+        }
+
+        async function review(cardId, grade, options = {}) {
+            const quality = REVIEW_CONFIG.grades[grade]?.quality ?? Number(grade);
+            if (Number.isNaN(quality)) {
+                throw new Error(`Unknown review grade: ${grade}`);
+            }
+            const today = todayKey(options.timeZone || getTimeZone());
+
+            const updated = await Growth90.Data.Storage.updateItem(REVIEW_CONFIG.storeName, cardId, card => {
+                if (!card) return null;
+                return {
+                    ...schedule(card, quality, today),
+                    lastReviewedAt: new Date().toISOString(),
+                    lastGrade: grade
+                };
+            });
+            if (!updated) {
+                throw new Error('Review card not found');
+            }
+
+            Growth90.Core.EventBus.emit('review:card:reviewed', {
+                cardId,
+                grade,
+                interval: updated.interval,
+                dueDate: updated.dueDate
+            });
+            return updated;
+        }
+
+        // Cards due today or earlier, oldest due first; optionally limited to one path
+        async function getDueCards(userId, options = {}) {
+            const today = todayKey(options.timeZone || getTimeZone());
+            const limit = options.limit || REVIEW_CONFIG.dailyLimit;
+            const cards = await query(userId);
+
+            return cards
+                .filter(card => card.dueDate <= today && (!options.pathId || card.pathId === options.pathId))
+                .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.day - b.day)
+                .slice(0, limit);
+        }
+
+        async function getStats(userId, options = {}) {
+            const today = todayKey(options.timeZone || getTimeZone());
+            const cards = (await query(userId)).filter(card => !options.pathId || card.pathId === options.pathId);
+            return {
+                total: cards.length,
+                due: cards.filter(card => card.dueDate <= today).length,
+                learning: cards.filter(card => card.repetitions < REVIEW_CONFIG.firstIntervals.length).length,
+                mature: cards.filter(card => card.interval >= 21).length,
+                reviewedToday: cards.filter(card => card.lastReviewedAt &&
+                    Growth90.Learning.ActivityTracker.toDateKey(card.lastReviewedAt, options.timeZone || getTimeZone()) === today).length
+            };
+        }
+
+        // Public API
+        return {
+            extractCards,
+            syncFromProgress,
+            schedule,
+            review,
+            getDueCards,
+            getStats,
+            getGrades: () => Object.entries(REVIEW_CONFIG.grades).map(([id, grade]) => ({ id, ...grade }))
+        };
+    })();
+
+})(window.Growth90 = window.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
@@ -9,7 +9,7 @@
     // Storage system configuration
     const STORAGE_CONFIG = {
         dbName: 'Growth90DB',
-        dbVersion: 1,
+        dbVersion: 8, // Must match the last entry in SCHEMA_MIGRATIONS
         stores: {
             userProfiles: { keyPath: 'id', autoIncrement: false },
             learningPaths: { keyPath: 'id', autoIncrement: false },
@@ -17,7 +17,13 @@
             assessments: { keyPath: 'id', autoIncrement: false },
             contentCache: { keyPath: 'id', autoIncrement: false },
             settings: { keyPath: 'key', autoIncrement: false },
-            analytics: { keyPath: 'id', autoIncrement: true }
+            analytics: { keyPath: 'id', autoIncrement: true },
+            assessmentResults: { keyPath: 'id', autoIncrement: false },
+            feedbackHistory: { keyPath: 'id', autoIncrement: false },
+            lessonChats: { keyPath: 'id', autoIncrement: false },
+            syncOutbox: { keyPath: 'id', autoIncrement: false },
+            reviewCards: { keyPath: 'id', autoIncrement: false },
+            questionBanks: { keyPath: 'id', autoIncrement: false }
         },
         indices: {
             userProfiles: [
@@ -32,7 +38,8 @@
             learningProgress: [
                 { name: 'userId', keyPath: 'userId', unique: false },
                 { name: 'pathId', keyPath: 'pathId', unique: false },
-                { name: 'date', keyPath: 'date', unique: false }
+                { name: 'date', keyPath: 'date', unique: false },
+                { name: 'userId_pathId', keyPath: ['userId', 'pathId'], unique: false }
             ],
             assessments: [
                 { name: 'userId', keyPath: 'userId', unique: false },
@@ -46,17 +53,241 @@
             analytics: [
                 { name: 'userId', keyPath: 'userId', unique: false },
                 { name: 'event', keyPath: 'event', unique: false },
-                { name: 'timestamp', keyPath: 'timestamp', unique: false }
+                { name: 'timestamp', keyPath: 'timestamp', unique: false },
+                { name: 'userId_timestamp', keyPath: ['userId', 'timestamp'], unique: false }
+            ],
+            assessmentResults: [
+                { name: 'userId', keyPath: 'userId', unique: false },
+                { name: 'pathId', keyPath: 'pathId', unique: false },
+                { name: 'createdAt', keyPath: 'createdAt', unique: false },
+                { name: 'userId_createdAt', keyPath: ['userId', 'createdAt'], unique: false }
+            ],
+            feedbackHistory: [
+                { name: 'userId', keyPath: 'userId', unique: false },
+                { name: 'pathId', keyPath: 'pathId', unique: false },
+                { name: 'createdAt', keyPath: 'createdAt', unique: false }
+            ],
+            lessonChats: [
+                { name: 'userId', keyPath: 'userId', unique: false },
+                { name: 'pathId', keyPath: 'pathId', unique: false },
+                { name: 'updatedAt', keyPath: 'updatedAt', unique: false }
+            ],
+            syncOutbox: [
+                { name: 'status', keyPath: 'status', unique: false },
+                { name: 'type', keyPath: 'type', unique: false },
+                { name: 'nextAttemptAt', keyPath: 'nextAttemptAt', unique: false }
+            ],
+            reviewCards: [
+                { name: 'userId', keyPath: 'userId', unique: false },
+                { name: 'pathId', keyPath: 'pathId', unique: false },
+                { name: 'dueDate', keyPath: 'dueDate', unique: false },
+                { name: 'userId_dueDate', keyPath: ['userId', 'dueDate'], unique: false }
+            ],
+            questionBanks: [
+                { name: 'topic', keyPath: 'topic', unique: false },
+                { name: 'updatedAt', keyPath: 'updatedAt', unique: false }
             ]
+        },
+        // Optional passphrase encryption. Keys, index fields and timestamps stay in clear
+        // so queries keep working; every other field is sealed with AES-GCM.
+        encryption: {
+            settingsKey: 'encryption',
+            stores: ['userProfiles', 'learningProgress', 'assessments', 'assessmentResults', 'feedbackHistory', 'lessonChats'],
+            clearFields: ['createdAt', 'updatedAt'],
+            payloadField: '__encrypted',
+            iterations: 600000,
+            minPassphraseLength: 8,
+            verifierText: 'growth90-encryption-check'
+        },
+        query: {
+            pageSize: 50,           // Default queryPage limit
+            batchSize: 200,         // Records read per transaction by iterate and searchItems
+            statsSampleSize: 25     // Records per store measured to estimate its size
         }
     };
 
+    // Ordered schema migrations. Every step newer than the user's current
+    // version runs, in order, inside the upgrade transaction. Steps may be
+    // async but must only await IndexedDB requests (e.g. rewriteRecords),
+    // otherwise the transaction commits underneath them.
+    const SCHEMA_MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Initial schema',
+            migrate: (schema) => {
+                ['userProfiles', 'learningPaths', 'learningProgress', 'assessments', 'contentCache', 'settings', 'analytics']
+                    .forEach(storeName => schema.createStore(storeName));
+            }
+        },
+        {
+            version: 2,
+            description: 'Assessment results and feedback history',
+            migrate: (schema) => {
+                schema.createStore('assessmentResults');
+                schema.createStore('feedbackHistory');
+            }
+        },
+        {
+            version: 3,
+            description: 'Lesson assistant chat threads',
+            migrate: (schema) => {
+                schema.createStore('lessonChats');
+            }
+        },
+        {
+            version: 4,
+            description: 'Offline sync outbox',
+            migrate: (schema) => {
+                schema.createStore('syncOutbox');
+            }
+        },
+        {
+            version: 5,
+            description: 'Progress keyed by learning path id',
+            migrate: (schema) => relinkProgressToPaths(schema)
+        },
+        {
+            version: 6,
+            description: 'Spaced repetition review cards',
+            migrate: (schema) => {
+                schema.createStore('reviewCards');
+            }
+        },
+        {
+            version: 7,
+            description: 'Generated assessment question banks per topic',
+            migrate: (schema) => {
+                schema.createStore('questionBanks');
+            }
+        },
+        {
+            version: 8,
+            description: 'Compound indices for per-user range queries',
+            migrate: (schema) => {
+                Object.entries(STORAGE_CONFIG.indices).forEach(([storeName, indices]) => {
+                    indices
+                        .filter(index => Array.isArray(index.keyPath))
+                        .forEach(index => schema.createIndex(storeName, index.name, index.keyPath, { unique: index.unique }));
+                });
+            }
+        }
+    ];
+
+    // Lesson progress and chat threads used to be keyed by the selected topic id (or 'default').
+    // Re-key them by the stored learning path for that topic, and turn PathManager's
+    // per-path tracking records into path summaries.
+    async function relinkProgressToPaths(schema) {
+        const [paths, settings] = await Promise.all([
+            schema.getAllRecords('learningPaths'),
+            schema.getAllRecords('settings')
+        ]);
+        const pathIds = new Set(paths.map(path => path.id));
+        const primaryByUser = new Map(settings
+            .filter(entry => String(entry.key).startsWith('primaryPath_'))
+            .map(entry => [entry.userId, entry.pathId]));
+
+        // Topic id to path id for one user: the primary path wins, then the newest
+        const findPathId = (userId, topicId) => {
+            if (pathIds.has(topicId)) return topicId;
+            const candidates = paths
+                .filter(path => path.userId === userId && path.status !== 'archived')
+                .filter(path => topicId === 'default' ||
+                    [path.topic?.id, path.userProfile?.selectedTopic?.id, path.specialization?.id].includes(topicId))
+                .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+            const primary = candidates.find(path => path.id === primaryByUser.get(userId));
+            return (primary || candidates[0])?.id || null;
+        };
+
+        await rekeyRecords(schema, 'learningProgress', record => {
+            if (record.type) return record;
+
+            // PathManager tracking record (no day/lesson): becomes the path summary
+            if (record.day === undefined && Array.isArray(record.completedLessons)) {
+                return {
+                    ...record,
+                    id: `${record.userId}_${record.pathId}_summary`,
+                    type: 'summary'
+                };
+            }
+            if (record.day === undefined) return record;
+
+            const pathId = findPathId(record.userId, record.pathId) || record.pathId;
+            return {
+                ...record,
+                id: `${record.userId}_${pathId}_day_${record.day}_${record.lessonId}`,
+                pathId,
+                type: 'lesson',
+                ...(pathId !== record.pathId ? { legacyPathId: record.pathId } : {})
+            };
+        }, mergeProgressRecords);
+
+        await rekeyRecords(schema, 'lessonChats', record => {
+            if (record.day === undefined) return record;
+            const pathId = findPathId(record.userId, record.pathId) || record.pathId;
+            return {
+                ...record,
+                id: `chat_${record.userId}_${pathId}_day_${record.day}_${record.lessonId}`,
+                pathId
+            };
+        }, (a, b) => ({
+            ...a,
+            messages: [...(a.messages || []), ...(b.messages || [])]
+                .sort((x, y) => String(x.createdAt || '').localeCompare(String(y.createdAt || '')))
+        }));
+    }
+
+    // Two records that now share an id: completion wins, time adds up, newer notes are kept
+    function mergeProgressRecords(a, b) {
+        const [first, second] = a.status === 'completed' || b.status !== 'completed' ? [a, b] : [b, a];
+        const newerNotes = String(b.notes?.updatedAt || '') > String(a.notes?.updatedAt || '') ? b.notes : a.notes;
+        const activeSeconds = (a.activeSeconds || 0) + (b.activeSeconds || 0);
+        return {
+            ...second,
+            ...first,
+            notes: newerNotes || first.notes || second.notes,
+            ...(activeSeconds ? { activeSeconds, timeSpent: Math.max(first.timeSpent || 0, Math.round(activeSeconds / 60)) } : {})
+        };
+    }
+
+    // Rewrite a store through mapRecord, which may change a record's key.
+    // Records that land on the same key are combined with merge.
+    async function rekeyRecords(schema, storeName, mapRecord, merge) {
+        const records = await schema.getAllRecords(storeName);
+        const target = new Map();
+        records.forEach(record => {
+            const mapped = mapRecord(record);
+            const existing = target.get(mapped.id);
+            target.set(mapped.id, existing ? merge(existing, mapped) : mapped);
+        });
+
+        const written = new Set();
+        await schema.rewriteRecords(storeName, record => {
+            if (!target.has(record.id)) return null;
+            written.add(record.id);
+            return target.get(record.id);
+        });
+        await schema.putRecords(storeName, [...target.values()].filter(record => !written.has(record.id)));
+    }
+
+    // Cross-tab coordination for schema upgrades
+    const STORAGE_CHANNEL_NAME = 'growth90-storage';
+
     // IndexedDB Storage Layer
     Growth90.Data.Storage = (() => {
         let db = null;
         let isInitialized = false;
+        let closedForUpgrade = false;
+        let encryptionState = null;     // Settings record describing the passphrase key, when enabled
+        let encryptionKey = null;       // AES-GCM key while unlocked; never persisted
+        const pendingUpdates = new Map();
+        const storageChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(STORAGE_CHANNEL_NAME) : null;
         const initPromise = initializeDatabase();
 
+        // app.js replaces the namespace this file was loaded into; resolve the bus on use
+        function getEventBus() {
+            return window.Growth90?.Core?.EventBus || Growth90.Core.EventBus;
+        }
+
         async function initializeDatabase() {
             return new Promise((resolve, reject) => {
                 try {
@@ -68,35 +299,52 @@
 
                     request.onsuccess = () => {
                         db = request.result;
-                        isInitialized = true;
-                        Growth90.Core.EventBus.emit('storage:initialized');
-                        resolve(db);
+                        // A newer version opened elsewhere; release it so that upgrade can proceed
+                        db.onversionchange = () => closeForUpgrade();
+
+                        // Nothing may read or write until we know whether records are sealed
+                        loadEncryptionState(db).then(() => {
+                            isInitialized = true;
+                            getEventBus().emit('storage:initialized');
+                            resolve(db);
+                        }, reject);
                     };
 
                     request.onupgradeneeded = (event) => {
                         db = event.target.result;
-                        
-                        // Create object stores
-                        Object.entries(STORAGE_CONFIG.stores).forEach(([storeName, storeConfig]) => {
-                            if (!db.objectStoreNames.contains(storeName)) {
-                                const store = db.createObjectStore(storeName, storeConfig);
-                                
-                                // Create indices
-                                if (STORAGE_CONFIG.indices[storeName]) {
-                                    STORAGE_CONFIG.indices[storeName].forEach(indexConfig => {
-                                        store.createIndex(indexConfig.name, indexConfig.keyPath, {
-                                            unique: indexConfig.unique
-                                        });
-                                    });
-                                }
-                                
+                        const transaction = event.target.transaction;
+
+                        runMigrations(db, transaction, event.oldVersion).catch(error => {
+                            console.error('❌ Schema migration failed:', error);
+                            try {
+                                transaction.abort();
+                            } catch (abortError) {
+                                // Already aborted by the failing request
                             }
                         });
                     };
 
                     request.onblocked = () => {
+                        // Older connections in other tabs are holding the upgrade back
+                        console.warn('⚠️ Database upgrade blocked by another open tab');
+                        if (storageChannel) {
+                            storageChannel.postMessage({ type: 'close-connection', version: STORAGE_CONFIG.dbVersion });
+                        }
+                        notifyUser('warning', 'Please close other Growth90 tabs to finish updating your data.');
                     };
 
+                    if (storageChannel) {
+                        storageChannel.onmessage = (event) => {
+                            const message = event.data || {};
+                            if (message.type === 'close-connection' && message.version > STORAGE_CONFIG.dbVersion) {
+                                closeForUpgrade();
+                            }
+                            if (message.type === 'encryption-changed') {
+                                reloadEncryptionState();
+                            }
+                        };
+                    }
+
                 } catch (error) {
                     reject(error);
                 }
@@ -104,32 +352,442 @@
         }
 
         async function ensureInitialized() {
+            if (closedForUpgrade) {
+                throw new Error('Database connection closed for an upgrade in another tab. Please reload the page.');
+            }
             if (!isInitialized) {
                 await initPromise;
             }
             return db;
         }
 
+        // Apply every migration step newer than oldVersion, one after another
+        async function runMigrations(database, transaction, oldVersion) {
+            const schema = createMigrationHelpers(database, transaction);
+            const pending = SCHEMA_MIGRATIONS
+                .filter(step => step.version > oldVersion && step.version <= STORAGE_CONFIG.dbVersion)
+                .sort((a, b) => a.version - b.version);
+
+            for (const step of pending) {
+                await step.migrate(schema, { oldVersion, newVersion: STORAGE_CONFIG.dbVersion });
+            }
+        }
+
+        // Schema operations available to migration steps
+        function createMigrationHelpers(database, transaction) {
+            return {
+                database,
+                transaction,
+
+                // Create a store (and its indices) as declared in STORAGE_CONFIG
+                createStore(storeName) {
+                    const storeConfig = STORAGE_CONFIG.stores[storeName];
+                    if (!storeConfig) {
+                        throw new Error(`Store ${storeName} is not declared in STORAGE_CONFIG`);
+                    }
+                    if (database.objectStoreNames.contains(storeName)) {
+                        return transaction.objectStore(storeName);
+                    }
+
+                    const store = database.createObjectStore(storeName, storeConfig);
+                    (STORAGE_CONFIG.indices[storeName] || []).forEach(indexConfig => {
+                        store.createIndex(indexConfig.name, indexConfig.keyPath, {
+                            unique: indexConfig.unique
+                        });
+                    });
+                    return store;
+                },
+
+                deleteStore(storeName) {
+                    if (database.objectStoreNames.contains(storeName)) {
+                        database.deleteObjectStore(storeName);
+                    }
+                },
+
+                createIndex(storeName, indexName, keyPath, options = {}) {
+                    const store = transaction.objectStore(storeName);
+                    if (!store.indexNames.contains(indexName)) {
+                        store.createIndex(indexName, keyPath, options);
+                    }
+                },
+
+                deleteIndex(storeName, indexName) {
+                    const store = transaction.objectStore(storeName);
+                    if (store.indexNames.contains(indexName)) {
+                        store.deleteIndex(indexName);
+                    }
+                },
+
+                getAllRecords(storeName) {
+                    return new Promise((resolve, reject) => {
+                        const request = transaction.objectStore(storeName).getAll();
+                        request.onsuccess = () => resolve(request.result || []);
+                        request.onerror = () => reject(request.error);
+                    });
+                },
+
+                putRecords(storeName, records) {
+                    const store = transaction.objectStore(storeName);
+                    return Promise.all(records.map(record => new Promise((resolve, reject) => {
+                        const request = store.put(record);
+                        request.onsuccess = () => resolve();
+                        request.onerror = () => reject(request.error);
+                    })));
+                },
+
+                // Walk every record; transform returns the new record, null to delete it,
+                // or undefined to leave it untouched. Resolves with the number changed.
+                rewriteRecords(storeName, transform) {
+                    return new Promise((resolve, reject) => {
+                        let changed = 0;
+                        const request = transaction.objectStore(storeName).openCursor();
+
+                        request.onsuccess = () => {
+                            const cursor = request.result;
+                            if (!cursor) {
+                                resolve(changed);
+                                return;
+                            }
+
+                            try {
+                                const result = transform(cursor.value);
+                                if (result === null) {
+                                    cursor.delete();
+                                    changed++;
+                                } else if (result !== undefined) {
+                                    cursor.update(result);
+                                    changed++;
+                                }
+                                cursor.continue();
+                            } catch (error) {
+                                reject(error);
+                            }
+                        };
+
+                        request.onerror = () => reject(request.error);
+                    });
+                }
+            };
+        }
+
+        function closeForUpgrade() {
+            if (closedForUpgrade) return;
+
+            closedForUpgrade = true;
+            isInitialized = false;
+            if (db) {
+                db.close();
+                db = null;
+            }
+            notifyUser('info', 'Growth90 was updated in another tab. Please reload this page to continue.');
+        }
+
+        // Storage loads before the app shell, so resolve the UI lazily
+        function notifyUser(type, message) {
+            const notifications = window.Growth90?.UI?.Components?.Notifications;
+            if (notifications && typeof notifications[type] === 'function') {
+                notifications[type](message);
+            }
+        }
+
+        // At-rest encryption
+        //
+        // Sealing happens outside IndexedDB transactions: WebCrypto promises would let
+        // a transaction auto-commit. Migration steps see sealed records as stored.
+        function loadEncryptionState(database) {
+            return new Promise((resolve) => {
+                try {
+                    const request = database.transaction(['settings'], 'readonly')
+                        .objectStore('settings')
+                        .get(STORAGE_CONFIG.encryption.settingsKey);
+                    request.onsuccess = () => {
+                        encryptionState = request.result || null;
+                        resolve();
+                    };
+                    request.onerror = () => resolve();
+                } catch (error) {
+                    resolve();
+                }
+            });
+        }
+
+        // Another tab enabled, changed or removed the passphrase: the key held here no
+        // longer matches, so drop it and go back through unlock
+        async function reloadEncryptionState() {
+            if (!db || closedForUpgrade) return;
+            encryptionKey = null;
+            await loadEncryptionState(db);
+            getEventBus().emit('storage:encryption:remote-change', getEncryptionStatus());
+        }
+
+        function announceEncryptionChange() {
+            if (storageChannel) {
+                storageChannel.postMessage({ type: 'encryption-changed' });
+            }
+        }
+
+        function isEncryptedStore(storeName) {
+            return Boolean(encryptionState) && encryptionState.stores.includes(storeName);
+        }
+
+        function requireKey() {
+            if (!encryptionKey) {
+                const error = new Error('Encrypted storage is locked. Enter your passphrase to continue.');
+                error.name = 'StorageLockedError';
+                throw error;
+            }
+            return encryptionKey;
+        }
+
+        // Fields a store keeps readable: its key, every index key and the timestamps
+        function getClearFields(storeName) {
+            return new Set([
+                STORAGE_CONFIG.stores[storeName].keyPath,
+                ...(STORAGE_CONFIG.indices[storeName] || []).flatMap(index => index.keyPath),
+                ...STORAGE_CONFIG.encryption.clearFields
+            ]);
+        }
+
+        async function deriveKey(passphrase, salt, iterations) {
+            const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+            return crypto.subtle.deriveKey(
+                { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        }
+
+        async function encryptText(text, key) {
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+            return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+        }
+
+        async function decryptText(sealed, key) {
+            const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data));
+            return new TextDecoder().decode(data);
+        }
+
+        function toBase64(bytes) {
+            let binary = '';
+            bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+            return btoa(binary);
+        }
+
+        function fromBase64(text) {
+            return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+        }
+
+        async function sealRecord(storeName, record, key) {
+            const payloadField = STORAGE_CONFIG.encryption.payloadField;
+            if (!record || record[payloadField]) return record;
+
+            const clearFields = getClearFields(storeName);
+            const sealed = {};
+            const secret = {};
+            Object.entries(record).forEach(([field, value]) => {
+                (clearFields.has(field) ? sealed : secret)[field] = value;
+            });
+            sealed[payloadField] = await encryptText(JSON.stringify(secret), key);
+            return sealed;
+        }
+
+        async function openRecord(record, key) {
+            const payloadField = STORAGE_CONFIG.encryption.payloadField;
+            if (!record || !record[payloadField]) return record;
+
+            const { [payloadField]: sealed, ...clear } = record;
+            return { ...clear, ...JSON.parse(await decryptText(sealed, key)) };
+        }
+
+        // What goes into IndexedDB for a record written through the public API
+        async function toStored(storeName, record) {
+            return isEncryptedStore(storeName) ? sealRecord(storeName, record, requireKey()) : record;
+        }
+
+        // What callers get back for a stored record
+        async function fromStored(record) {
+            if (!record || !record[STORAGE_CONFIG.encryption.payloadField]) return record;
+            return openRecord(record, requireKey());
+        }
+
+        function fromStoredAll(records) {
+            return Promise.all((records || []).map(fromStored));
+        }
+
+        // Whether encryption is on, and whether this tab holds the key
+        function getEncryptionStatus() {
+            return {
+                enabled: Boolean(encryptionState),
+                locked: Boolean(encryptionState) && !encryptionKey,
+                stores: encryptionState ? [...encryptionState.stores] : [...STORAGE_CONFIG.encryption.stores],
+                enabledAt: encryptionState?.enabledAt || null
+            };
+        }
+
+        function checkPassphrase(passphrase) {
+            if (typeof passphrase !== 'string' || passphrase.length < STORAGE_CONFIG.encryption.minPassphraseLength) {
+                throw new Error(`Passphrase must be at least ${STORAGE_CONFIG.encryption.minPassphraseLength} characters`);
+            }
+        }
+
+        // A fresh salt and key, plus a verifier that proves a passphrase without storing it
+        async function createKeyState(passphrase) {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const iterations = STORAGE_CONFIG.encryption.iterations;
+            const key = await deriveKey(passphrase, salt, iterations);
+            return {
+                key,
+                state: {
+                    key: STORAGE_CONFIG.encryption.settingsKey,
+                    version: 1,
+                    salt: toBase64(salt),
+                    iterations,
+                    verifier: await encryptText(STORAGE_CONFIG.encryption.verifierText, key),
+                    stores: encryptionState ? [...encryptionState.stores] : [...STORAGE_CONFIG.encryption.stores],
+                    enabledAt: encryptionState?.enabledAt || new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                }
+            };
+        }
+
+        // The stored key for a passphrase; throws when it does not match
+        async function keyForPassphrase(passphrase) {
+            if (!encryptionState) {
+                throw new Error('Encryption is not enabled');
+            }
+            const key = await deriveKey(String(passphrase || ''), fromBase64(encryptionState.salt), encryptionState.iterations);
+            try {
+                if (await decryptText(encryptionState.verifier, key) === STORAGE_CONFIG.encryption.verifierText) {
+                    return key;
+                }
+            } catch (error) {
+                // AES-GCM rejects a wrong key; same answer as a mismatch
+            }
+            throw new Error('Incorrect passphrase');
+        }
+
+        // Re-seal every record in the encrypted stores (toKey null writes plaintext) and
+        // store the new key state, all in one transaction so a failure changes nothing
+        async function reencryptStores(fromKey, toKey, nextState) {
+            const database = await ensureInitialized();
+            const storeNames = nextState?.stores || encryptionState?.stores || STORAGE_CONFIG.encryption.stores;
+            const rewritten = {};
+
+            for (const storeName of storeNames) {
+                const stored = await readRaw(database, storeName);
+                rewritten[storeName] = await Promise.all(stored.map(async record => {
+                    const plain = fromKey ? await openRecord(record, fromKey) : record;
+                    return toKey ? sealRecord(storeName, plain, toKey) : plain;
+                }));
+            }
+
+            await new Promise((resolve, reject) => {
+                const transaction = database.transaction([...storeNames, 'settings'], 'readwrite');
+                storeNames.forEach(storeName => {
+                    const store = transaction.objectStore(storeName);
+                    rewritten[storeName].forEach(record => store.put(record));
+                });
+                if (nextState) {
+                    transaction.objectStore('settings').put(nextState);
+                } else {
+                    transaction.objectStore('settings').delete(STORAGE_CONFIG.encryption.settingsKey);
+                }
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(new Error(`Failed to re-encrypt storage: ${transaction.error}`));
+                transaction.onabort = () => reject(new Error(`Failed to re-encrypt storage: ${transaction.error}`));
+            });
+
+            return Object.values(rewritten).reduce((sum, records) => sum + records.length, 0);
+        }
+
+        function readRaw(database, storeName) {
+            return new Promise((resolve, reject) => {
+                const request = database.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(new Error(`Failed to read ${storeName}: ${request.error}`));
+            });
+        }
+
+        async function enableEncryption(passphrase) {
+            await ensureInitialized();
+            if (encryptionState) {
+                throw new Error('Encryption is already enabled');
+            }
+            checkPassphrase(passphrase);
+
+            const { key, state } = await createKeyState(passphrase);
+            const records = await reencryptStores(null, key, state);
+            encryptionState = state;
+            encryptionKey = key;
+            getEventBus().emit('storage:encryption:enabled', { records });
+            announceEncryptionChange();
+            return getEncryptionStatus();
+        }
+
+        async function unlock(passphrase) {
+            await ensureInitialized();
+            encryptionKey = await keyForPassphrase(passphrase);
+            getEventBus().emit('storage:unlocked');
+            return getEncryptionStatus();
+        }
+
+        // Forget the key; encrypted stores refuse reads and writes until unlock
+        function lock() {
+            if (!encryptionState) return;
+            encryptionKey = null;
+            getEventBus().emit('storage:locked');
+        }
+
+        // New salt and key, every sealed record re-encrypted with it
+        async function changePassphrase(currentPassphrase, nextPassphrase) {
+            await ensureInitialized();
+            const currentKey = await keyForPassphrase(currentPassphrase);
+            checkPassphrase(nextPassphrase);
+
+            const { key, state } = await createKeyState(nextPassphrase);
+            const records = await reencryptStores(currentKey, key, state);
+            encryptionState = state;
+            encryptionKey = key;
+            getEventBus().emit('storage:encryption:changed', { records });
+            announceEncryptionChange();
+            return getEncryptionStatus();
+        }
+
+        async function disableEncryption(passphrase) {
+            await ensureInitialized();
+            const key = await keyForPassphrase(passphrase);
+            const records = await reencryptStores(key, null, null);
+            encryptionState = null;
+            encryptionKey = null;
+            getEventBus().emit('storage:encryption:disabled', { records });
+            announceEncryptionChange();
+            return getEncryptionStatus();
+        }
+
         // Generic CRUD operations
         async function setItem(storeName, data) {
             const database = await ensureInitialized();
             
+            // Add timestamps if not present
+            if (!data.createdAt) {
+                data.createdAt = new Date().toISOString();
+            }
+            data.updatedAt = new Date().toISOString();
+            const stored = await toStored(storeName, data);
+            
             return new Promise((resolve, reject) => {
                 try {
                     const transaction = database.transaction([storeName], 'readwrite');
                     const store = transaction.objectStore(storeName);
                     
-                    // Add timestamps if not present
-                    if (!data.createdAt) {
-                        data.createdAt = new Date().toISOString();
-                    }
-                    data.updatedAt = new Date().toISOString();
-                    
-                    const request = store.put(data);
+                    const request = store.put(stored);
                     
                     request.onsuccess = () => {
                         resolve(data);
-                        Growth90.Core.EventBus.emit('storage:item:set', { store: storeName, data });
+                        getEventBus().emit('storage:item:set', { store: storeName, data });
                     };
                     
                     request.onerror = () => {
@@ -154,8 +812,7 @@
                     const request = store.get(key);
                     
                     request.onsuccess = () => {
-                        const result = request.result || null;
-                        resolve(result);
+                        resolve(fromStored(request.result || null));
                     };
                     
                     request.onerror = () => {
@@ -170,6 +827,94 @@
             });
         }
 
+        // Read-modify-write in a single transaction so concurrent writers to the
+        // same record cannot drop each other's fields. The updater receives the
+        // current record (or null) and returns the new one, or null to skip the write.
+        async function updateItem(storeName, key, updater) {
+            const database = await ensureInitialized();
+            if (isEncryptedStore(storeName)) {
+                return updateSealedItem(storeName, key, updater);
+            }
+            
+            return new Promise((resolve, reject) => {
+                try {
+                    const transaction = database.transaction([storeName], 'readwrite');
+                    const store = transaction.objectStore(storeName);
+                    const request = store.get(key);
+                    let result = null;
+                    let written = false;
+                    
+                    request.onsuccess = () => {
+                        const current = request.result || null;
+                        let data;
+                        try {
+                            data = updater(current);
+                        } catch (error) {
+                            transaction.abort();
+                            reject(error);
+                            return;
+                        }
+                        
+                        if (!data) {
+                            result = current;
+                            return;
+                        }
+                        
+                        const now = new Date().toISOString();
+                        data.createdAt = data.createdAt || current?.createdAt || now;
+                        data.updatedAt = now;
+                        store.put(data);
+                        result = data;
+                        written = true;
+                    };
+                    
+                    transaction.oncomplete = () => {
+                        resolve(result);
+                        if (written) {
+                            getEventBus().emit('storage:item:set', { store: storeName, data: result });
+                        }
+                    };
+                    
+                    transaction.onerror = () => {
+                        console.error(`❌ Storage.updateItem failed for ${storeName}:${key}`, transaction.error);
+                        reject(new Error(`Failed to update item in ${storeName}: ${transaction.error}`));
+                    };
+                    
+                } catch (error) {
+                    console.error(`❌ Storage.updateItem exception for ${storeName}:`, error);
+                    reject(error);
+                }
+            });
+        }
+
+        // Sealed records cannot be decrypted inside the transaction, so updates to one
+        // record hold a Web Lock for it, which other tabs respect too. Without Web Locks
+        // they are queued, which only orders writers in this tab.
+        function updateSealedItem(storeName, key, updater) {
+            const queueKey = `${storeName}:${JSON.stringify(key)}`;
+            const update = async () => {
+                const current = await getItem(storeName, key);
+                const data = updater(current);
+                if (!data) return current;
+
+                data.createdAt = data.createdAt || current?.createdAt;
+                return setItem(storeName, data);
+            };
+
+            if (typeof navigator !== 'undefined' && navigator.locks) {
+                return navigator.locks.request(`${STORAGE_CHANNEL_NAME}:${queueKey}`, update);
+            }
+
+            const previous = pendingUpdates.get(queueKey) || Promise.resolve();
+            const next = previous.catch(() => {}).then(update);
+
+            pendingUpdates.set(queueKey, next);
+            next.catch(() => {}).then(() => {
+                if (pendingUpdates.get(queueKey) === next) pendingUpdates.delete(queueKey);
+            });
+            return next;
+        }
+
         async function getAllItems(storeName, index = null, keyRange = null) {
             const database = await ensureInitialized();
             
@@ -186,7 +931,7 @@
                     const request = source.getAll(keyRange);
                     
                     request.onsuccess = () => {
-                        resolve(request.result || []);
+                        resolve(fromStoredAll(request.result));
                     };
                     
                     request.onerror = () => {
@@ -210,7 +955,7 @@
                     
                     request.onsuccess = () => {
                         resolve(true);
-                        Growth90.Core.EventBus.emit('storage:item:deleted', { store: storeName, key });
+                        getEventBus().emit('storage:item:deleted', { store: storeName, key });
                     };
                     
                     request.onerror = () => {
@@ -234,7 +979,7 @@
                     
                     request.onsuccess = () => {
                         resolve(true);
-                        Growth90.Core.EventBus.emit('storage:store:cleared', { store: storeName });
+                        getEventBus().emit('storage:store:cleared', { store: storeName });
                     };
                     
                     request.onerror = () => {
@@ -272,7 +1017,7 @@
                             results.push(cursor.value);
                             cursor.continue();
                         } else {
-                            resolve(results);
+                            resolve(fromStoredAll(results));
                         }
                     };
                     
@@ -286,32 +1031,203 @@
             });
         }
 
-        // Advanced search with filters
-        async function searchItems(storeName, filterFn, options = {}) {
-            const { limit } = options;
-            const allItems = await getAllItems(storeName);
-            
-            let filteredItems = allItems.filter(filterFn);
-            
-            if (limit) {
-                filteredItems = filteredItems.slice(0, limit);
+        // One cursor pass: up to limit raw records from the position after `after`
+        // ({ key, primaryKey } from a previous page), skipping `offset` records first.
+        // Resolves with the records and whether the cursor has more.
+        async function readCursorPage(storeName, options = {}) {
+            const { index, keyRange = null, direction = 'next', limit, offset = 0, after = null } = options;
+            const database = await ensureInitialized();
+            const sign = direction.startsWith('prev') ? -1 : 1;
+            const order = (a, b) => indexedDB.cmp(a, b) * sign;
+            // Unique cursors yield one record per key and reject continuePrimaryKey, so resume by key alone
+            const byPrimaryKey = Boolean(index) && !direction.endsWith('unique');
+
+            return new Promise((resolve, reject) => {
+                try {
+                    const store = database.transaction([storeName], 'readonly').objectStore(storeName);
+                    const source = index ? store.index(index) : store;
+                    const request = source.openCursor(keyRange, direction);
+                    const entries = [];
+                    let toSkip = offset;
+
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor) {
+                            resolve({ entries, hasMore: false });
+                            return;
+                        }
+
+                        // Resume strictly after the previous page's last record
+                        if (after) {
+                            const keyOrder = order(cursor.key, after.key);
+                            const primaryOrder = byPrimaryKey ? order(cursor.primaryKey, after.primaryKey) : 0;
+                            if (keyOrder < 0 || (keyOrder === 0 && primaryOrder < 0)) {
+                                if (byPrimaryKey) {
+                                    cursor.continuePrimaryKey(after.key, after.primaryKey);
+                                } else {
+                                    cursor.continue(after.key);
+                                }
+                                return;
+                            }
+                            if (keyOrder === 0 && primaryOrder === 0) {
+                                cursor.continue();
+                                return;
+                            }
+                        }
+
+                        if (toSkip > 0) {
+                            const count = toSkip;
+                            toSkip = 0;
+                            cursor.advance(count);
+                            return;
+                        }
+
+                        if (limit !== undefined && entries.length >= limit) {
+                            resolve({ entries, hasMore: true });
+                            return;
+                        }
+
+                        entries.push({ value: cursor.value, key: cursor.key, primaryKey: cursor.primaryKey });
+                        cursor.continue();
+                    };
+
+                    request.onerror = () => {
+                        reject(new Error(`Failed to read ${storeName}: ${request.error}`));
+                    };
+
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        }
+
+        // One page of a query. Pass the returned `next` back as `after` for the following
+        // page; unlike offset it stays correct when records are added in between.
+        // With a filter, pages are filled from further batches and may come back short at the end.
+        async function queryPage(storeName, options = {}) {
+            const { filter = null, offset = 0 } = options;
+            const limit = options.limit || STORAGE_CONFIG.query.pageSize;
+            const items = [];
+            let after = options.after || null;
+            let toSkip = offset;        // Without a filter the cursor skips these itself
+            let hasMore = true;
+            let next = null;
+
+            while (items.length < limit && hasMore) {
+                const page = await readCursorPage(storeName, {
+                    ...options,
+                    limit: filter ? STORAGE_CONFIG.query.batchSize : limit - items.length,
+                    offset: filter ? 0 : toSkip,
+                    after
+                });
+                const records = await fromStoredAll(page.entries.map(entry => entry.value));
+                if (!filter) toSkip = 0;
+                hasMore = page.hasMore;
+
+                for (let i = 0; i < records.length; i++) {
+                    after = { key: page.entries[i].key, primaryKey: page.entries[i].primaryKey };
+                    if (filter && !filter(records[i])) continue;
+                    if (filter && toSkip > 0) {
+                        toSkip--;
+                        continue;
+                    }
+
+                    items.push(records[i]);
+                    next = after;
+                    if (items.length === limit) {
+                        hasMore = hasMore || i < records.length - 1;
+                        break;
+                    }
+                }
             }
-            
-            return filteredItems;
+
+            return { items, next: hasMore ? next : null, hasMore };
+        }
+
+        // Visit records in key order without holding them all in memory. The callback
+        // may be async and can return false to stop. Resolves with the number visited.
+        async function iterate(storeName, callback, options = {}) {
+            let after = null;
+            let visited = 0;
+
+            while (true) {
+                const page = await readCursorPage(storeName, { ...options, limit: STORAGE_CONFIG.query.batchSize, offset: 0, after });
+                const records = await fromStoredAll(page.entries.map(entry => entry.value));
+
+                for (let i = 0; i < records.length; i++) {
+                    visited++;
+                    if (await callback(records[i], page.entries[i].primaryKey) === false) {
+                        return visited;
+                    }
+                }
+
+                if (!page.hasMore || !page.entries.length) return visited;
+                const last = page.entries[page.entries.length - 1];
+                after = { key: last.key, primaryKey: last.primaryKey };
+            }
+        }
+
+        // Number of records in a store, or in a key range of one of its indices
+        async function count(storeName, options = {}) {
+            const { index, keyRange = null } = options;
+            const database = await ensureInitialized();
+
+            return new Promise((resolve, reject) => {
+                try {
+                    const store = database.transaction([storeName], 'readonly').objectStore(storeName);
+                    const request = (index ? store.index(index) : store).count(keyRange);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(new Error(`Failed to count ${storeName}: ${request.error}`));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        }
+
+        // Key ranges for compound indices such as userId_timestamp: fix the leading
+        // fields and bound the last one, e.g. between(['a@x.com'], from, to)
+        const keyRanges = {
+            // Every key starting with prefix; [] sorts after any other key type
+            prefix: (prefix) => IDBKeyRange.bound([...prefix], [...prefix, []]),
+            between: (prefix, lower, upper, { lowerOpen = false, upperOpen = false } = {}) => {
+                if (lower === undefined || lower === null) {
+                    return IDBKeyRange.bound([...prefix], [...prefix, upper], false, upperOpen);
+                }
+                if (upper === undefined || upper === null) {
+                    return IDBKeyRange.bound([...prefix, lower], [...prefix, []], lowerOpen, false);
+                }
+                return IDBKeyRange.bound([...prefix, lower], [...prefix, upper], lowerOpen, upperOpen);
+            }
+        };
+
+        // Advanced search with filters, one cursor batch at a time
+        async function searchItems(storeName, filterFn, options = {}) {
+            const { limit, ...query } = options;
+            const results = [];
+
+            await iterate(storeName, record => {
+                if (filterFn(record)) results.push(record);
+                return !limit || results.length < limit;
+            }, query);
+
+            return results;
         }
 
         // Batch operations
         async function batchOperation(operations) {
             const database = await ensureInitialized();
             const storeNames = [...new Set(operations.map(op => op.store))];
+            const prepared = await Promise.all(operations.map(async operation => (
+                operation.type === 'put' ? { ...operation, data: await toStored(operation.store, operation.data) } : operation
+            )));
             
-            return new Promise((resolve, reject) => {
+            const results = await new Promise((resolve, reject) => {
                 try {
                     const transaction = database.transaction(storeNames, 'readwrite');
                     const results = [];
                     let completed = 0;
                     
-                    operations.forEach((operation, index) => {
+                    prepared.forEach((operation, index) => {
                         const store = transaction.objectStore(operation.store);
                         let request;
                         
@@ -347,6 +1263,11 @@
                     reject(error);
                 }
             });
+            
+            // 'get' results come back readable; put results are keys
+            return Promise.all(results.map((result, index) => (
+                operations[index].type === 'get' ? fromStored(result) : result
+            )));
         }
 
         // Database maintenance
@@ -378,7 +1299,7 @@
                 }
                 
                 
-                Growth90.Core.EventBus.emit('storage:cleanup:completed');
+                getEventBus().emit('storage:cleanup:completed');
                 
             } catch (error) {
                 console.error('❌ Database cleanup failed:', error);
@@ -412,6 +1333,8 @@
             Object.entries(importData.data).forEach(([storeName, items]) => {
                 if (STORAGE_CONFIG.stores[storeName] && Array.isArray(items)) {
                     items.forEach(item => {
+                        // Exports hold decrypted records; another device's key state does not apply here
+                        if (storeName === 'settings' && item.key === STORAGE_CONFIG.encryption.settingsKey) return;
                         operations.push({
                             type: 'put',
                             store: storeName,
@@ -424,31 +1347,54 @@
             return await batchOperation(operations);
         }
 
-        // Get storage usage statistics
+        // Storage usage: the browser's own estimate for the origin, exact record counts per
+        // store, and per-store sizes extrapolated from a small sample of stored records
         async function getStorageStats() {
             const stats = {};
-            
+
             for (const storeName of Object.keys(STORAGE_CONFIG.stores)) {
-                const items = await getAllItems(storeName);
+                const [total, sample] = await Promise.all([
+                    count(storeName),
+                    readCursorPage(storeName, { limit: STORAGE_CONFIG.query.statsSampleSize })
+                ]);
+                const sampleSize = sample.entries.reduce((sum, entry) => sum + JSON.stringify(entry.value).length, 0);
                 stats[storeName] = {
-                    count: items.length,
-                    size: JSON.stringify(items).length
+                    count: total,
+                    size: sample.entries.length ? Math.round(sampleSize / sample.entries.length * total) : 0
                 };
             }
-            
-            const totalSize = Object.values(stats).reduce((sum, store) => sum + store.size, 0);
+
+            const estimate = await estimateOriginUsage();
+            const estimatedSize = Object.values(stats).reduce((sum, store) => sum + store.size, 0);
+            const totalSize = estimate?.usageDetails?.indexedDB ?? estimate?.usage ?? estimatedSize;
             const totalCount = Object.values(stats).reduce((sum, store) => sum + store.count, 0);
-            
+            const quota = estimate?.quota || null;
+
             return {
                 stores: stats,
                 total: {
                     count: totalCount,
                     size: totalSize,
-                    sizeFormatted: formatBytes(totalSize)
+                    sizeFormatted: formatBytes(totalSize),
+                    quota,
+                    quotaFormatted: quota ? formatBytes(quota) : null,
+                    percentUsed: quota ? Math.round(((estimate.usage || 0) / quota) * 1000) / 10 : null,
+                    source: estimate ? 'navigator.storage' : 'sample'
                 }
             };
         }
 
+        async function estimateOriginUsage() {
+            try {
+                if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+                    return await navigator.storage.estimate();
+                }
+            } catch (error) {
+                // Falls back to the sampled sizes
+            }
+            return null;
+        }
+
         function formatBytes(bytes) {
             if (bytes === 0) return '0 Bytes';
             const k = 1024;
@@ -462,12 +1408,17 @@
             // Basic operations
             setItem,
             getItem,
+            updateItem,
             getAllItems,
             deleteItem,
             clearStore,
             
             // Query operations
             queryItems,
+            queryPage,
+            iterate,
+            count,
+            keyRanges,
             searchItems,
             
             // Batch operations
@@ -483,8 +1434,17 @@
             // Statistics
             getStorageStats,
             
+            // Encryption
+            getEncryptionStatus,
+            enableEncryption,
+            unlock,
+            lock,
+            changePassphrase,
+            disableEncryption,
+            
             // Utility
             isInitialized: () => isInitialized,
+            ready: () => ensureInitialized().then(() => true),
             getConfig: () => STORAGE_CONFIG
         };
     })();
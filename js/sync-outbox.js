@@ -0,0 +1,393 @@
+/**
+ * Growth90 Sync Outbox
+ * Durable queue of API writes, drained by the page and by the service worker
+ * (loaded there via importScripts, where it talks to IndexedDB directly)
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Outbox configuration
+    const OUTBOX_CONFIG = {
+        dbName: 'Growth90DB',
+        storeName: 'syncOutbox',
+        proxyURL: './api-proxy.php',
+        maxAttempts: 6,
+        baseRetryDelay: 30 * 1000,           // Doubled after every failed attempt
+        maxRetryDelay: 6 * 60 * 60 * 1000,
+        leaseDuration: 2 * 60 * 1000,        // How long a drainer owns an in-flight entry
+        requestTimeout: 60 * 1000,
+        // Typed operations: where each one is sent and which Background Sync tag drains it
+        operations: {
+            'progress.update': {
+                endpoint: '/api/update_progress_metrics',
+                syncTag: 'progress-sync'
+            },
+            'assessment.evaluate': {
+                endpoint: '/api/evaluate_learner_response',
+                syncTag: 'assessment-sync'
+            }
+        },
+        // Upstream statuses that will never succeed on retry
+        permanentFailures: [400, 401, 403, 404, 410, 413, 422],
+        // The upstream already applied this idempotency key
+        alreadyApplied: [409]
+    };
+
+    const STATUS = {
+        PENDING: 'pending',
+        IN_FLIGHT: 'in-flight',
+        DEAD: 'dead'
+    };
+
+    Growth90.Data = Growth90.Data || {};
+
+    // Sync Outbox
+    Growth90.Data.SyncOutbox = (() => {
+        const activeDrains = new Map(); // Sync tag -> running pass
+
+        // Page: go through Growth90.Data.Storage. Service worker: plain IndexedDB.
+        function getAdapter() {
+            return Growth90.Data.Storage ? storageAdapter : indexedDBAdapter;
+        }
+
+        const storageAdapter = {
+            async ready() {
+                if (!Growth90.Data.Storage.isInitialized()) {
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+                }
+                return Growth90.Data.Storage.isInitialized();
+            },
+            getAll: () => Growth90.Data.Storage.getAllItems(OUTBOX_CONFIG.storeName),
+            get: (id) => Growth90.Data.Storage.getItem(OUTBOX_CONFIG.storeName, id),
+            put: (entry) => Growth90.Data.Storage.setItem(OUTBOX_CONFIG.storeName, entry),
+            delete: (id) => Growth90.Data.Storage.deleteItem(OUTBOX_CONFIG.storeName, id)
+        };
+
+        // The service worker must never create or upgrade the database: the page
+        // owns the schema, so an upgrade request is aborted and treated as empty.
+        const indexedDBAdapter = {
+            async ready() {
+                const database = await openDatabase();
+                if (database) database.close();
+                return !!database;
+            },
+            getAll: () => runTransaction('readonly', store => store.getAll(), []),
+            get: (id) => runTransaction('readonly', store => store.get(id), null),
+            put: (entry) => runTransaction('readwrite', store => store.put({
+                ...entry,
+                createdAt: entry.createdAt || new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            })),
+            delete: (id) => runTransaction('readwrite', store => store.delete(id))
+        };
+
+        function openDatabase() {
+            return new Promise((resolve) => {
+                const request = indexedDB.open(OUTBOX_CONFIG.dbName);
+
+                request.onupgradeneeded = () => request.transaction.abort();
+                request.onerror = () => resolve(null);
+                request.onblocked = () => resolve(null);
+                request.onsuccess = () => {
+                    const database = request.result;
+                    if (!database.objectStoreNames.contains(OUTBOX_CONFIG.storeName)) {
+                        database.close();
+                        resolve(null);
+                        return;
+                    }
+                    database.onversionchange = () => database.close();
+                    resolve(database);
+                };
+            });
+        }
+
+        async function runTransaction(mode, operation, fallback) {
+            const database = await openDatabase();
+            if (!database) return fallback;
+
+            try {
+                return await new Promise((resolve, reject) => {
+                    const transaction = database.transaction([OUTBOX_CONFIG.storeName], mode);
+                    const request = operation(transaction.objectStore(OUTBOX_CONFIG.storeName));
+                    transaction.oncomplete = () => resolve(request.result);
+                    transaction.onerror = () => reject(transaction.error);
+                    transaction.onabort = () => reject(transaction.error);
+                });
+            } finally {
+                database.close();
+            }
+        }
+
+        // Queue an operation. Entries are keyed by idempotency key, so queueing the
+        // same key again replaces the pending payload instead of duplicating it.
+        async function enqueue(type, data, options = {}) {
+            const operation = OUTBOX_CONFIG.operations[type];
+            if (!operation) {
+                throw new Error(`Unknown sync operation: ${type}`);
+            }
+
+            const adapter = getAdapter();
+            await adapter.ready();
+
+            const idempotencyKey = options.idempotencyKey || generateIdempotencyKey(type);
+            const id = `outbox_${idempotencyKey}`;
+            const existing = await adapter.get(id);
+
+            // Never swap the payload under a request that may already be on the wire
+            if (existing && existing.status === STATUS.IN_FLIGHT && existing.leaseUntil > Date.now()) {
+                return existing;
+            }
+
+            const entry = {
+                id,
+                idempotencyKey,
+                type,
+                endpoint: operation.endpoint,
+                syncTag: operation.syncTag,
+                data,
+                userId: options.userId || null,
+                status: STATUS.PENDING,
+                attempts: 0,
+                nextAttemptAt: Date.now(),
+                leaseUntil: 0,
+                lastError: null,
+                createdAt: existing?.createdAt
+            };
+
+            await adapter.put(entry);
+            emit('sync:outbox:queued', { id, type });
+            return entry;
+        }
+
+        // Send every due entry (optionally only those for one Background Sync tag).
+        // Concurrent calls for the same tag in the same context share one pass.
+        function drain(options = {}) {
+            const key = options.tag || '*';
+            if (!activeDrains.has(key)) {
+                activeDrains.set(key, drainOutbox(options).finally(() => {
+                    activeDrains.delete(key);
+                }));
+            }
+            return activeDrains.get(key);
+        }
+
+        async function drainOutbox({ tag = null } = {}) {
+            const summary = { sent: 0, retrying: 0, dead: 0, offline: false };
+            const adapter = getAdapter();
+
+            if (!(await adapter.ready())) {
+                return summary;
+            }
+
+            const now = Date.now();
+            const due = (await adapter.getAll())
+                .filter(entry => !tag || entry.syncTag === tag)
+                .filter(entry => isDue(entry, now))
+                .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+            for (const candidate of due) {
+                // Re-read: another tab or the service worker may have claimed it meanwhile
+                const entry = await adapter.get(candidate.id);
+                if (!entry || !isDue(entry, Date.now())) continue;
+
+                entry.status = STATUS.IN_FLIGHT;
+                entry.leaseUntil = Date.now() + OUTBOX_CONFIG.leaseDuration;
+                await adapter.put(entry);
+
+                const outcome = await sendEntry(entry);
+
+                if (outcome.ok) {
+                    await adapter.delete(entry.id);
+                    summary.sent++;
+                    continue;
+                }
+
+                entry.attempts++;
+                entry.lastError = outcome.error;
+                entry.leaseUntil = 0;
+
+                if (outcome.permanent || entry.attempts >= OUTBOX_CONFIG.maxAttempts) {
+                    entry.status = STATUS.DEAD;
+                    entry.deadAt = new Date().toISOString();
+                    summary.dead++;
+                } else {
+                    entry.status = STATUS.PENDING;
+                    entry.nextAttemptAt = Date.now() + getRetryDelay(entry.attempts);
+                    summary.retrying++;
+                }
+                await adapter.put(entry);
+
+                // No connectivity: leave the rest for the next drain
+                if (outcome.offline) {
+                    summary.offline = true;
+                    break;
+                }
+            }
+
+            emit('sync:outbox:drained', summary);
+            return summary;
+        }
+
+        function isDue(entry, now) {
+            if (entry.status === STATUS.PENDING) {
+                return (entry.nextAttemptAt || 0) <= now;
+            }
+            // A drainer that died mid-request leaves an expired lease behind
+            return entry.status === STATUS.IN_FLIGHT && (entry.leaseUntil || 0) <= now;
+        }
+
+        async function sendEntry(entry) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), OUTBOX_CONFIG.requestTimeout);
+
+            try {
+                const response = await fetch(OUTBOX_CONFIG.proxyURL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        endpoint: entry.endpoint,
+                        method: 'POST',
+                        headers: {
+                            'Idempotency-Key': entry.idempotencyKey,
+                            'X-Request-ID': entry.id,
+                            'X-Timestamp': new Date().toISOString()
+                        },
+                        data: entry.data
+                    }),
+                    signal: controller.signal
+                });
+
+                let body = null;
+                try {
+                    body = await response.json();
+                } catch (_) {
+                    // Non-JSON proxy error page
+                }
+
+                // The proxy wraps the upstream status in its envelope
+                const status = Number(body?.status) || response.status;
+                if (response.ok && body?.success !== false) {
+                    return { ok: true };
+                }
+                if (OUTBOX_CONFIG.alreadyApplied.includes(status)) {
+                    return { ok: true };
+                }
+
+                return {
+                    ok: false,
+                    permanent: OUTBOX_CONFIG.permanentFailures.includes(status),
+                    error: `HTTP ${status}: ${body?.message || body?.error || (response.ok ? 'Upstream request failed' : response.statusText)}`
+                };
+            } catch (error) {
+                return { ok: false, offline: true, error: error.message || 'Network error' };
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        function getRetryDelay(attempts) {
+            const delay = OUTBOX_CONFIG.baseRetryDelay * Math.pow(2, attempts - 1);
+            const jitter = Math.random() * OUTBOX_CONFIG.baseRetryDelay;
+            return Math.min(OUTBOX_CONFIG.maxRetryDelay, delay + jitter);
+        }
+
+        function generateIdempotencyKey(type) {
+            const random = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+                ? crypto.randomUUID()
+                : `${Date.now()}_${Math.random().toString(36).substr(2, 12)}`;
+            return `${type}_${random}`;
+        }
+
+        // Ask the service worker to drain when connectivity allows; drain here if it can't
+        async function requestSync(type) {
+            const tag = OUTBOX_CONFIG.operations[type]?.syncTag;
+
+            try {
+                if (tag && typeof navigator !== 'undefined' && navigator.serviceWorker?.controller) {
+                    const registration = await navigator.serviceWorker.ready;
+                    if (registration.sync) {
+                        await registration.sync.register(tag);
+                        return;
+                    }
+                }
+            } catch (error) {
+                // Background Sync unavailable or refused; fall back to draining here
+            }
+
+            if (typeof navigator === 'undefined' || navigator.onLine !== false) {
+                await drain({ tag });
+            }
+        }
+
+        async function getEntries(status = null) {
+            const adapter = getAdapter();
+            if (!(await adapter.ready())) return [];
+            const entries = await adapter.getAll();
+            return status ? entries.filter(entry => entry.status === status) : entries;
+        }
+
+        // Put dead-lettered entries back in the queue
+        async function retryDead(id = null) {
+            const adapter = getAdapter();
+            const dead = (await getEntries(STATUS.DEAD)).filter(entry => !id || entry.id === id);
+
+            for (const entry of dead) {
+                await adapter.put({
+                    ...entry,
+                    status: STATUS.PENDING,
+                    attempts: 0,
+                    nextAttemptAt: Date.now(),
+                    deadAt: null
+                });
+            }
+            return dead.length;
+        }
+
+        async function discard(id) {
+            await getAdapter().delete(id);
+        }
+
+        async function getStats() {
+            const entries = await getEntries();
+            return entries.reduce((stats, entry) => {
+                stats[entry.status] = (stats[entry.status] || 0) + 1;
+                stats.total++;
+                return stats;
+            }, { total: 0, [STATUS.PENDING]: 0, [STATUS.IN_FLIGHT]: 0, [STATUS.DEAD]: 0 });
+        }
+
+        // Loaded before app.js in the page, and without it in the service worker
+        function emit(event, data) {
+            const bus = self.Growth90?.Core?.EventBus;
+            if (bus && typeof bus.emit === 'function') {
+                bus.emit(event, data);
+            }
+        }
+
+        // Drains the service worker ran for Background Sync reach the page's bus like local ones
+        if (typeof window !== 'undefined' && navigator.serviceWorker) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data?.type !== 'sync:outbox:drained') return;
+                emit('sync:outbox:drained', event.data.summary);
+            });
+        }
+
+        // Public API
+        return {
+            enqueue,
+            drain,
+            requestSync,
+            getEntries,
+            retryDead,
+            discard,
+            getStats,
+            STATUS,
+            config: OUTBOX_CONFIG
+        };
+    })();
+
+})(self.Growth90 = self.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
@@ -0,0 +1,443 @@
+/**
+ * Growth90 User Profile
+ * Learner profiles stored in IndexedDB, one active at a time and mirrored into AppState
+ */
+
+(function(Growth90) {
+    'use strict';
+
+    // Profile configuration
+    const PROFILE_CONFIG = {
+        storeName: 'userProfiles',
+        activeKey: 'activeProfile',             // Settings record naming the profile in use
+        legacyKey: 'growth90_user_identity',    // Pre-IndexedDB identity blob, migrated once
+        legacyMirrorKey: 'user_identity',       // Same blob via Growth90.Data.LocalStorage
+        unlockedKey: 'unlocked_profile',        // Session key: profile picked (and PIN entered) in this tab
+        ownedStores: [                          // Stores whose records carry the owner's userId
+            'learningPaths', 'learningProgress', 'assessments', 'analytics',
+            'assessmentResults', 'feedbackHistory', 'lessonChats', 'reviewCards'
+        ],
+        ownedSettings: [                        // Settings keys that end in the owner's id (see getScopedKey)
+            'primaryPath_', 'streakFreezes_', 'userPreferences_', 'studyReminders_', 'adaptiveModel_', 'pinAttempts_'
+        ],
+        ownedLocalKeys: ['growth90_active_learning_path'],
+        outboxStore: 'syncOutbox',              // Queued requests carry the owner's userId
+        pin: {
+            pattern: /^\d{4,8}$/,
+            iterations: 100000,
+            maxAttempts: 5,
+            lockoutMs: 30000,
+            attemptsPrefix: 'pinAttempts_'      // Settings record counting misses, so a reload keeps the lockout
+        }
+    };
+
+    // User Profile Service
+    Growth90.User.Profile = (() => {
+        let current = null;
+        let loading = null;
+
+        function clone(profile) {
+            return profile ? JSON.parse(JSON.stringify(profile)) : null;
+        }
+
+        // What screens, AppState and the API see: the profile without its PIN hash
+        function toPublic(profile) {
+            if (!profile) return null;
+            const { pinLock, ...rest } = profile;
+            return clone(rest);
+        }
+
+        // Load the active profile once; every caller awaits the same promise
+        function initialize() {
+            if (!loading) {
+                loading = loadActiveProfile();
+            }
+            return loading;
+        }
+
+        async function loadActiveProfile() {
+            try {
+                const active = await Growth90.Data.Storage.getItem('settings', PROFILE_CONFIG.activeKey);
+                let profile = active?.profileId
+                    ? await Growth90.Data.Storage.getItem(PROFILE_CONFIG.storeName, active.profileId)
+                    : null;
+
+                if (!profile) {
+                    profile = await migrateLegacyIdentity() || await findLatestProfile();
+                    if (profile) await setActive(profile.id);
+                }
+
+                setCurrent(profile, 'load');
+            } catch (error) {
+                console.error('❌ Failed to load user profile:', error);
+            }
+            return get();
+        }
+
+        // Move the localStorage identity into IndexedDB, folding in any record onboarding saved for the same email
+        async function migrateLegacyIdentity() {
+            let legacy = null;
+            try {
+                legacy = JSON.parse(localStorage.getItem(PROFILE_CONFIG.legacyKey) || 'null');
+            } catch (error) {
+                legacy = null;
+            }
+            legacy = legacy || Growth90.Data.LocalStorage?.getItem(PROFILE_CONFIG.legacyMirrorKey) || null;
+            if (!legacy || typeof legacy !== 'object') return null;
+
+            const existing = legacy.email ? await findByEmail(legacy.email) : null;
+            const profile = {
+                ...(existing || {}),
+                ...legacy,
+                id: existing?.id || legacy.id || Growth90.Core.Utils.generateId(),
+                migratedAt: new Date().toISOString()
+            };
+
+            await Growth90.Data.Storage.setItem(PROFILE_CONFIG.storeName, profile);
+            localStorage.removeItem(PROFILE_CONFIG.legacyKey);
+            Growth90.Data.LocalStorage?.removeItem(PROFILE_CONFIG.legacyMirrorKey);
+
+            Growth90.Core.EventBus.emit('profile:migrated', { id: profile.id });
+            return profile;
+        }
+
+        async function findByEmail(email) {
+            try {
+                const results = await Growth90.Data.Storage.queryItems(PROFILE_CONFIG.storeName, {
+                    index: 'email',
+                    keyRange: IDBKeyRange.only(email)
+                });
+                return results[0] || null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        async function findLatestProfile() {
+            const latest = await Growth90.Data.Storage.queryItems(PROFILE_CONFIG.storeName, {
+                index: 'createdAt',
+                direction: 'prev',
+                limit: 1
+            });
+            return latest && latest.length ? latest[0] : null;
+        }
+
+        async function setActive(profileId) {
+            await Growth90.Data.Storage.setItem('settings', { key: PROFILE_CONFIG.activeKey, profileId });
+        }
+
+        function setCurrent(profile, reason, changes = null) {
+            const previous = current;
+            current = clone(profile);
+            Growth90.Data.Models?.AppState?.setState({ user: toPublic(current) });
+            Growth90.Core.EventBus.emit('profile:changed', { profile: toPublic(current), previous: toPublic(previous), changes, reason });
+        }
+
+        // Current profile (a copy), or null before sign-up
+        function get() {
+            return toPublic(current);
+        }
+
+        // The id other stores key learner data by
+        function getUserId() {
+            return current ? (current.email || current.id || 'guest') : 'guest';
+        }
+
+        // Older records are keyed by email, some by profile id; both belong to the profile
+        function getOwnerIds(profile = current) {
+            if (!profile) return ['guest'];
+            return [...new Set([profile.email, profile.id].filter(Boolean))];
+        }
+
+        // Settings and localStorage keys for data that belongs to one profile; before
+        // sign-up they fall back to the device-wide key older versions used
+        function getScopedKey(name, profile = current) {
+            return profile ? `${name}_${profile.id}` : name;
+        }
+
+        // The profile's own settings record; the first profile to ask takes over a device-wide one
+        async function readSetting(name) {
+            const key = getScopedKey(name);
+            const own = await Growth90.Data.Storage.getItem('settings', key);
+            if (own || key === name) return own;
+
+            const shared = await Growth90.Data.Storage.getItem('settings', name);
+            if (!shared) return null;
+            const adopted = await Growth90.Data.Storage.setItem('settings', { ...shared, key });
+            await Growth90.Data.Storage.deleteItem('settings', name);
+            return adopted;
+        }
+
+        // Whether a record in one of the owned stores, or a settings record, belongs to one of the owner ids
+        function ownsRecord(storeName, record, ownerIds = getOwnerIds()) {
+            if (!record) return false;
+            if (storeName === 'settings') {
+                return ownerIds.some(ownerId => PROFILE_CONFIG.ownedSettings.some(prefix => record.key === `${prefix}${ownerId}`));
+            }
+            return PROFILE_CONFIG.ownedStores.includes(storeName) && ownerIds.includes(record.userId);
+        }
+
+        // Every record in a userId-indexed store that belongs to the profile
+        async function getOwnRecords(storeName, profile = current) {
+            const keyPath = Growth90.Data.Storage.getConfig().stores[storeName].keyPath;
+            const records = new Map();
+            for (const ownerId of getOwnerIds(profile)) {
+                const rows = await Growth90.Data.Storage.queryItems(storeName, {
+                    index: 'userId',
+                    keyRange: IDBKeyRange.only(ownerId)
+                });
+                (rows || []).forEach(row => records.set(row[keyPath], row));
+            }
+            return [...records.values()];
+        }
+
+        // Merge changes into the profile. Memory updates immediately so synchronous readers
+        // see the change; the returned promise settles once IndexedDB has it.
+        function update(changes = {}) {
+            return save({ ...(current || {}), ...changes }, changes);
+        }
+
+        // Replace the whole profile (use this when fields are removed); the PIN is kept
+        function save(profile, changes = null) {
+            const { pinLock, ...fields } = profile;
+            const record = {
+                ...fields,
+                id: profile.id || current?.id || Growth90.Core.Utils.generateId()
+            };
+            if (current?.pinLock && current.id === record.id) {
+                record.pinLock = current.pinLock;
+            }
+            return persist(record, changes || toPublic(record));
+        }
+
+        function persist(record, changes) {
+            const isNew = !current || current.id !== record.id;
+            setCurrent(record, 'update', changes);
+
+            return (async () => {
+                try {
+                    const stored = await Growth90.Data.Storage.setItem(PROFILE_CONFIG.storeName, clone(record));
+                    if (isNew) await setActive(record.id);
+                    if (current && current.id === stored.id) {
+                        current = { ...current, createdAt: stored.createdAt, updatedAt: stored.updatedAt };
+                    }
+                } catch (error) {
+                    console.error('❌ Failed to save user profile:', error);
+                }
+                return get();
+            })();
+        }
+
+        // Forget the active profile on this device; the stored record is kept
+        async function clear() {
+            setCurrent(null, 'clear');
+            lock();
+            try {
+                await Growth90.Data.Storage.deleteItem('settings', PROFILE_CONFIG.activeKey);
+            } catch (error) {
+                console.error('❌ Failed to clear active profile:', error);
+            }
+        }
+
+        // Profiles on this device for the picker; PIN hashes stay inside this module
+        async function list() {
+            const profiles = await Growth90.Data.Storage.getAllItems(PROFILE_CONFIG.storeName) || [];
+            return profiles
+                .map(profile => ({
+                    id: profile.id,
+                    nickname: profile.nickname || profile.name || profile.email || 'Learner',
+                    email: profile.email || '',
+                    hasPin: Boolean(profile.pinLock),
+                    isActive: profile.id === current?.id
+                }))
+                .sort((a, b) => a.nickname.localeCompare(b.nickname));
+        }
+
+        // Make another profile the active one; locked profiles need their PIN
+        async function switchTo(profileId, pin = null) {
+            const profile = await Growth90.Data.Storage.getItem(PROFILE_CONFIG.storeName, profileId);
+            if (!profile) {
+                throw new Error('Profile not found');
+            }
+            if (profile.pinLock && !await verifyPin(profileId, pin)) {
+                throw new Error('Incorrect PIN');
+            }
+
+            await setActive(profile.id);
+            setCurrent(profile, 'switch');
+            markUnlocked(profile.id);
+            return get();
+        }
+
+        // Whether the active profile was picked in this tab; closing the tab locks it again
+        function isUnlocked() {
+            return Boolean(current) && Growth90.Data.SessionStorage?.getItem(PROFILE_CONFIG.unlockedKey) === current.id;
+        }
+
+        function markUnlocked(profileId) {
+            Growth90.Data.SessionStorage?.setItem(PROFILE_CONFIG.unlockedKey, profileId);
+        }
+
+        // Send the next launch back through the picker
+        function lock() {
+            Growth90.Data.SessionStorage?.removeItem(PROFILE_CONFIG.unlockedKey);
+        }
+
+        function hasPin() {
+            return Boolean(current?.pinLock);
+        }
+
+        // Set or change the active profile's PIN; pass null to remove it
+        async function setPin(pin) {
+            if (!current) {
+                throw new Error('No active profile');
+            }
+            if (pin === null) {
+                const { pinLock, ...rest } = current;
+                return persist(rest, { hasPin: false });
+            }
+            if (!PROFILE_CONFIG.pin.pattern.test(String(pin))) {
+                throw new Error('PIN must be 4 to 8 digits');
+            }
+
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const hash = await derivePinHash(String(pin), salt, PROFILE_CONFIG.pin.iterations);
+            return persist({
+                ...current,
+                pinLock: { salt: toHex(salt), hash, iterations: PROFILE_CONFIG.pin.iterations }
+            }, { hasPin: true });
+        }
+
+        // Check a PIN against the stored hash, with a short lockout after repeated misses.
+        // Attempts are counted before the check so parallel guesses can't get past the limit.
+        async function verifyPin(profileId, pin) {
+            const profile = await Growth90.Data.Storage.getItem(PROFILE_CONFIG.storeName, profileId);
+            if (!profile?.pinLock) return true;
+
+            const { maxAttempts, lockoutMs, attemptsPrefix } = PROFILE_CONFIG.pin;
+            const attemptsKey = `${attemptsPrefix}${profileId}`;
+            const now = Date.now();
+            let lockedOut = false;
+            await Growth90.Data.Storage.updateItem('settings', attemptsKey, stored => {
+                if (stored?.until > now) {
+                    lockedOut = true;
+                    return null;
+                }
+                const count = (stored?.count || 0) + 1;
+                return {
+                    key: attemptsKey,
+                    count: count >= maxAttempts ? 0 : count,
+                    until: count >= maxAttempts ? now + lockoutMs : 0
+                };
+            });
+            if (lockedOut) {
+                throw new Error('Too many attempts. Try again in a few seconds.');
+            }
+
+            const { salt, hash, iterations } = profile.pinLock;
+            const matches = await derivePinHash(String(pin || ''), fromHex(salt), iterations) === hash;
+            if (matches) {
+                await Growth90.Data.Storage.deleteItem('settings', attemptsKey);
+            }
+            return matches;
+        }
+
+        async function derivePinHash(pin, salt, iterations) {
+            const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+            const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+            return toHex(new Uint8Array(bits));
+        }
+
+        function toHex(bytes) {
+            return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+
+        function fromHex(hex) {
+            return new Uint8Array((hex.match(/../g) || []).map(pair => parseInt(pair, 16)));
+        }
+
+        // Delete a profile and everything it owns on this device
+        async function remove(profileId) {
+            const profile = await Growth90.Data.Storage.getItem(PROFILE_CONFIG.storeName, profileId);
+            if (!profile) return { removed: 0 };
+
+            const storeConfig = Growth90.Data.Storage.getConfig().stores;
+            const operations = [];
+            for (const storeName of PROFILE_CONFIG.ownedStores) {
+                const keyPath = storeConfig[storeName].keyPath;
+                (await getOwnRecords(storeName, profile)).forEach(record => {
+                    operations.push({ type: 'delete', store: storeName, key: record[keyPath] });
+                });
+            }
+
+            // Queued requests and per-profile settings are keyed by the owner's id too
+            const ownerIds = getOwnerIds(profile);
+            const outbox = await Growth90.Data.Storage.getAllItems(PROFILE_CONFIG.outboxStore) || [];
+            outbox.filter(entry => ownerIds.includes(entry.userId)).forEach(entry => {
+                operations.push({ type: 'delete', store: PROFILE_CONFIG.outboxStore, key: entry.id });
+            });
+            const settings = await Growth90.Data.Storage.getAllItems('settings') || [];
+            settings.filter(record => ownsRecord('settings', record, ownerIds)).forEach(record => {
+                operations.push({ type: 'delete', store: 'settings', key: record.key });
+            });
+
+            // Question banks are shared; only the profile's seen-list goes
+            const banks = await Growth90.Data.Storage.getAllItems('questionBanks') || [];
+            banks.filter(bank => ownerIds.some(ownerId => bank.seen?.[ownerId])).forEach(bank => {
+                const seen = { ...bank.seen };
+                ownerIds.forEach(ownerId => delete seen[ownerId]);
+                operations.push({ type: 'put', store: 'questionBanks', data: { ...bank, seen } });
+            });
+
+            const removed = operations.filter(operation => operation.type === 'delete').length;
+            operations.push({ type: 'delete', store: PROFILE_CONFIG.storeName, key: profile.id });
+            await Growth90.Data.Storage.batchOperation(operations);
+            PROFILE_CONFIG.ownedLocalKeys.forEach(name => localStorage.removeItem(getScopedKey(name, profile)));
+
+            if (current?.id === profile.id) {
+                await clear();
+            }
+
+            Growth90.Core.EventBus.emit('profile:removed', { id: profile.id, removed });
+            return { removed };
+        }
+
+        // Call back with the new profile on every change; returns an unsubscribe function
+        function subscribe(callback) {
+            const listener = ({ profile, previous, changes, reason }) => callback(profile, previous, { changes, reason });
+            Growth90.Core.EventBus.on('profile:changed', listener);
+            return () => Growth90.Core.EventBus.off('profile:changed', listener);
+        }
+
+        // Public API
+        return {
+            initialize,
+            get,
+            getUserId,
+            getOwnerIds,
+            getOwnRecords,
+            getOwnedStores: () => [...PROFILE_CONFIG.ownedStores],
+            ownsRecord,
+            getScopedKey,
+            readSetting,
+            update,
+            save,
+            clear,
+            list,
+            switchTo,
+            isUnlocked,
+            markUnlocked,
+            lock,
+            hasPin,
+            setPin,
+            verifyPin,
+            remove,
+            subscribe,
+            isLoaded: () => loading !== null
+        };
+    })();
+
+})(window.Growth90 = window.Growth90 || {
+    Core: { EventBus: { on: () => {}, emit: () => {} } },
+    Data: {}, UI: {}, Learning: {}, User: {}
+});
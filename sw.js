@@ -3,9 +3,14 @@
  * Progressive Web App functionality with offline support
  */
 
-const CACHE_NAME = 'growth90-v1.1.0';
-const STATIC_CACHE_NAME = 'growth90-static-v1.1.0';
-const DYNAMIC_CACHE_NAME = 'growth90-dynamic-v1.1.0';
+// Shared offline outbox (same queue the page writes to)
+importScripts('./js/sync-outbox.js');
+// Study reminder schedule (written by the page, shown from periodic sync)
+importScripts('./js/reminders.js');
+
+const CACHE_NAME = 'growth90-v1.2.0';
+const STATIC_CACHE_NAME = 'growth90-static-v1.2.0';
+const DYNAMIC_CACHE_NAME = 'growth90-dynamic-v1.2.0';
 
 // Define what to cache
 const STATIC_ASSETS = [
@@ -13,8 +18,29 @@ const STATIC_ASSETS = [
     '/index.html',
     '/css/critical.css',
     '/css/main.css',
-    '/js/app.js',
+    // Every script index.html loads (sync-outbox.js and reminders.js are also imported above)
     '/js/storage.js',
+    '/js/sync-outbox.js',
+    '/js/api.js',
+    '/js/app.js',
+    '/js/user-profile.js',
+    '/js/markdown.js',
+    '/js/preferences.js',
+    '/js/reminders.js',
+    '/js/account-backup.js',
+    '/js/content-delivery.js',
+    '/js/lesson-assistant.js',
+    '/js/lesson-journal.js',
+    '/js/activity-tracker.js',
+    '/js/path-library.js',
+    '/js/progress-store.js',
+    '/js/learning-paths.js',
+    '/js/review-queue.js',
+    '/js/charts.js',
+    '/js/progress-analytics.js',
+    '/js/irt-model.js',
+    '/js/assessment-engine.js',
+    '/js/feedback-system.js',
     '/js/onboarding.js',
     '/manifest.json',
     // Add other static assets as they are created
@@ -137,6 +163,11 @@ async function cacheFirstStrategy(request) {
         
     } catch (error) {
         console.error('Cache First Strategy failed:', error);
+        // index.html adds a version query to its scripts; offline, the precached copy will do
+        const precached = await caches.match(request, { ignoreSearch: true });
+        if (precached) {
+            return precached;
+        }
         // Return offline fallback if available
         return getOfflineFallback(request);
     }
@@ -315,72 +346,31 @@ self.addEventListener('sync', (event) => {
 
 // Sync progress data when online
 async function syncProgress() {
-    try {
-        
-        // Get pending progress data from IndexedDB
-        const pendingData = await getPendingSyncData('progress');
-        
-        for (const data of pendingData) {
-            try {
-                const response = await fetch('/api/v1/progress/sync', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(data)
-                });
-                
-                if (response.ok) {
-                    await removeSyncData('progress', data.id);
-                }
-            } catch (error) {
-                console.error('❌ Failed to sync progress item:', error);
-            }
-        }
-        
-    } catch (error) {
-        console.error('❌ Progress sync failed:', error);
-        throw error; // Re-throw to trigger retry
-    }
+    await drainOutbox('progress-sync');
 }
 
 // Sync assessment data when online
 async function syncAssessments() {
+    await drainOutbox('assessment-sync');
+}
+
+// Drain outbox entries for one sync tag and let open pages know
+async function drainOutbox(tag) {
     try {
+        const summary = await self.Growth90.Data.SyncOutbox.drain({ tag });
         
-        const pendingData = await getPendingSyncData('assessments');
+        const clientList = await clients.matchAll({ type: 'window' });
+        clientList.forEach(client => client.postMessage({ type: 'sync:outbox:drained', tag, summary }));
         
-        for (const data of pendingData) {
-            try {
-                const response = await fetch('/api/v1/assessments/sync', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(data)
-                });
-                
-                if (response.ok) {
-                    await removeSyncData('assessments', data.id);
-                }
-            } catch (error) {
-                console.error('❌ Failed to sync assessment item:', error);
-            }
+        if (summary.offline) {
+            throw new Error('Network unavailable'); // Re-throw to trigger retry
         }
-        
     } catch (error) {
-        console.error('❌ Assessment sync failed:', error);
+        console.error(`❌ Outbox sync failed for ${tag}:`, error);
         throw error;
     }
 }
 
-// Helper functions for sync data management
-async function getPendingSyncData(type) {
-    // This would typically interface with IndexedDB
-    // For now, return empty array
-    return [];
-}
-
-async function removeSyncData(type, id) {
-    // This would remove synced data from IndexedDB
-}
-
 // Push notification handling
 self.addEventListener('push', (event) => {
     
@@ -427,7 +417,7 @@ self.addEventListener('notificationclick', (event) => {
         return;
     }
     
-    const urlToOpen = event.notification.data?.url || '/';
+    const urlToOpen = new URL(event.notification.data?.url || '/', self.registration.scope).href;
     
     event.waitUntil(
         clients.matchAll({ type: 'window' })
@@ -439,6 +429,13 @@ self.addEventListener('notificationclick', (event) => {
                     }
                 }
                 
+                // Deep links into the app route an open window instead of opening another
+                const appClient = clientList.find(client => new URL(client.url).origin === self.location.origin && 'focus' in client);
+                if (appClient && new URL(urlToOpen).hash) {
+                    appClient.postMessage({ type: 'notification:navigate', url: urlToOpen });
+                    return appClient.focus();
+                }
+                
                 // Open new window if none exists
                 if (clients.openWindow) {
                     return clients.openWindow(urlToOpen);
@@ -457,6 +454,10 @@ self.addEventListener('periodicsync', (event) => {
     if (event.tag === 'cache-cleanup') {
         event.waitUntil(cleanupCaches());
     }
+    
+    if (event.tag === self.Growth90.User.Reminders.config.periodicSyncTag) {
+        event.waitUntil(self.Growth90.User.Reminders.checkDue());
+    }
 });
 
 // Refresh cached content
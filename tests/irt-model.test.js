@@ -0,0 +1,103 @@
+/**
+ * Growth90 IRT model tests
+ * Reference values for js/irt-model.js; no dependencies, run with `node --test tests/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The module attaches itself to window.Growth90 like in the browser
+global.window = global;
+require('../js/irt-model.js');
+const IRT = window.Growth90.Assessment.IRT;
+
+// Deterministic samples so calibration results are reproducible
+function createRandom(seed) {
+    let state = seed;
+    const uniform = () => (state = (state * 16807) % 2147483647) / 2147483647;
+    const normal = () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+    return { uniform, normal };
+}
+
+test('MAP estimate for one correct answer on a=1, b=0 is 0.401', () => {
+    const item = { model: '3pl', a: 1, b: 0, c: 0 };
+    const estimate = IRT.estimateAbility([{ item, value: 1 }], { method: 'map' });
+
+    assert.equal(estimate.method, 'map');
+    assert.ok(Math.abs(estimate.ability - 0.401) < 0.001, `got ${estimate.ability}`);
+});
+
+test('EAP without responses returns the prior', () => {
+    const estimate = IRT.estimateAbility([]);
+
+    assert.ok(Math.abs(estimate.ability) < 1e-9);
+    assert.ok(Math.abs(estimate.standardError - 1) < 0.01);
+});
+
+test('2PL information at theta = b is a^2 / 4', () => {
+    assert.ok(Math.abs(IRT.itemInformation(0, { model: '3pl', a: 1, b: 0, c: 0 }) - 0.25) < 1e-9);
+    assert.ok(Math.abs(IRT.itemInformation(0.5, { model: '3pl', a: 1.5, b: 0.5, c: 0 }) - 0.5625) < 1e-9);
+});
+
+test('3PL information matches the Birnbaum formula', () => {
+    // a=1, b=0, c=0.2 at theta=0: P=0.6, I = (0.4 / 0.8)^2 * (0.4 / 0.6)
+    const information = IRT.itemInformation(0, { model: '3pl', a: 1, b: 0, c: 0.2 });
+    assert.ok(Math.abs(information - 1 / 6) < 1e-9);
+});
+
+test('bank difficulties map onto the ability scale around 0.5', () => {
+    assert.equal(IRT.difficultyToLocation(0.5), 0);
+    assert.ok(Math.abs(IRT.difficultyToLocation(0.3) + 0.8) < 1e-9);
+    assert.ok(Math.abs(IRT.difficultyToLocation(0.7) - 0.8) < 1e-9);
+    assert.equal(IRT.difficultyToLocation(undefined), 0);
+});
+
+test('an easy and a hard bank item carry different information at theta = 0', () => {
+    const easy = { model: '3pl', a: 1, b: IRT.difficultyToLocation(0.3), c: 0 };
+    const medium = { model: '3pl', a: 1, b: IRT.difficultyToLocation(0.5), c: 0 };
+    const hard = { model: '3pl', a: 1, b: IRT.difficultyToLocation(0.85), c: 0 };
+    const information = [easy, medium, hard].map(item => IRT.itemInformation(0, item));
+
+    assert.ok(information[1] > information[0] && information[0] > information[2], information.join(', '));
+    assert.ok(information[1] - information[2] > 0.05, information.join(', '));
+    assert.equal(IRT.selectNextItem(0, [hard, easy, medium]), 2);
+});
+
+test('GRM information equals the finite-difference Fisher information', () => {
+    const item = { model: 'grm', a: 1.2, thresholds: IRT.defaultThresholds(0, 5) };
+    const theta = 0.3;
+    const h = 1e-4;
+    const probabilities = IRT.categoryProbabilities(theta, item);
+    const logProbability = (t, k) => Math.log(IRT.categoryProbabilities(t, item)[k]);
+    const numeric = probabilities.reduce((sum, p, k) => {
+        const curvature = (logProbability(theta + h, k) - 2 * logProbability(theta, k) + logProbability(theta - h, k)) / (h * h);
+        return sum - p * curvature;
+    }, 0);
+
+    assert.ok(Math.abs(probabilities.reduce((sum, p) => sum + p, 0) - 1) < 1e-9);
+    assert.ok(Math.abs(IRT.itemInformation(theta, item) - numeric) < 1e-4, `${IRT.itemInformation(theta, item)} vs ${numeric}`);
+});
+
+test('calibration recovers a 2PL item from simulated responses', () => {
+    const random = createRandom(7);
+    const truth = { model: '3pl', a: 1.8, b: 0.7, c: 0 };
+    const observations = Array.from({ length: 2000 }, () => {
+        const ability = random.normal();
+        return { ability, value: random.uniform() < IRT.probability(ability, truth) ? 1 : 0 };
+    });
+
+    const calibrated = IRT.calibrateItem({ model: '3pl', a: 1, b: 0, c: 0 }, observations);
+    assert.ok(Math.abs(calibrated.a - truth.a) < 0.3, `a = ${calibrated.a}`);
+    assert.ok(Math.abs(calibrated.b - truth.b) < 0.15, `b = ${calibrated.b}`);
+    assert.equal(calibrated.responses, 2000);
+});
+
+test('calibration needs enough responses', () => {
+    const observations = [{ ability: 0, value: 1 }, { ability: 1, value: 0 }];
+    assert.equal(IRT.calibrateItem({ model: '3pl', a: 1, b: 0, c: 0 }, observations), null);
+});
+
+test('the most informative item is selected next', () => {
+    const items = [{ model: '3pl', a: 1, b: -2 }, { model: '3pl', a: 1, b: 1 }, { model: '3pl', a: 0.5, b: 1 }];
+    assert.equal(IRT.selectNextItem(1, items), 1);
+});